@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// nav-stats: trailing returns, monthly returns and risk stats for a NAV
+// history file, for batch jobs. Uses the same parsing and analytics as the
+// app (src/analytics.js), with the import wizard's defaults: auto-detected
+// Date/NAV columns and zero/negative NAVs excluded.
+//
+//   node bin/nav-stats.js <file> [--sheet NAME] [--header-row N] [--date COL] [--nav COL] [--date-format dmy|mdy]
+//                                [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--resample weekly|monthly] [--risk-free PCT] [--json]
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  sheetRows, detectColumns, dataQuality, defaultExclusions, toSeries, sliceSeries, exportTables, PCT,
+  withEquity, resampleSeries, resampleFrequencies, seriesFrequency,
+} from "../src/analytics.js";
+import { readWorkbook, sheetCells } from "../src/workbook.js";
+
+const usage = `Usage: nav-stats <file> [options]
+
+Reads .xlsx/.xlsm/.xls/.ods/.csv/.tsv/.txt/.json NAV history and prints
+trailing returns, monthly returns and risk statistics.
+
+Options:
+  --sheet NAME        sheet to read (default: the first)
+  --header-row N      1-based row holding the column names (default: 1)
+  --date COL          date column (default: auto-detected)
+  --nav COL           NAV column (default: auto-detected)
+  --date-format FMT   dmy or mdy, for dates like 03/04/2024 (default: inferred
+                      from the column, else dmy)
+  --from YYYY-MM-DD   start of the date range (rebased to 100 there)
+  --to YYYY-MM-DD     end of the date range
+  --resample FREQ     weekly or monthly: keep the last NAV of each week or month
+  --risk-free PCT     annual risk-free rate in percent (default: 6.5)
+  --json              print JSON instead of text tables
+  -h, --help          show this help`;
+
+async function navStats(path, opts = {}) {
+  // → { file, sheet, dateKey, navKey, dateOrder, points, frequency, from, to, skippedRows, excludedRows, tables }
+  // tables: the app's export tables minus the raw series and portfolio column
+  const buffer = await readFile(path);
+  const wb = await readWorkbook({
+    name: basename(path),
+    text: async () => buffer.toString("utf8"),
+    arrayBuffer: async () => buffer,
+  });
+  const sheet = opts.sheet ?? wb.SheetNames[0];
+  if (!wb.Sheets[sheet]) throw new Error(`No sheet "${sheet}" (sheets: ${wb.SheetNames.join(", ")})`);
+  const book = { Sheets: { [sheet]: sheetCells(wb.Sheets[sheet]) } };
+  const rows = sheetRows(book, sheet, Math.max(0, (opts.headerRow ?? 1) - 1));
+
+  const detected = detectColumns(rows);
+  const dateKey = opts.date ?? detected.dateKey;
+  const navKey = opts.nav ?? detected.navKey;
+  const keys = rows.length ? Object.keys(rows[0]) : [];
+  for (const [flag, key] of [["--date", dateKey], ["--nav", navKey]]) {
+    if (!key) throw new Error(`Could not detect the ${flag.slice(2)} column; pass ${flag} (columns: ${keys.join(", ")})`);
+    if (!keys.includes(key)) throw new Error(`No column "${key}" (columns: ${keys.join(", ")})`);
+  }
+
+  const dateOrder = opts.dateOrder ?? "auto";
+  const quality = dataQuality(rows, dateKey, navKey, { dateOrder });
+  const excluded = defaultExclusions(quality);
+  const sliced = sliceSeries(toSeries(rows, dateKey, navKey, excluded, { dateOrder }), opts.from ?? null, opts.to ?? null);
+  const series = opts.resample ? withEquity(resampleSeries(sliced, opts.resample)) : sliced;
+  if (!series.length) throw new Error(`No rows have both a valid date in "${dateKey}" and a number in "${navKey}"`);
+
+  const name = basename(path).replace(/\.[^.]+$/, "");
+  const tables = exportTables([{ name, series }], (opts.riskFree ?? 6.5) / 100)
+    .filter(t => t.name !== "Series")
+    .map(t => ({ ...t, columns: t.columns.filter(c => c.key !== "portfolio" && c.key !== "name") }));
+  return {
+    file: basename(path),
+    sheet,
+    dateKey,
+    navKey,
+    dateOrder: quality.dateOrder,
+    points: series.length,
+    frequency: seriesFrequency(series).id,
+    from: series[0].dateLabel,
+    to: series[series.length - 1].dateLabel,
+    skippedRows: quality.skipped.length,
+    excludedRows: excluded.size,
+    tables,
+  };
+}
+
+function formatValue(v, fmt) {
+  if (v == null || (typeof v === "number" && !Number.isFinite(v))) return "—";
+  if (fmt === PCT) return `${(v * 100).toFixed(2)}%`;
+  if (fmt) return v.toFixed(2);
+  return String(v);
+}
+
+function formatTable({ name, columns, rows }) {
+  // Single-row tables (trailing returns, risk stats) print as label/value
+  // pairs; the rest as a grid with right-aligned numbers.
+  const cells = rows.map(r => columns.map(c => formatValue(r[c.key], c.fmt)));
+  if (rows.length === 1) {
+    const width = Math.max(...columns.map(c => c.label.length));
+    return [name, ...columns.map((c, i) => `  ${c.label.padEnd(width)}  ${cells[0][i]}`)].join("\n");
+  }
+  const widths = columns.map((c, i) => Math.max(c.label.length, ...cells.map(r => r[i].length)));
+  const line = (values) => values.map((v, i) => v.padStart(widths[i])).join("  ");
+  return [name, line(columns.map(c => c.label)), ...cells.map(line)].join("\n");
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      sheet: { type: "string" },
+      "header-row": { type: "string" },
+      date: { type: "string" },
+      nav: { type: "string" },
+      "date-format": { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      resample: { type: "string" },
+      "risk-free": { type: "string" },
+      json: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  if (values.help || positionals.length !== 1) {
+    console.log(usage);
+    return values.help ? 0 : 1;
+  }
+
+  const number = (flag) => {
+    if (values[flag] == null) return undefined;
+    const n = Number(values[flag]);
+    if (Number.isNaN(n)) throw new Error(`--${flag} must be a number`);
+    return n;
+  };
+  const format = values["date-format"]?.toUpperCase();
+  if (format && format !== "DMY" && format !== "MDY") throw new Error("--date-format must be dmy or mdy");
+  if (values.resample && !resampleFrequencies[values.resample]) throw new Error("--resample must be weekly or monthly");
+  const result = await navStats(positionals[0], {
+    sheet: values.sheet,
+    headerRow: number("header-row"),
+    date: values.date,
+    nav: values.nav,
+    dateOrder: format,
+    from: values.from,
+    to: values.to,
+    resample: values.resample,
+    riskFree: number("risk-free"),
+  });
+
+  if (values.json) {
+    // tables as plain rows keyed by column label
+    const { tables, ...meta } = result;
+    const plain = (name) => {
+      const t = tables.find(x => x.name === name);
+      return t.rows.map(r => Object.fromEntries(t.columns.map(c => [c.label, r[c.key] ?? null])));
+    };
+    console.log(JSON.stringify({
+      ...meta,
+      trailing: plain("Trailing Returns")[0],
+      risk: plain("Risk Stats")[0],
+      monthly: plain("Monthly Returns"),
+    }, null, 2));
+  } else {
+    console.log(`${result.file} · ${result.sheet} · ${result.dateKey} / ${result.navKey}` +
+      (result.dateOrder ? ` · ${result.dateOrder === "DMY" ? "DD/MM" : "MM/DD"} dates` : ""));
+    console.log(`${result.points} ${result.frequency} points from ${result.from} to ${result.to}` +
+      (result.skippedRows ? ` · ${result.skippedRows} rows skipped` : "") +
+      (result.excludedRows ? ` · ${result.excludedRows} zero/negative NAVs excluded` : ""));
+    for (const t of result.tables) console.log(`\n${formatTable(t)}`);
+  }
+  return 0;
+}
+
+// exitCode rather than exit(), so piped output is flushed first
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`nav-stats: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// A stand-in for the subscription backend during development. `npm run dev`
+// mounts it in the Vite dev server (see vite.config.js); `npm run mock` runs
+// it on its own (PORT, default 4010) to point VITE_SUBSCRIPTION_URL at.
+//
+//   GET /api/subscription              mock/subscription.json, valid for a year from today
+//   GET /api/subscription?as=expiring  expires in 10 days (renewal reminder)
+//   GET /api/subscription?as=expired   expired yesterday
+//   GET /api/subscription?as=error     a 503, for the app's error screen
+//
+// MOCK_SUBSCRIPTION=expiring (etc.) sets the scenario when the URL has none.
+// The JSON file is read on every request, so edits to the plan or its
+// portfolios show up on the next reload.
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { toLabel, addDays } from "../src/analytics.js";
+
+// days from today to the expiry date
+const scenarios = { active: 365, expiring: 10, expired: -1 };
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body));
+}
+
+export function mockApi(req, res, next) {
+  // connect-style middleware; without `next`, unknown paths get a 404
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== "/api/subscription") return next ? next() : send(res, 404, { error: "Not found" });
+  const as = url.searchParams.get("as") ?? process.env.MOCK_SUBSCRIPTION ?? "active";
+  if (as === "error") return send(res, 503, { error: "Subscription service unavailable" });
+  if (!(as in scenarios)) {
+    return send(res, 400, { error: `Unknown scenario "${as}" (${[...Object.keys(scenarios), "error"].join(", ")})` });
+  }
+  const plan = JSON.parse(readFileSync(new URL("./subscription.json", import.meta.url), "utf8"));
+  send(res, 200, { ...plan, expires: toLabel(addDays(new Date(), scenarios[as])) });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.PORT) || 4010;
+  createServer((req, res) => mockApi(req, res)).listen(port, () => {
+    console.log(`Mock backend on http://localhost:${port}/api/subscription`);
+  });
+}
@@ -1,32 +1,126 @@
-import React, { useMemo, useRef, useState } from "react";
-import { BrowserRouter, Routes, Route, NavLink, useNavigate } from "react-router-dom";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, AreaChart, Area, ReferenceLine } from "recharts";
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { BrowserRouter, HashRouter, Routes, Route, NavLink, Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { LineChart, Line, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer, CartesianGrid, AreaChart, Area, ReferenceLine, ReferenceArea, Brush, BarChart, Bar, Cell, ComposedChart } from "recharts";
 import * as XLSX from "xlsx";
-import { Upload, FileSpreadsheet, Home as HomeIcon, PieChart, BarChart3 } from "lucide-react";
+import { Upload, Download, Printer, FileSpreadsheet, Home as HomeIcon, PieChart, BarChart3, X, ChevronUp, ChevronDown, Trash2, ListPlus, ClipboardPaste, Coins } from "lucide-react";
+import {
+  sheetHeader, sheetRows, detectColumns, detectLedgerColumns, dateOrders, toLabel, fromLabel,
+  resolveRange, rangePresets, annualize, daysBetween, xirr,
+  withEquity, labelIndex, trailingColumns, rollingWindows, rollingMetrics, exportTableNames,
+  calendarPeriods, periodBounds, distributionFrequencies, detectActionColumns, applyActions, actionTypes, wholeMonths, monthsBefore,
+  projectionFrequencies, seriesFrequency, resampleSeries, resampleFrequencies, alignMethods,
+} from "./analytics.js";
+import { importAccept } from "./workbook.js";
+import { loadPosts, postTags, filterPosts, paginate, formatPostDate } from "./posts.js";
+import { runTask, share, useWorkerTask } from "./workerClient.js";
+import { parseSubscription, fetchSubscription, subscriptionStatus, isEntitled, formatExpiry } from "./subscription.js";
 
 // ---------- Small UI primitives (Tailwind-based) ----------
-const Shell = ({ children }) => (
-  <div className="min-h-screen bg-gray-50 text-gray-900 flex">
-    <aside className="w-64 border-r bg-white hidden md:flex md:flex-col">
-      <div className="px-5 py-4 border-b flex items-center gap-3">
-        <div className="size-9 rounded-xl bg-emerald-600 text-white grid place-items-center font-bold">C</div>
-        <div>
-          <div className="font-semibold leading-4">capitalmind</div>
-          <div className="text-xs text-emerald-700">premium</div>
+function Shell({ children }) {
+  const { saved } = useLibrary();
+  return (
+    <div className="min-h-screen bg-gray-50 text-gray-900 flex">
+      <aside className="w-64 border-r bg-white hidden md:flex md:flex-col">
+        <div className="px-5 py-4 border-b flex items-center gap-3">
+          <div className="size-9 rounded-xl bg-emerald-600 text-white grid place-items-center font-bold">C</div>
+          <div>
+            <div className="font-semibold leading-4">capitalmind</div>
+            <div className="text-xs text-emerald-700">premium</div>
+          </div>
         </div>
-      </div>
-      <nav className="p-2 text-sm">
-        <SideLink to="/" icon={<HomeIcon className="size-4"/>} label="Home"/>
-        <SideLink to="/portfolio" icon={<PieChart className="size-4"/>} label="Portfolios"/>
-      </nav>
-      <div className="mt-auto text-xs text-gray-500 px-5 py-4 border-t">CMP1Y · Valid till Apr 19, 2025</div>
-    </aside>
-    <main className="flex-1">
-      <Topbar/>
-      <div className="max-w-7xl mx-auto p-4 md:p-6 lg:p-8">{children}</div>
-    </main>
-  </div>
-);
+        <nav className="p-2 text-sm">
+          <SideLink to="/" icon={<HomeIcon className="size-4"/>} label="Home"/>
+          <SideLink to="/portfolio" icon={<PieChart className="size-4"/>} label="Portfolios" end/>
+          {saved.length > 0 && (
+            <div className="ml-5 pl-2 border-l grid max-h-80 overflow-y-auto">
+              {saved.map(p => <SideLink key={p.id} to={portfolioPath(p.id)} label={p.name} nested/>)}
+            </div>
+          )}
+        </nav>
+        <PlanFooter/>
+      </aside>
+      <main className="flex-1">
+        <Topbar/>
+        <div className="max-w-7xl mx-auto p-4 md:p-6 lg:p-8">
+          <PlanErrorNotice/>
+          <RenewalNotice/>
+          {children}
+        </div>
+      </main>
+    </div>
+  );
+}
+
+function PlanFooter() {
+  const { subscription, status, loading, error, configured } = useSubscription();
+  const expired = status?.state === "expired";
+  return (
+    <div className="mt-auto text-xs text-gray-500 px-5 py-4 border-t grid gap-0.5">
+      {loading ? "Checking your plan…" : !subscription ? (
+        <span className="text-amber-700" title={error}>{configured ? "Plan details unavailable" : "Plan not configured"}</span>
+      ) : (
+        <>
+          {subscription.user.name && <span className="font-medium text-gray-700 truncate">{subscription.user.name}</span>}
+          <span className={expired ? "text-red-600" : status.state === "expiring" ? "text-amber-700" : ""}>
+            {subscription.plan.code} · {expired ? "Expired" : "Valid till"} {formatExpiry(subscription.expires)}
+          </span>
+          {error && <span className="text-amber-700" title={error}>Last known plan; couldn’t refresh it</span>}
+        </>
+      )}
+    </div>
+  );
+}
+
+function PlanErrorNotice() {
+  // The plan couldn't be fetched (or no service is configured). Only an
+  // expired plan locks anything, so the app stays open on the last plan this
+  // browser saw, or with no plan at all, and says so here.
+  const { subscription, error, configured, reload } = useSubscription();
+  const [dismissed, setDismissed] = useState(false);
+  if (!error || dismissed) return null;
+  return (
+    <div className="mb-4 rounded-xl border border-amber-200 bg-amber-50 text-amber-800 px-4 py-3 text-sm flex items-center gap-3 print:hidden">
+      <span>
+        {configured ? `Couldn’t check your subscription (${error}).` : "Subscriptions aren’t configured for this build (set VITE_SUBSCRIPTION_URL)."}
+        {subscription
+          ? ` Going by your last known plan, ${subscription.plan.code}, valid till ${formatExpiry(subscription.expires)}.`
+          : " Portfolio analytics and research stay open in the meantime."}
+      </span>
+      {configured && (
+        <a className="font-medium underline whitespace-nowrap" href="#retry" onClick={(e) => { e.preventDefault(); reload(); }}>Try again</a>
+      )}
+      <span className="ml-auto">
+        <IconButton title="Dismiss" onClick={() => setDismissed(true)}><X className="size-4"/></IconButton>
+      </span>
+    </div>
+  );
+}
+
+function RenewalNotice() {
+  // a reminder from renewalWarningDays before expiry (dismissable until the
+  // next load) and, once expired, a standing note
+  const { subscription, status } = useSubscription();
+  const [dismissed, setDismissed] = useState(false);
+  if (!status || status.state === "active" || (dismissed && status.state === "expiring")) return null;
+  const { plan, expires, renewUrl } = subscription;
+  const expired = status.state === "expired";
+  const when = expired ? `ended on ${formatExpiry(expires)}`
+    : status.daysLeft === 0 ? "ends today" : `ends in ${status.daysLeft} day${status.daysLeft === 1 ? "" : "s"}, on ${formatExpiry(expires)}`;
+  return (
+    <div className={`mb-4 rounded-xl border px-4 py-3 text-sm flex items-center gap-3 print:hidden ${expired ? "border-red-200 bg-red-50 text-red-800" : "border-amber-200 bg-amber-50 text-amber-800"}`}>
+      <span>
+        Your {plan.name} plan ({plan.code}) {when}.
+        {expired ? " Portfolio analytics and research posts are locked until you renew." : " Renew to keep access to portfolio analytics and research."}
+      </span>
+      {renewUrl && <a className="font-medium underline whitespace-nowrap" href={renewUrl} target="_blank" rel="noreferrer">Renew</a>}
+      {!expired && (
+        <span className="ml-auto">
+          <IconButton title="Dismiss" onClick={() => setDismissed(true)}><X className="size-4"/></IconButton>
+        </span>
+      )}
+    </div>
+  );
+}
 
 const Topbar = () => (
   <div className="h-12 md:hidden sticky top-0 bg-white border-b flex items-center gap-2 px-4 z-10">
@@ -35,22 +129,24 @@ const Topbar = () => (
   </div>
 );
 
-const SideLink = ({ to, icon, label }) => (
+const SideLink = ({ to, icon, label, end = false, nested = false }) => (
   <NavLink
     to={to}
+    end={end}
+    title={nested ? label : undefined}
     className={({ isActive }) =>
-      `flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-gray-100 transition ${
-        isActive ? "bg-gray-100 font-medium" : ""
+      `flex items-center gap-3 rounded-lg hover:bg-gray-100 transition ${nested ? "px-2 py-1.5 text-xs text-gray-600" : "px-3 py-2"} ${
+        isActive ? "bg-gray-100 font-medium text-gray-900" : ""
       }`
     }
   >
     {icon}
-    <span>{label}</span>
+    <span className="truncate">{label}</span>
   </NavLink>
 );
 
-const Card = ({ title, subtitle, right, children, className = "" }) => (
-  <section className={`bg-white rounded-2xl shadow-sm border p-5 ${className}`}>
+const Card = ({ id, title, subtitle, right, children, className = "" }) => (
+  <section id={id} className={`bg-white rounded-2xl shadow-sm border p-5 scroll-mt-16 md:scroll-mt-4 ${className}`}>
     <div className="flex items-center justify-between mb-4">
       <div>
         <h2 className="text-lg font-semibold">{title}</h2>
@@ -66,335 +162,574 @@ const Pill = ({ children }) => (
   <span className="px-2.5 py-1 text-xs rounded-full bg-gray-100 text-gray-700">{children}</span>
 );
 
-// ---------- Helpers for Excel parsing & returns ----------
-// --- improved helpers ---
-
-const lookbackPeriods = {
-  "1D": 1,
-  "1W": 7,
-  "1M": 30,
-  "3M": 90,
-  "6M": 180,
-  "1Y": 365,
-  "3Y": 365 * 3,
-  "5Y": 365 * 5
-};
+// ---------- Remembered column mappings ----------
+// Keyed by the sheet's column signature (header names as first parsed), so the
+// next file with the same layout opens with the same sheet row/columns chosen.
+const MAPPINGS_KEY = "portfolio-ui:column-mappings";
 
-function coerceDate(v) {
-  // Robust date coercion for:
-  // - JS Date objects
-  // - Excel serial numbers (as number)
-  // - numeric strings that represent Excel serials or timestamps
-  // - ISO/locale date strings
-  if (v == null) return new Date(NaN);
-  if (v instanceof Date) return v;
-
-  // If it's already a number (Excel serials often come as numbers)
-  if (typeof v === "number") {
-    const dc = XLSX.SSF.parse_date_code(v);
-    if (dc && dc.y) {
-      // use local Date (keeps behaviour simple)
-      return new Date(dc.y, (dc.m || 1) - 1, dc.d || 1, dc.H || 0, dc.M || 0, Math.floor(dc.S || 0));
-    }
-    // fallback: treat as JS timestamp (ms) or Excel serial -> convert Excel serial to JS date
-    // Excel serial 1 -> 1900-01-01 (but many libs treat differently); parse_date_code handles typical cases.
-    // If parse_date_code failed, try serial -> Date via 1899-12-30 base (Excel serial to unix ms)
-    if (!Number.isNaN(v)) {
-      // treat as Excel serial (days since 1899-12-30)
-      const ms = (v - 25569) * 86400 * 1000; // 25569 = days between 1899-12-30 and 1970-01-01
-      const d = new Date(ms);
-      return isNaN(+d) ? new Date(NaN) : d;
-    }
-    return new Date(NaN);
-  }
+function columnSignature(wb, sheetName) {
+  // header names of the first sheet row; "" for a sheet without data rows
+  const cells = wb.Sheets[sheetName] ?? [];
+  const hasData = cells.some((r, i) => i > 0 && r.some(v => v != null));
+  return hasData ? sheetHeader(wb, sheetName).join("|") : "";
+}
 
-  // strings: try trimming
-  const s = String(v).trim();
-  if (s === "") return new Date(NaN);
+function loadMapping(signature) {
+  if (!signature) return null;
+  try {
+    return JSON.parse(localStorage.getItem(MAPPINGS_KEY) || "{}")[signature] ?? null;
+  } catch {
+    return null;
+  }
+}
 
-  // If string looks like a pure number, try number path
-  if (/^-?\d+(\.\d+)?$/.test(s)) {
-    const n = Number(s);
-    return coerceDate(n);
+function saveMapping(signature, mapping) {
+  if (!signature) return;
+  try {
+    const all = JSON.parse(localStorage.getItem(MAPPINGS_KEY) || "{}");
+    all[signature] = mapping;
+    localStorage.setItem(MAPPINGS_KEY, JSON.stringify(all));
+  } catch {
+    // storage full or disabled: the mapping just won't be remembered
   }
+}
+
+function resolveMapping(wb, sheetName) {
+  // Remembered mapping for this sheet's layout if there is one, else auto-detect.
+  const signature = columnSignature(wb, sheetName);
+  const saved = loadMapping(signature);
+  const headerRow = saved?.headerRow ?? 0;
+  const rows = sheetRows(wb, sheetName, headerRow);
+  const detected = detectColumns(rows);
+  const keys = rows.length ? Object.keys(rows[0]) : [];
+  const pick = (k, fallback) => (k && keys.includes(k) ? k : fallback);
+  return {
+    signature,
+    saved: Boolean(saved),
+    headerRow,
+    rows,
+    detected,
+    dateKey: pick(saved?.dateKey, detected.dateKey),
+    navKey: pick(saved?.navKey, detected.navKey),
+    dateOrder: saved?.dateOrder ?? "auto",
+  };
+}
 
-  // Try Date.parse (ISO/local formats)
-  const d = new Date(s);
-  if (!isNaN(+d)) return d;
+// ---------- Export ----------
+function tableToSheet({ columns, rows }) {
+  const aoa = [
+    columns.map(c => c.label),
+    ...rows.map(r => columns.map(c => (Number.isFinite(r[c.key]) || typeof r[c.key] === "string" ? r[c.key] : null))),
+  ];
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  columns.forEach((c, ci) => {
+    if (!c.fmt) return;
+    for (let ri = 1; ri <= rows.length; ri++) {
+      const cell = ws[XLSX.utils.encode_cell({ r: ri, c: ci })];
+      if (cell?.t === "n") cell.z = c.fmt;
+    }
+  });
+  return ws;
+}
 
-  // Last resort: try parse_date_code on numeric portion
-  const maybeNum = parseFloat(s);
-  if (!Number.isNaN(maybeNum)) return coerceDate(maybeNum);
+function downloadWorkbook(tables, filename) {
+  const wb = XLSX.utils.book_new();
+  for (const t of tables) XLSX.utils.book_append_sheet(wb, tableToSheet(t), t.name);
+  XLSX.writeFile(wb, `${filename}.xlsx`);
+}
 
-  return new Date(NaN);
+function downloadCsv(table, filename) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, tableToSheet(table), table.name);
+  XLSX.writeFile(wb, `${filename} - ${table.name}.csv`, { bookType: "csv" });
 }
 
-function isDateLike(v) {
-  const d = coerceDate(v);
-  return !isNaN(+d);
+function fmtNum(v, digits = 2) {
+  return v == null || Number.isNaN(v) ? "—" : v.toFixed(digits);
 }
 
-function isNumericLike(v) {
-  if (v == null) return false;
-  if (typeof v === "number" && !Number.isNaN(v)) return true;
-  if (typeof v === "string") {
-    // allow numeric strings with commas/space trimmed
-    const s = v.trim().replace(/,/g, "");
-    return s !== "" && !Number.isNaN(Number(s));
-  }
-  return false;
+let portfolioSeq = 0;
+function newPortfolioId() {
+  // plain word characters only: ids double as Recharts dataKeys
+  return `p${Date.now().toString(36)}${(portfolioSeq++).toString(36)}`;
 }
 
-function detectColumns(rows) {
-  // Find best date column and best numeric NAV column.
-  if (!rows?.length) return { dateKey: null, navKey: null };
+const seriesColors = ["#059669", "#2563eb", "#d97706", "#dc2626", "#7c3aed", "#0891b2", "#db2777", "#65a30d"];
+const seriesColor = (i) => seriesColors[i % seriesColors.length];
+
+// rows per chart; longer histories are thinned in the worker (see thinRows)
+const chartPoints = 1500;
+
+// what the portfolio page shows before the first analysis arrives
+const emptyAnalysis = {
+  summary: null,
+  navigator: [],
+  comparison: { start: null, data: [] },
+  trailingRows: [],
+  table: [],
+  months: [],
+  calendar: null,
+  risk: null,
+  episodes: [],
+  relativeRows: [],
+};
 
-  const sampleSize = Math.min(rows.length, 50);
-  const keys = Object.keys(rows[0]);
+function fmtMoney(v) {
+  // rupees, grouped the Indian way (12,34,567)
+  return v == null || Number.isNaN(v) ? "—" : `₹${Math.round(v).toLocaleString("en-IN")}`;
+}
 
-  // Score each key for date-likeness and numeric-likeness
-  const scores = keys.map(k => {
-    let dateCount = 0, numCount = 0;
-    for (let i = 0; i < sampleSize; i++) {
-      const v = rows[i][k];
-      if (isDateLike(v)) dateCount++;
-      if (isNumericLike(v)) numCount++;
-    }
-    return { key: k, dateCount, numCount };
-  });
+function fmtPct(v, digits = 1) {
+  if (v === null || v === undefined) return "—";
+  if (typeof v === "number") return (v * 100).toFixed(digits) + "%";
+  // If v already looks like a percent number (e.g., small fractional string), try coercion
+  const n = Number(v);
+  if (!Number.isNaN(n)) return (n * 100).toFixed(digits) + "%";
+  return "—";
+}
 
-  // Choose dateKey: highest dateCount and at least >60% of sample
-  const threshold = Math.ceil(sampleSize * 0.6);
-  const dateCandidates = scores.filter(s => s.dateCount >= threshold).sort((a,b) => b.dateCount - a.dateCount);
-  let dateKey = dateCandidates.length ? dateCandidates[0].key : null;
 
-  // If no column passes threshold, pick the single best dateCount if it has at least something
-  if (!dateKey) {
-    const bestDate = scores.slice().sort((a,b) => b.dateCount - a.dateCount)[0];
-    if (bestDate && bestDate.dateCount > 0) dateKey = bestDate.key;
-  }
+// ---------- Local library (IndexedDB) ----------
+// Saved portfolios keep the cleaned inputs (date/NAV points) plus how they were
+// read (source mapping), never computed metrics, so metric changes just
+// recompute on load. Entries carry `schema`; bump SCHEMA_VERSION and add a
+// step to `migrations` whenever the stored shape changes. Entries are
+// upgraded in order as they are read and written back.
+//
+// entry: { schema, id, name, order, inWorkspace, savedAt,
+//          source: { fileName, sheet, headerRow, dateKey, navKey, dateOrder, excludedRows },
+//          points: [{ date: "YYYY-MM-DD", nav }],
+//          flows?: [{ date: "YYYY-MM-DD", amount }],    (ledger imports only, for XIRR)
+//          actions?: [{ date: "YYYY-MM-DD", type, value }] }   (corporate actions)
+// Dates are stored as labels so a library opened in another time zone keeps its days.
+const DB_NAME = "portfolio-ui";
+const DB_VERSION = 1;
+const LIBRARY_STORE = "portfolios";
+const SCHEMA_VERSION = 2;
+
+function storedDay(d) {
+  // Schema 1 kept Date objects: UTC midnight when read from "YYYY-MM-DD"
+  // text, local midnight otherwise. Take the day each of them meant.
+  const utcMidnight = d.getUTCHours() === 0 && d.getUTCMinutes() === 0 && d.getUTCSeconds() === 0;
+  return utcMidnight ? d.toISOString().slice(0, 10) : toLabel(d);
+}
 
-  // Choose navKey: highest numCount and at least >60% OR fallback to best numeric column
-  const numCandidates = scores.filter(s => s.numCount >= threshold).sort((a,b) => b.numCount - a.numCount);
-  let navKey = numCandidates.length ? numCandidates[0].key : null;
-  if (!navKey) {
-    const bestNum = scores.slice().sort((a,b) => b.numCount - a.numCount)[0];
-    if (bestNum && bestNum.numCount > 0) navKey = bestNum.key;
-  }
+// migrations[n] upgrades an entry from schema n to n + 1
+const migrations = {
+  1: (e) => ({
+    ...e,
+    points: e.points.map(p => ({ ...p, date: storedDay(p.date) })),
+    ...(e.flows ? { flows: e.flows.map(f => ({ ...f, date: storedDay(f.date) })) } : {}),
+  }),
+};
 
-  return { dateKey, navKey };
-}
-
-function toSeries(rows, dateKey, navKey) {
-  if (!rows?.length || !dateKey || !navKey) return [];
-
-  // Build cleaned records with valid date + numeric nav
-  const mapByDate = new Map(); // keep last record for a date (so duplicates overwrite)
-  for (const r of rows) {
-    const d = coerceDate(r[dateKey]);
-    if (isNaN(+d)) continue;
-    const rawNav = r[navKey];
-    if (!isNumericLike(rawNav)) continue;
-    const nav = Number(String(rawNav).trim().replace(/,/g, ""));
-    if (Number.isNaN(nav)) continue;
-    // normalize date to midnight UTC/local? keep actual Date instance
-    const key = d.toISOString().slice(0, 10); // YYYY-MM-DD
-    // keep last occurrence in sheet for same date (similar to Excel last entry)
-    mapByDate.set(key, { date: d, nav });
+function migrateEntry(entry) {
+  let e = entry;
+  while ((e.schema ?? 0) < SCHEMA_VERSION) {
+    const from = e.schema ?? 0;
+    const step = migrations[from];
+    e = step ? step(e) : e;
+    e.schema = from + 1;
   }
+  return e;
+}
 
-  const clean = Array.from(mapByDate.values()).sort((a,b) => +a.date - +b.date);
-  if (!clean.length) return [];
-
-  // Compute equity (start 100), returns, drawdown
-  let equity = 100;
-  let peak = 100;
-  const out = [];
-  let prevNav = null;
-  for (let i = 0; i < clean.length; i++) {
-    const cur = clean[i];
-    let ret = 0;
-    if (prevNav !== null && prevNav !== 0) {
-      ret = (cur.nav / prevNav) - 1;
-    } else {
-      ret = 0;
+function openLibraryDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
     }
-    equity = equity * (1 + ret);
-    peak = Math.max(peak, equity);
-    const dd = (equity / peak) - 1; // negative or zero
-    out.push({
-      date: cur.date,
-      dateLabel: cur.date.toISOString().slice(0, 10),
-      nav: cur.nav,
-      equity: Number(equity.toFixed(2)),
-      drawdown: Number((dd * 100).toFixed(2)),
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(LIBRARY_STORE)) db.createObjectStore(LIBRARY_STORE, { keyPath: "id" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function libraryTx(mode, fn) {
+  // Runs fn(store) in one transaction; resolves with fn's request result once committed.
+  const db = await openLibraryDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(LIBRARY_STORE, mode);
+      const req = fn(tx.objectStore(LIBRARY_STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
     });
-    prevNav = cur.nav;
+  } finally {
+    db.close();
   }
-  return out;
 }
 
-function calculateTrailingReturns(series) {
-  if (!series.length) return {};
+const library = {
+  async list() {
+    const stored = (await libraryTx("readonly", store => store.getAll())) ?? [];
+    const outdated = stored.filter(e => (e.schema ?? 0) < SCHEMA_VERSION);
+    const entries = stored.map(migrateEntry);
+    if (outdated.length) {
+      const ids = new Set(outdated.map(e => e.id));
+      await library.putMany(entries.filter(e => ids.has(e.id)));
+    }
+    return entries.sort((a, b) => a.order - b.order);
+  },
+  putMany(entries) {
+    return libraryTx("readwrite", store => {
+      for (const e of entries) store.put(e);
+    });
+  },
+  remove(id) {
+    return libraryTx("readwrite", store => store.delete(id));
+  },
+};
+
+function toEntry(p) {
+  // in-memory portfolio → stored entry (drops the derived series)
+  return {
+    schema: SCHEMA_VERSION,
+    id: p.id,
+    name: p.name,
+    order: p.order,
+    inWorkspace: p.inWorkspace,
+    savedAt: p.savedAt,
+    source: p.source ?? null,
+    points: p.series.map(s => ({ date: s.dateLabel, nav: s.nav })),
+    ...(p.flows ? { flows: p.flows.map(f => ({ ...f, date: toLabel(f.date) })) } : {}),
+    ...(p.actions?.length ? { actions: p.actions.map(a => ({ date: toLabel(a.date), type: a.type, value: a.value })) } : {}),
+  };
+}
+
+function fromEntry(e) {
+  // stored entry → in-memory portfolio with its series rebuilt
+  return withActions({
+    id: e.id,
+    name: e.name,
+    order: e.order,
+    inWorkspace: e.inWorkspace,
+    savedAt: e.savedAt,
+    source: e.source,
+    series: withEquity(e.points.map(p => ({ ...p, date: fromLabel(p.date) }))),
+    ...(e.flows ? { flows: e.flows.map(f => ({ ...f, date: fromLabel(f.date) })) } : {}),
+    ...(e.actions ? { actions: e.actions.map(a => ({ ...a, date: fromLabel(a.date) })) } : {}),
+  });
+}
+
+// `series` is always the NAV as imported. A portfolio with corporate actions
+// also gets `views`: the price and total-return series built from it, which
+// the page swaps in for `series` (see seriesBases).
+function withActions(p) {
+  if (!p.actions?.length) return { ...p, actions: null, views: null };
+  const { price, total } = applyActions(p.series.map(s => ({ date: s.date, nav: s.nav })), p.actions);
+  return { ...p, views: { price: withEquity(price), total: withEquity(total) } };
+}
 
-  const latest = series[series.length - 1];
-  const endDate = latest.date;
-  const endNav = latest.nav;
+// ---------- Saved portfolios, app-wide ----------
+// The library is read once at startup and shared through context, so the
+// sidebar, the portfolio routes and research posts all see the same list.
+// Pages change it with setSaved and write entries back themselves.
+const LibraryContext = createContext(null);
+
+function LibraryProvider({ children }) {
+  const [saved, setSaved] = useState([]); // [{ id, name, order, inWorkspace, savedAt, source, series }]
+  const [loaded, setLoaded] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    library.list()
+      .then(entries => {
+        if (cancelled) return;
+        // keep anything uploaded while the library was still loading
+        setSaved(prev => [...entries.map(fromEntry), ...prev.filter(p => !entries.some(e => e.id === p.id))]);
+      })
+      .catch(err => !cancelled && setStorageError(err.message))
+      .finally(() => !cancelled && setLoaded(true));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  const value = useMemo(() => ({ saved, setSaved, loaded, storageError, setStorageError }), [saved, loaded, storageError]);
+  return <LibraryContext.Provider value={value}>{children}</LibraryContext.Provider>;
+}
 
-  const result = {};
-  result['YTD'] = calculateYTD(series);
+const useLibrary = () => useContext(LibraryContext);
+
+// ---------- Subscription ----------
+// The user's plan (see src/subscription.js): VITE_SUBSCRIPTION_URL, else the
+// mock backend under `npm run dev`. A build has no fallback: without the URL
+// it says the plan isn't configured rather than inventing one.
+// Loaded once at startup and shared through context, like the library.
+const subscriptionUrl = import.meta.env.VITE_SUBSCRIPTION_URL || (import.meta.env.DEV ? "/api/subscription" : null);
+const unconfiguredError = "No subscription service is configured for this build (set VITE_SUBSCRIPTION_URL)";
+
+// the last plan fetched, so an outage or a flaky network doesn't cost access
+const PLAN_KEY = "portfolio-ui:subscription";
+
+function loadLastPlan() {
+  try {
+    const stored = localStorage.getItem(PLAN_KEY);
+    return stored ? parseSubscription(JSON.parse(stored)) : null;
+  } catch {
+    return null;
+  }
+}
 
-  for (const [label, days] of Object.entries(lookbackPeriods)) {
-    const past = findClosest(series, endDate, days);
-    result[label] = past ? (endNav / past.nav - 1) : null;
+function saveLastPlan(sub) {
+  try {
+    localStorage.setItem(PLAN_KEY, JSON.stringify(sub));
+  } catch {
+    // storage full or disabled: a failed fetch just has no plan to fall back on
   }
+}
 
-  // SI (Since Inception)
-  const first = series[0];
-  result['SI'] = (endNav / first.nav - 1);
+const SubscriptionContext = createContext(null);
+
+function SubscriptionProvider({ children }) {
+  const [subscription, setSubscription] = useState(() => (subscriptionUrl ? loadLastPlan() : null));
+  const [error, setError] = useState(subscriptionUrl ? null : unconfiguredError);
+  const [attempt, setAttempt] = useState(0);
+  // bumped at midnight so a tab left open re-checks the plan on the day it lapses
+  const [day, setDay] = useState(() => toLabel(new Date()));
+  useEffect(() => {
+    const midnight = new Date();
+    midnight.setHours(24, 0, 0, 0);
+    const timer = setTimeout(() => setDay(toLabel(new Date())), midnight - Date.now() + 1000);
+    return () => clearTimeout(timer);
+  }, [day]);
+  useEffect(() => {
+    if (!subscriptionUrl) return;
+    let cancelled = false;
+    fetchSubscription(subscriptionUrl)
+      .then(sub => {
+        if (cancelled) return;
+        setSubscription(sub);
+        saveLastPlan(sub);
+      })
+      .catch(err => !cancelled && setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [attempt]);
+  const value = useMemo(() => ({
+    subscription,
+    day,
+    loading: !subscription && !error,
+    error,
+    configured: Boolean(subscriptionUrl),
+    reload: () => {
+      if (!subscriptionUrl) return;
+      setError(null);
+      setAttempt(n => n + 1);
+    },
+  }), [subscription, day, error]);
+  return <SubscriptionContext.Provider value={value}>{children}</SubscriptionContext.Provider>;
+}
 
-  // Drawdown
-  result['DD'] = latest.drawdown / 100; // convert to decimal
-  result['Max DD'] = Math.min(...series.map(s => s.drawdown)) / 100;
+// The status is worked out on every render rather than cached with the
+// document, so it follows the clock (and the midnight tick above).
+const useSubscription = () => {
+  const context = useContext(SubscriptionContext);
+  return { ...context, status: context.subscription ? subscriptionStatus(context.subscription) : null };
+};
 
-  return result;
+function Premium({ children }) {
+  // premium routes lock only once the plan has expired; while it can't be
+  // checked they stay open under PlanErrorNotice
+  const { subscription, status, loading } = useSubscription();
+  if (loading) return <div className="text-sm text-gray-600">Checking your subscription…</div>;
+  if (status?.state === "expired") {
+    const { plan, expires, renewUrl } = subscription;
+    return (
+      <Card title="Your subscription has expired" subtitle={`${plan.name} (${plan.code}) ended on ${formatExpiry(expires)}. Renew to open portfolio analytics and research posts again; your saved portfolios stay in this browser.`}>
+        <div className="flex gap-4 text-sm">
+          {renewUrl && <a className="font-medium text-emerald-700" href={renewUrl} target="_blank" rel="noreferrer">Renew your plan →</a>}
+          <Link className="text-emerald-700" to="/">← Home</Link>
+        </div>
+      </Card>
+    );
+  }
+  return children;
 }
 
-function calculateYTD(series) {
-  const latest = series[series.length - 1];
-  const yearStart = new Date(latest.date.getFullYear(), 0, 1);
-  const start = series.find(p => p.date >= yearStart);
-  if (!start) return null;
-  return (latest.nav / start.nav - 1);
+// ---------- Research posts ----------
+// Markdown/JSON files in src/content/posts (format in posts.js), bundled at
+// build time. A post's `portfolio` names a model portfolio in
+// src/content/portfolios ({ name, points: [{ date, nav }] }) or, failing that,
+// a saved portfolio in the library.
+const posts = loadPosts(import.meta.glob("./content/posts/*.{md,json}", { query: "?raw", import: "default", eager: true }));
+const modelPortfolios = import.meta.glob("./content/portfolios/*.json", { import: "default", eager: true });
+
+function usePostPortfolio(ref) {
+  // → { name, series, id? } (id: saved portfolios) | { name, locked } (a model
+  //   portfolio outside the plan) | null (none / not found)
+  //   | undefined (the library or the plan is still loading)
+  const { saved, loaded } = useLibrary();
+  const { subscription, error } = useSubscription();
+  const model = ref ? modelPortfolios[`./content/portfolios/${ref}.json`] : null;
+  const match = ref && !model ? saved.find(p => p.id === ref || p.name.toLowerCase() === ref.toLowerCase()) : null;
+  // with no plan to go by (see PlanErrorNotice), model portfolios stay open too
+  const entitled = !model ? null : subscription ? isEntitled(subscription, ref) : error ? true : null;
+  return useMemo(() => {
+    if (!ref) return null;
+    if (model && entitled === null) return undefined;
+    if (model && !entitled) return { name: model.name, locked: true };
+    if (model) return { name: model.name, series: withEquity(model.points.map(p => ({ date: fromLabel(p.date), nav: p.nav }))) };
+    if (match) return { id: match.id, name: match.name, series: match.views?.total ?? match.series };
+    return loaded ? null : undefined;
+  }, [ref, model, entitled, match, loaded]);
 }
 
-function findClosest(series, endDate, days) {
-  const target = new Date(endDate);
-  target.setDate(target.getDate() - days);
-  let closest = null;
-  for (let i = series.length - 1; i >= 0; i--) {
-    if (series[i].date <= target) {
-      closest = series[i];
-      break;
-    }
-  }
-  return closest;
+function PostPortfolioChart({ portfolio, height = "h-28" }) {
+  const first = portfolio.series[0];
+  const last = portfolio.series[portfolio.series.length - 1];
+  return (
+    <div>
+      <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+        {portfolio.id
+          ? <Link className="font-medium text-emerald-700" to={portfolioPath(portfolio.id)}>{portfolio.name}</Link>
+          : <span className="font-medium text-gray-700">{portfolio.name}</span>}
+        <span className="tabular-nums">{fmtPct(last.equity / 100 - 1)} since {formatPostDate(first.dateLabel)}</span>
+      </div>
+      <div className={height}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={portfolio.series} margin={{ top: 4, right: 4, left: 4, bottom: 4 }}>
+            <XAxis dataKey="dateLabel" hide />
+            <YAxis domain={["auto", "auto"]} hide />
+            <Tooltip labelFormatter={(l) => `Date: ${l}`} formatter={(v) => [fmtNum(v), "Equity"]}/>
+            <ReferenceLine y={100} stroke="#d1d5db" strokeDasharray="3 3" />
+            <Line type="monotone" dataKey="equity" stroke={seriesColor(0)} strokeWidth={2} dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
 }
 
-function trailingReturnsTable(name, series) {
-  const trailing = calculateTrailingReturns(series);
-  return {
-    name,
-    YTD: fmtPct(trailing['YTD']),
-    '1D': fmtPct(trailing['1D']),
-    '1W': fmtPct(trailing['1W']),
-    '1M': fmtPct(trailing['1M']),
-    '3M': fmtPct(trailing['3M']),
-    '6M': fmtPct(trailing['6M']),
-    '1Y': fmtPct(trailing['1Y']),
-    '3Y': fmtPct(trailing['3Y']),
-    '5Y': fmtPct(trailing['5Y']),
-    'SI': fmtPct(trailing['SI']),
-    'DD': fmtPct(trailing['DD']),
-    'Max DD': fmtPct(trailing['Max DD'])
-  };
-}
-
-function monthlyReturns(series) {
-  // series: array of {date:Date, nav:number,...}
-  // Output: { table, months } where table is rows per year with month returns and YTD
-  if (!series || !series.length) return { table: [], months: [] };
-
-  // Build last NAV by YYYY-MM (end-of-month style)
-  const lastByMonth = new Map(); // key => { year, month, nav }
-  for (const p of series) {
-    const y = p.date.getFullYear();
-    const m = p.date.getMonth() + 1;
-    const key = `${y}-${String(m).padStart(2, "0")}`;
-    // keep last (later date) for the month by overwriting
-    lastByMonth.set(key, { year: y, month: m, nav: p.nav });
+function PostPortfolio({ refName, compact = false }) {
+  const portfolio = usePostPortfolio(refName);
+  if (portfolio === undefined) return null;
+  if (portfolio?.locked) {
+    return (
+      <p className={`text-gray-500 ${compact ? "text-xs" : "text-sm"}`}>
+        The {portfolio.name} model portfolio isn’t part of your plan.
+      </p>
+    );
   }
-
-  // Collect all keys sorted
-  const keys = Array.from(lastByMonth.keys()).sort();
-
-  // Build quick lookup for nav by key
-  const navLookup = key => (lastByMonth.has(key) ? lastByMonth.get(key).nav : null);
-
-  // Build rows for each found year-month with MOM relative to previous calendar month
-  const rows = [];
-  for (const key of keys) {
-    const [yStr, mStr] = key.split("-");
-    const y = Number(yStr);
-    const m = Number(mStr);
-    const val = navLookup(key);
-    // previous calendar month: if m>1 -> same year m-1, else year-1 month 12
-    const prevKey = m > 1 ? `${y}-${String(m - 1).padStart(2, "0")}` : `${y - 1}-12`;
-    const prevVal = navLookup(prevKey);
-    const mom = (prevVal != null && prevVal !== 0) ? (val / prevVal - 1) : null;
-    rows.push({ year: y, month: m, nav: val, ret: mom });
+  if (!portfolio) {
+    return compact ? null : (
+      <p className="text-sm text-gray-500">
+        This post refers to the portfolio “{refName}”; add it on the <Link className="text-emerald-700" to="/portfolio">Portfolios</Link> page to see its chart.
+      </p>
+    );
   }
+  return <PostPortfolioChart portfolio={portfolio} height={compact ? "h-20" : "h-48"}/>;
+}
 
-  // Group by year (latest first)
-  const years = [...new Set(rows.map(r => r.year))].sort((a, b) => b - a);
-  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-
-  const table = years.map(y => {
-    const rec = { Year: y };
-    let ytdAcc = 1;
-    let anyMonth = false;
-    months.forEach((name, idx) => {
-      const m = idx + 1;
-      const rr = rows.find(r => r.year === y && r.month === m);
-      const v = rr ? rr.ret : null;
-      rec[name] = v;
-      if (v != null) {
-        anyMonth = true;
-        ytdAcc *= (1 + v);
-      }
-    });
-    rec["YTD"] = anyMonth ? (ytdAcc - 1) : null;
-    return rec;
-  });
+const TagLink = ({ tag, active, to }) => (
+  <Link to={to} className={`px-2.5 py-1 text-xs rounded-full ${active ? "bg-emerald-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"}`}>
+    {tag}
+  </Link>
+);
 
-  return { table, months };
+function MarkdownInline({ nodes }) {
+  return nodes.map((n, i) => {
+    if (n.type === "text") return <React.Fragment key={i}>{n.text}</React.Fragment>;
+    if (n.type === "code") return <code key={i} className="px-1 rounded bg-gray-100 text-[0.9em]">{n.text}</code>;
+    const children = <MarkdownInline nodes={n.children}/>;
+    if (n.type === "strong") return <strong key={i}>{children}</strong>;
+    if (n.type === "em") return <em key={i}>{children}</em>;
+    // links: app routes through the router, the rest in a new tab
+    if (n.href.startsWith("/")) return <Link key={i} className="text-emerald-700 underline" to={n.href}>{children}</Link>;
+    const external = !n.href.startsWith("#");
+    return (
+      <a key={i} className="text-emerald-700 underline" href={n.href} {...(external ? { target: "_blank", rel: "noreferrer" } : {})}>
+        {children}
+      </a>
+    );
+  });
 }
 
-function fmtPct(v) {
-  if (v === null || v === undefined) return "—";
-  if (typeof v === "number") return (v * 100).toFixed(1) + "%";
-  // If v already looks like a percent number (e.g., small fractional string), try coercion
-  const n = Number(v);
-  if (!Number.isNaN(n)) return (n * 100).toFixed(1) + "%";
-  return "—";
-}
+const headingClasses = { 1: "text-2xl", 2: "text-xl", 3: "text-lg", 4: "text-base" };
 
+const MarkdownBody = ({ blocks }) => (
+  <div className="grid gap-4 text-gray-700 leading-relaxed">
+    {blocks.map((b, i) => {
+      if (b.type === "heading") {
+        const H = `h${Math.min(b.level + 1, 6)}`; // the post title is the page's h1
+        return <H key={i} className={`${headingClasses[b.level]} font-semibold text-gray-900 mt-2`}><MarkdownInline nodes={b.children}/></H>;
+      }
+      if (b.type === "paragraph") return <p key={i}><MarkdownInline nodes={b.children}/></p>;
+      if (b.type === "quote") {
+        return <blockquote key={i} className="border-l-4 border-emerald-200 pl-4 text-gray-600 italic"><MarkdownInline nodes={b.children}/></blockquote>;
+      }
+      if (b.type === "list") {
+        const List = b.ordered ? "ol" : "ul";
+        return (
+          <List key={i} className={`pl-5 grid gap-1 ${b.ordered ? "list-decimal" : "list-disc"}`}>
+            {b.items.map((item, j) => <li key={j}><MarkdownInline nodes={item}/></li>)}
+          </List>
+        );
+      }
+      if (b.type === "code") return <pre key={i} className="p-3 rounded-lg bg-gray-50 border text-sm overflow-x-auto"><code>{b.text}</code></pre>;
+      return <hr key={i}/>;
+    })}
+  </div>
+);
 
 // ---------- Pages ----------
+// Portfolio analysis is addressable: /portfolio/:id selects a saved portfolio
+// (showing it even when it isn't in the workspace), /portfolio/:id/:section
+// scrolls to one card, and /compare?ids=a,b shows exactly those portfolios.
+// The range, benchmark (vs), risk-free rate (rf), highlighted drawdown (dd),
+// series basis (basis), resampling (freq) and alignment (align) are query
+// params on all of them. Ids are library ids, so links work in the browser
+// whose library holds those portfolios.
+const portfolioSections = ["returns", "equity", "risk", "benchmark", "drawdowns", "rolling", "distribution", "projection", "simulator"];
+const defaultRiskFreePct = 6.5;
+
+// which view of portfolios with corporate actions the page shows (?basis=price)
+const seriesBases = {
+  total: "Total return (payouts reinvested)",
+  price: "Price (splits & bonuses adjusted)",
+};
+
+const portfolioPath = (id, section = null) => `/portfolio/${encodeURIComponent(id)}${section ? `/${section}` : ""}`;
+
+function NotFoundPage({ title = "Page not found", message = "There is nothing at this address." }) {
+  return (
+    <Card title={title} subtitle={message}>
+      <div className="flex gap-4 text-sm">
+        <Link className="text-emerald-700" to="/">← Home</Link>
+        <Link className="text-emerald-700" to="/portfolio">Portfolios</Link>
+      </div>
+    </Card>
+  );
+}
+
 function HomePage() {
-  const posts = [
-    {
-      id: 1,
-      title: "CM Fixed Income: Exiting Banking & PSU to Add a New Gilt Fund",
-      date: "Apr 18, 2024",
-      excerpt: "We are increasing the duration of our Fixed Income portfolio to reflect the current macro conditions. We want to take advantage of the current higher rates to further increase the duration of the Gilt funds we hold…",
-      href: "#",
-    },
-    {
-      id: 2,
-      title: "Craftsman Automation: Poised for Growth Amid Temporary Headwinds",
-      date: "Apr 05, 2024",
-      excerpt: "Craftsman excels in making precise parts for cars and machines. Amidst temporary headwinds, it looks resilient with a focus on growth and innovation…",
-      href: "#",
-    },
-    {
-      id: 3,
-      title: "The Focused Way of Investing: Our Four-Quadrant Strategy and FY24 Review",
-      date: "Apr 03, 2024",
-      excerpt: "FY24 brought us a 42% gain in our Focused portfolio, gently outperforming the Nifty. It’s been a bit of a rollercoaster, but that’s part of equity investing…",
-      href: "#",
-    },
-  ];
+  // tag, search and page live in the URL (?tag=&q=&page=) so a filtered
+  // feed can be bookmarked and Back steps through pages
+  const [params, setParams] = useSearchParams();
+  const tag = params.get("tag");
+  const query = params.get("q") ?? "";
+  const tags = useMemo(() => postTags(posts), []);
+  const matches = useMemo(() => filterPosts(posts, { tag, query }), [tag, query]);
+  const { page, pages, items } = paginate(matches, params.get("page"));
+
+  const withParams = (changes) => {
+    // current params with `changes` applied; any filter change goes back to page 1
+    const next = new URLSearchParams(params);
+    if (!("page" in changes)) next.delete("page");
+    for (const [k, v] of Object.entries(changes)) {
+      if (v == null || v === "" || (k === "page" && v === 1)) next.delete(k);
+      else next.set(k, String(v));
+    }
+    return next;
+  };
+  const linkTo = (changes) => ({ search: withParams(changes).toString() });
 
   return (
     <div className="grid gap-6">
@@ -402,166 +737,2750 @@ function HomePage() {
         <p className="text-sm text-gray-600">Explore how we pick portfolios, manage risk and keep it simple.</p>
       </Card>
 
-      <div className="grid md:grid-cols-2 gap-6">
-        {posts.map(p => (
-          <Card key={p.id} title={p.title} subtitle={p.date} right={<a className="text-emerald-700 text-sm" href={p.href}>Read full post →</a>}>
-            <p className="text-sm text-gray-600 line-clamp-3">{p.excerpt}</p>
-          </Card>
-        ))}
-      </div>
+      <Card title="Research" subtitle={`${matches.length} of ${posts.length} posts${tag ? ` tagged “${tag}”` : ""}${query ? ` matching “${query}”` : ""}`}
+        right={
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setParams(withParams({ q: e.target.value }), { replace: true })}
+            placeholder="Search posts"
+            aria-label="Search posts"
+            className="border rounded-lg px-3 py-1.5 text-sm w-48 md:w-64"
+          />
+        }
+      >
+        <div className="flex flex-wrap gap-2">
+          <TagLink tag="all" active={!tag} to={linkTo({ tag: null })}/>
+          {tags.map(t => (
+            <TagLink key={t.tag} tag={`${t.tag} (${t.count})`} active={t.tag === tag} to={linkTo({ tag: t.tag === tag ? null : t.tag })}/>
+          ))}
+        </div>
+      </Card>
+
+      {!items.length ? (
+        <p className="text-sm text-gray-600">No posts match. <Link className="text-emerald-700" to={{ search: "" }}>Clear filters</Link></p>
+      ) : (
+        <div className="grid md:grid-cols-2 gap-6">
+          {items.map(p => (
+            <Card key={p.slug} title={<Link to={`/posts/${p.slug}`} className="hover:text-emerald-700">{p.title}</Link>} subtitle={formatPostDate(p.date)}
+              right={<Link className="text-emerald-700 text-sm whitespace-nowrap" to={`/posts/${p.slug}`}>Read full post →</Link>}
+            >
+              <div className="grid gap-3">
+                <p className="text-sm text-gray-600 line-clamp-3">{p.excerpt}</p>
+                {p.portfolio && <PostPortfolio refName={p.portfolio} compact/>}
+                {p.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {p.tags.map(t => <TagLink key={t} tag={t} active={t === tag} to={linkTo({ tag: t })}/>)}
+                  </div>
+                )}
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {pages > 1 && (
+        <nav className="flex items-center justify-between text-sm">
+          {page > 1 ? <Link className="text-emerald-700" to={linkTo({ page: page - 1 })}>← Newer posts</Link> : <span/>}
+          <span className="text-gray-500">Page {page} of {pages}</span>
+          {page < pages ? <Link className="text-emerald-700" to={linkTo({ page: page + 1 })}>Older posts →</Link> : <span/>}
+        </nav>
+      )}
+    </div>
+  );
+}
+
+function PostPage() {
+  const { slug } = useParams();
+  const post = posts.find(p => p.slug === slug);
+  if (!post) {
+    return (
+      <Card title="Post not found" subtitle={`There is no post at /posts/${slug}.`}>
+        <Link className="text-emerald-700 text-sm" to="/">← Back to all posts</Link>
+      </Card>
+    );
+  }
+  return (
+    <div className="grid gap-4 max-w-3xl">
+      <Link className="text-emerald-700 text-sm" to="/">← All posts</Link>
+      <article className="bg-white rounded-2xl shadow-sm border p-5 md:p-8 grid gap-6">
+        <header className="grid gap-2">
+          <h1 className="text-2xl font-semibold">{post.title}</h1>
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-500">
+            <span>{formatPostDate(post.date)}</span>
+            {post.tags.map(t => <TagLink key={t} tag={t} to={`/?tag=${encodeURIComponent(t)}`}/>)}
+          </div>
+        </header>
+        {post.portfolio && <PostPortfolio key={post.slug} refName={post.portfolio}/>}
+        <MarkdownBody blocks={post.blocks}/>
+      </article>
     </div>
   );
 }
 
-function PortfolioPage() {
-  const [series, setSeries] = useState([]);
-  const [table, setTable] = useState([]);
-  const [months, setMonths] = useState([]);
+function PortfolioPage({ compare = false }) {
+  // Every uploaded portfolio lives in `saved` (mirrored to IndexedDB); the
+  // workspace is the subset with inWorkspace set, in library order. On
+  // /compare the ids in the URL replace the workspace.
+  const { saved, setSaved, loaded, storageError, setStorageError } = useLibrary();
+  const { id: routeId = null, section = null } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const idsParam = compare ? searchParams.get("ids") ?? "" : null;
+  const compareIds = useMemo(() => idsParam?.split(",").filter(Boolean) ?? null, [idsParam]);
+  const basis = searchParams.get("basis") === "price" ? "price" : "total";
+  const resample = resampleFrequencies[searchParams.get("freq")] ? searchParams.get("freq") : null;
+  const align = alignMethods[searchParams.get("align")] ? searchParams.get("align") : "locf";
+  const portfolios = useMemo(() => {
+    const shown = compareIds
+      ? compareIds.map(id => saved.find(p => p.id === id)).filter(Boolean)
+      : saved.filter(p => p.inWorkspace || p.id === routeId);
+    // every card below reads `series`, so swapping in the view (and the
+    // resampled copy) switches them all
+    return shown.map(p => {
+      const series = p.views ? p.views[basis] : p.series;
+      const shownSeries = resample ? withEquity(resampleSeries(series, resample)) : series;
+      return { ...p, series: shownSeries, frequency: seriesFrequency(shownSeries) };
+    });
+  }, [saved, compareIds, routeId, basis, resample]);
+  const frequencyIds = new Set(portfolios.map(p => p.frequency.id));
+  const withActionsShown = portfolios.filter(p => p.views);
+  const [pending, setPending] = useState([]); // workbooks waiting in the import wizard
+  const [showLedgerImport, setShowLedgerImport] = useState(false);
+  const [actionsFor, setActionsFor] = useState(null); // portfolio id in the corporate actions dialog
+  const [importError, setImportError] = useState(null);
   const fileInput = useRef(null);
 
-  const handleFile = async (file) => {
-    const buf = await file.arrayBuffer();
-    const wb = XLSX.read(buf, { type: "array" });
-    const ws = wb.Sheets[wb.SheetNames[0]];
-    const rows = XLSX.utils.sheet_to_json(ws, { defval: null });
-    const { dateKey, navKey } = detectColumns(rows);
-    if (!dateKey || !navKey) {
-      alert("Could not detect Date/NAV columns. Ensure the sheet has a Date column and a numeric NAV/Price column.");
-      return;
+  const updateParams = (changes) => {
+    // null/"" removes a param; replaces the history entry
+    const params = new URLSearchParams(searchParams);
+    for (const [k, v] of Object.entries(changes)) {
+      if (v == null || v === "") params.delete(k);
+      else params.set(k, v);
+    }
+    setSearchParams(params, { replace: true });
+  };
+
+  // Everything below describes the selected date range: the worker cuts each
+  // portfolio down to it and rebases before computing stats and chart rows.
+  const lastLabel = portfolios.reduce((max, p) => {
+    const l = p.series[p.series.length - 1]?.dateLabel;
+    return l && l > max ? l : max;
+  }, "");
+  const range = useMemo(() => resolveRange(searchParams, lastLabel), [searchParams, lastLabel]);
+
+  const setRange = (next) => updateParams({ range: null, from: null, to: null, ...next });
+
+  const activeId = compare ? searchParams.get("active") : routeId;
+  const active = portfolios.find(p => p.id === activeId) ?? portfolios[0] ?? null;
+  const benchmark = portfolios.find(p => p.id === searchParams.get("vs")) ?? null;
+  const rfParam = searchParams.get("rf");
+  const riskFreePct = rfParam != null && rfParam !== "" && Number.isFinite(Number(rfParam)) ? Number(rfParam) : defaultRiskFreePct; // annual, in percent
+  const riskFree = riskFreePct / 100;
+
+  const selectActive = (id) => {
+    // a new history entry, so Back returns to the previous portfolio
+    const params = new URLSearchParams(searchParams);
+    params.delete("dd"); // episodes belong to the previous portfolio
+    if (compare) {
+      params.set("active", id);
+      navigate({ search: params.toString() });
+    } else {
+      navigate({ pathname: portfolioPath(id, section), search: params.toString() });
+    }
+  };
+
+  // Stats and chart rows come from the worker; the cards keep the previous
+  // result while a new one is computed (and after a cancel).
+  const analysisInput = useMemo(() => (portfolios.length ? {
+    portfolios: portfolios.map(p => ({ id: p.id, name: p.name, series: share(p.series) })),
+    from: range.from,
+    to: range.to,
+    activeId: active?.id,
+    benchmarkId: benchmark?.id,
+    riskFree,
+    align,
+    chartPoints,
+  } : null), [portfolios, range.from, range.to, active?.id, benchmark?.id, riskFree, align]);
+  const analysis = useWorkerTask("analyze", analysisInput);
+  const { summary, navigator, comparison, trailingRows, table, months, calendar, risk, episodes, relativeRows } =
+    (portfolios.length && analysis.result) || emptyAnalysis;
+  const selectedEpisode = searchParams.get("dd"); // peakLabel of the highlighted row
+  const [showFactsheet, setShowFactsheet] = useState(false);
+
+  // Exports follow what's on screen: the selected range of every loaded
+  // portfolio. The tables are built in the worker when an export is picked.
+  const [exportError, setExportError] = useState(null);
+  const exportWith = async (save) => {
+    try {
+      setExportError(null);
+      save(await runTask("export", analysisInput).promise);
+    } catch (err) {
+      setExportError(`Export failed: ${err.message}`);
+    }
+  };
+  const rangeLabel = range.from || range.to
+    ? `${summary?.firstLabel ?? range.from} – ${summary?.lastLabel ?? range.to}`
+    : "Full history";
+  const exportName = [
+    portfolios.length === 1 ? portfolios[0].name : "Portfolios",
+    range.from || range.to ? rangeLabel.replace(" – ", " to ") : null,
+    withActionsShown.length && basis === "price" ? "(price)" : null,
+    resample ? `(${resampleFrequencies[resample].toLowerCase()})` : null,
+  ].filter(Boolean).join(" ");
+
+  // The charts start at comparison.start and plot thinned rows, so widen the
+  // highlighted window to the nearest labels they actually have.
+  const highlight = useMemo(() => {
+    const e = episodes.find(x => x.peakLabel === selectedEpisode);
+    const data = comparison.data;
+    if (!e || !data.length) return null;
+    const x2 = e.recoveryLabel ?? data[data.length - 1].dateLabel;
+    if (x2 < data[0].dateLabel) return null;
+    const i = labelIndex(data, e.peakLabel);
+    const from = data[i]?.dateLabel === e.peakLabel ? i : Math.max(0, i - 1);
+    const to = Math.min(labelIndex(data, x2), data.length - 1);
+    return { x1: data[from].dateLabel, x2: data[to].dateLabel };
+  }, [episodes, selectedEpisode, comparison]);
+
+  // Files and pasted text are read in the worker one at a time; cancelling
+  // stops the rest of the batch. Each workbook then goes through the import
+  // wizard.
+  const [reading, setReading] = useState(null); // { busy, progress, cancel }
+  const importSources = async (sources) => {
+    const books = [];
+    const failed = [];
+    for (const src of sources) {
+      const name = src.file?.name ?? src.name;
+      const run = runTask("read", src, (progress) => setReading(r => r && { ...r, progress }));
+      setReading({ busy: true, progress: null, cancel: run.cancel });
+      try {
+        books.push({ id: newPortfolioId(), fileName: name, wb: await run.promise });
+      } catch (err) {
+        if (err.name === "AbortError") break;
+        failed.push(`${name}: ${err.message}`);
+      }
+    }
+    setReading(null);
+    setImportError(failed.length ? `Could not read ${failed.join("; ")}` : null);
+    setPending(prev => [...prev, ...books]);
+  };
+
+  const handleFiles = (files) => importSources(files.map(file => ({ file })));
+
+  const handleText = (text, label = "Pasted data") => importSources([{ text, name: label }]);
+
+  const pasteFromClipboard = async () => {
+    try {
+      const text = await navigator.clipboard.readText();
+      if (text.trim()) handleText(text);
+      else setImportError("The clipboard is empty.");
+    } catch {
+      setImportError("Clipboard access was blocked — press Ctrl/⌘+V anywhere on this page instead.");
     }
-    const ser = toSeries(rows, dateKey, navKey);
-    setSeries(ser);
-    const m = monthlyReturns(ser);
-    setTable(m.table);
-    setMonths(m.months);
   };
 
+  // Ctrl/⌘+V outside form fields imports copied spreadsheet cells.
+  const handleTextRef = useRef(handleText);
+  handleTextRef.current = handleText;
+  useEffect(() => {
+    const onPaste = (e) => {
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      const text = e.clipboardData?.getData("text/plain") ?? "";
+      if (!text.includes("\n")) return; // a single cell is not a table
+      e.preventDefault();
+      handleTextRef.current(text);
+    };
+    document.addEventListener("paste", onPaste);
+    return () => document.removeEventListener("paste", onPaste);
+  }, []);
+
+  // The whole page is a drop target; the counter survives nested dragenter/leave.
+  const [dragging, setDragging] = useState(false);
+  const dragDepth = useRef(0);
+  const dropHandlers = {
+    onDragEnter: (e) => {
+      if (!e.dataTransfer?.types?.includes("Files")) return;
+      dragDepth.current++;
+      setDragging(true);
+    },
+    onDragLeave: () => {
+      dragDepth.current = Math.max(0, dragDepth.current - 1);
+      if (!dragDepth.current) setDragging(false);
+    },
+    onDragOver: (e) => e.preventDefault(),
+    onDrop: (e) => {
+      e.preventDefault();
+      dragDepth.current = 0;
+      setDragging(false);
+      if (e.dataTransfer.files?.length) handleFiles([...e.dataTransfer.files]);
+    },
+  };
+
+  const persist = (list) => {
+    library.putMany(list.map(toEntry)).catch(err => setStorageError(err.message));
+  };
+
+  const updateSaved = (next, changedIds) => {
+    setSaved(next);
+    persist(next.filter(p => changedIds.includes(p.id)));
+  };
+
+  const addPortfolios = (loaded) => {
+    const order = saved.reduce((max, p) => Math.max(max, p.order), -1) + 1;
+    const savedAt = new Date().toISOString();
+    const added = loaded.map((p, i) => ({ ...p, order: order + i, inWorkspace: true, savedAt }));
+    setSaved(prev => [...prev, ...added]);
+    persist(added);
+    navigate({ pathname: portfolioPath(added[0].id), search: searchParams.toString() });
+  };
+
+  const nextPending = () => setPending(prev => prev.slice(1));
+
+  const renamePortfolio = (id, name) =>
+    updateSaved(saved.map(p => (p.id === id ? { ...p, name } : p)), [id]);
+
+  // Removing from the workspace keeps the portfolio in the library.
+  const setInWorkspace = (id, inWorkspace) =>
+    updateSaved(saved.map(p => (p.id === id ? { ...p, inWorkspace } : p)), [id]);
+
+  const setActions = (id, actions) =>
+    updateSaved(saved.map(p => (p.id === id ? withActions({ ...p, actions }) : p)), [id]);
+
+  const compareLink = () => {
+    const params = new URLSearchParams(searchParams);
+    params.set("ids", portfolios.map(p => p.id).join(","));
+    params.set("active", active.id);
+    params.delete("dd");
+    return { pathname: "/compare", search: params.toString() };
+  };
+
+  const leaveRoute = (id) => {
+    // stop showing a portfolio the URL points at
+    if (compare) updateParams({ ids: compareIds.filter(x => x !== id).join(","), active: activeId === id ? null : activeId });
+    else if (id === routeId) navigate({ pathname: "/portfolio", search: searchParams.toString() }, { replace: true });
+  };
+
+  const removePortfolio = (id) => {
+    if (!compare) setInWorkspace(id, false);
+    leaveRoute(id);
+  };
+
+  const deletePortfolio = (id) => {
+    setSaved(prev => prev.filter(p => p.id !== id));
+    library.remove(id).catch(err => setStorageError(err.message));
+    leaveRoute(id);
+  };
+
+  const movePortfolio = (id, dir) => {
+    const i = saved.findIndex(p => p.id === id);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= saved.length) return;
+    const next = saved.slice();
+    [next[i], next[j]] = [{ ...next[j], order: next[i].order }, { ...next[i], order: next[j].order }];
+    updateSaved(next, [next[i].id, next[j].id]);
+  };
+
+  // Ledger-built portfolios also get a money-weighted return over their full
+  // cash-flow history, next to the time-weighted CAGR of the unitized NAV.
+  const activeFlows = active?.flows;
+  const fullActiveSeries = active?.series;
+  const moneyWeighted = useMemo(() => {
+    if (!activeFlows || !fullActiveSeries?.length) return null;
+    const first = fullActiveSeries[0], last = fullActiveSeries[fullActiveSeries.length - 1];
+    return {
+      xirr: xirr(activeFlows),
+      twr: annualize(last.nav / first.nav - 1, daysBetween(first.date, last.date)),
+    };
+  }, [activeFlows, fullActiveSeries]);
+
   const equityCards = useMemo(() => {
-    if (!series.length) return null;
-    const first = series[0].equity;
-    const last = series[series.length - 1].equity;
-    const ret = last / first - 1;
-    const maxDD = Math.min(...series.map(d => d.drawdown));
+    if (!summary) return null;
     return (
-      <div className="grid sm:grid-cols-3 gap-4">
-        <MiniStat label="Since Inception" value={fmtPct(ret)} />
-        <MiniStat label="Max Drawdown" value={`${maxDD.toFixed(1)}%`} />
-        <MiniStat label="Data Points" value={series.length} />
+      <div className={`grid gap-4 ${moneyWeighted ? "sm:grid-cols-5" : "sm:grid-cols-3"}`}>
+        <MiniStat label={range.from || range.to ? "Range Return" : "Since Inception"} value={fmtPct(summary.ret)} />
+        <MiniStat label="Max Drawdown" value={`${summary.maxDD.toFixed(1)}%`} />
+        <MiniStat label="Data Points" value={summary.points} />
+        {moneyWeighted && (
+          <>
+            <MiniStat label="XIRR (money-weighted)" value={fmtPct(moneyWeighted.xirr)} />
+            <MiniStat label="TWR CAGR (time-weighted)" value={fmtPct(moneyWeighted.twr)} />
+          </>
+        )}
       </div>
     );
-  }, [series]);
+  }, [summary, range.from, range.to, moneyWeighted]);
+
+  // /portfolio/:id/:section: bring that card into view once it has rendered
+  const hasResult = Boolean(analysis.result);
+  useEffect(() => {
+    if (section && hasResult) document.getElementById(section)?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [section, hasResult, active?.id]);
+
+  if (section && !portfolioSections.includes(section)) return <NotFoundPage/>;
+  if (routeId && loaded && !saved.some(p => p.id === routeId)) {
+    return <NotFoundPage title="Portfolio not found" message="It isn’t in this browser’s library: portfolio links only open where the portfolio was uploaded."/>;
+  }
+  const missingIds = compareIds && loaded ? compareIds.filter(id => !saved.some(p => p.id === id)) : [];
 
   return (
-    <div className="grid gap-6">
-      <Card title="Trailing Returns" subtitle="Upload the provided Excel and we’ll compute month-on-month returns & YTD by year."
+    <div className="grid gap-6 relative" {...dropHandlers}>
+      {dragging && (
+        <div className="fixed inset-0 z-30 bg-emerald-600/10 border-4 border-dashed border-emerald-600 grid place-items-center pointer-events-none">
+          <div className="bg-white rounded-2xl shadow-lg px-6 py-4 text-emerald-800 font-medium flex items-center gap-2">
+            <Upload className="size-5"/> Drop NAV files to import
+          </div>
+        </div>
+      )}
+
+      {pending.length > 0 && (
+        <ImportWizard
+          key={pending[0].id}
+          book={pending[0]}
+          onImport={(loaded) => {
+            addPortfolios(loaded);
+            nextPending();
+          }}
+          onSkip={nextPending}
+        />
+      )}
+
+      {actionsFor && saved.some(p => p.id === actionsFor) && (
+        <ActionsImport
+          portfolio={saved.find(p => p.id === actionsFor)}
+          onApply={(actions) => {
+            setActions(actionsFor, actions);
+            setActionsFor(null);
+          }}
+          onCancel={() => setActionsFor(null)}
+        />
+      )}
+
+      {showLedgerImport && (
+        <LedgerImport
+          onImport={(loaded) => {
+            addPortfolios(loaded);
+            setShowLedgerImport(false);
+          }}
+          onCancel={() => setShowLedgerImport(false)}
+        />
+      )}
+
+      {compare && (
+        <div className="text-sm text-gray-600 flex flex-wrap items-center gap-x-4 gap-y-1">
+          <span>
+            Comparing {portfolios.length} saved portfolio{portfolios.length === 1 ? "" : "s"}
+            {missingIds.length > 0 && <span className="text-amber-700"> · {missingIds.length} linked portfolio{missingIds.length === 1 ? " isn’t" : "s aren’t"} in this browser’s library</span>}
+          </span>
+          <Link className="text-emerald-700" to="/portfolio">← Back to workspace</Link>
+        </div>
+      )}
+
+      {portfolios.length > 0 && (
+        <RangeBar
+          range={range}
+          onChange={setRange}
+          data={navigator}
+          portfolios={portfolios}
+        />
+      )}
+
+      {portfolios.length > 0 && (
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm text-gray-600">
+          {withActionsShown.length > 0 && (
+            <label className="flex items-center gap-2">
+              Series
+              <select
+                value={basis}
+                onChange={(e) => updateParams({ basis: e.target.value === "price" ? "price" : null })}
+                className="border rounded-lg px-2 py-1.5 bg-white"
+              >
+                {Object.entries(seriesBases).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            </label>
+          )}
+          <label className="flex items-center gap-2">
+            Frequency
+            <select
+              value={resample ?? ""}
+              onChange={(e) => updateParams({ freq: e.target.value })}
+              className="border rounded-lg px-2 py-1.5 bg-white"
+            >
+              <option value="">As uploaded</option>
+              {Object.entries(resampleFrequencies).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </label>
+          {portfolios.length > 1 && (
+            <label className="flex items-center gap-2" title="How portfolios with different dates line up: carry each one's last NAV forward over every date, or keep only the dates they all have">
+              Align
+              <select
+                value={align}
+                onChange={(e) => updateParams({ align: e.target.value === "locf" ? null : e.target.value })}
+                className="border rounded-lg px-2 py-1.5 bg-white"
+              >
+                {Object.entries(alignMethods).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            </label>
+          )}
+          {(frequencyIds.size > 1 || !frequencyIds.has("daily")) && (
+            <span>
+              {portfolios.map(p => `${p.name}: ${p.frequency.id}`).join(" · ")}
+              {frequencyIds.size > 1 && " (mixed frequencies)"}
+            </span>
+          )}
+          {withActionsShown.length > 0 && (
+            <span>
+              Corporate actions applied to {withActionsShown.map(p => `${p.name} (${p.actions.length})`).join(", ")}
+            </span>
+          )}
+        </div>
+      )}
+
+      {active && !compare && (
+        <nav className="flex flex-wrap items-center gap-2 text-sm print:hidden">
+          <span className="text-gray-500">Jump to</span>
+          {portfolioSections.map(name => (
+            <Link key={name} to={{ pathname: portfolioPath(active.id, name), search: searchParams.toString() }}
+              className={`px-2.5 py-1 rounded-full capitalize ${name === section ? "bg-emerald-600 text-white" : "bg-gray-100 text-gray-700 hover:bg-gray-200"}`}
+            >
+              {name}
+            </Link>
+          ))}
+          {portfolios.length > 1 && (
+            <Link className="ml-auto text-emerald-700" to={compareLink()} title="A link that opens exactly these portfolios">
+              Link to this comparison →
+            </Link>
+          )}
+        </nav>
+      )}
+
+      <div className="fixed bottom-4 right-4 z-30 grid gap-2 print:hidden">
+        {reading && <TaskStatus task={reading} what="Reading file"/>}
+        <TaskStatus task={analysis} what="Computing analytics"/>
+      </div>
+
+      <Card id="returns" title="Trailing Returns" subtitle="Upload, drop or paste NAV history (Excel, ODS, CSV or JSON) and we’ll compute trailing returns, plus month-on-month returns & YTD by year."
         right={
-          <button
-            onClick={() => fileInput.current?.click()}
-            className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50"
-          >
-            <Upload className="size-4"/> Upload Excel
-          </button>
+          <div className="flex items-center gap-2">
+            {portfolios.length > 0 && (
+              <ExportMenu
+                tableNames={exportTableNames}
+                onExcel={() => exportWith(tables => downloadWorkbook(tables, exportName))}
+                onCsv={(name) => exportWith(tables => downloadCsv(tables.find(t => t.name === name), exportName))}
+                onFactsheet={() => setShowFactsheet(true)}
+              />
+            )}
+            {active && (
+              <button
+                onClick={() => setActionsFor(active.id)}
+                title={`Dividends/IDCW, splits and bonus issues for ${active.name}`}
+                className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50"
+              >
+                <Coins className="size-4"/> Corporate Actions
+              </button>
+            )}
+            <button
+              onClick={() => setShowLedgerImport(true)}
+              className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50"
+            >
+              <ListPlus className="size-4"/> Import Transactions
+            </button>
+            <button
+              onClick={pasteFromClipboard}
+              title="Paste cells copied from a spreadsheet"
+              className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50"
+            >
+              <ClipboardPaste className="size-4"/> Paste
+            </button>
+            <button
+              onClick={() => fileInput.current?.click()}
+              className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50"
+            >
+              <Upload className="size-4"/> Upload File
+            </button>
+          </div>
         }
       >
-        <input type="file" accept=".xlsx,.xls" ref={fileInput} className="hidden" onChange={(e) => e.target.files?.[0] && handleFile(e.target.files[0])}/>
-        {!table.length ? (
+        {importError && <div className="text-sm text-red-700 mb-3">{importError}</div>}
+        {exportError && <div className="text-sm text-red-700 mb-3">{exportError}</div>}
+        <input
+          type="file"
+          accept={importAccept}
+          multiple
+          ref={fileInput}
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files?.length) handleFiles([...e.target.files]);
+            e.target.value = ""; // allow re-uploading the same file
+          }}
+        />
+        {!portfolios.length ? (
           <div className="text-sm text-gray-600">
             Use the button above and select <span className="font-medium">Front end Assignment Historical NAV Report.xlsx</span>.
-            The app auto-detects the <span className="font-mono">Date</span> and <span className="font-mono">NAV</span> columns.
+            The app auto-detects the <span className="font-mono">Date</span> and <span className="font-mono">NAV</span> columns and lets you confirm them before import.
+            Upload several workbooks, or a workbook with several sheets, to compare portfolios side by side.
           </div>
         ) : (
-          <div className="overflow-x-auto">
-            <table className="w-full text-sm border-collapse">
-              <thead>
-                <tr>
-                  <th className="text-left p-2 border-b sticky left-0 bg-white z-10">Year</th>
-                  {months.map(m => (
-                    <th key={m} className="text-right p-2 border-b">{m}</th>
-                  ))}
-                  <th className="text-right p-2 border-b">YTD</th>
-                </tr>
-              </thead>
-              <tbody>
-                {table.map((row) => (
-                  <tr key={row.Year} className="hover:bg-gray-50">
-                    <td className="p-2 border-b font-medium sticky left-0 bg-white z-10">{row.Year}</td>
-                    {months.map(m => (
-                      <td key={m} className="p-2 border-b text-right tabular-nums">{fmtPct(row[m])}</td>
-                    ))}
-                    <td className="p-2 border-b text-right tabular-nums font-medium">{fmtPct(row.YTD)}</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
+          <div className="grid gap-6">
+            <PortfolioList
+              portfolios={portfolios}
+              activeId={active?.id}
+              onSelect={selectActive}
+              onRename={renamePortfolio}
+              onRemove={removePortfolio}
+            />
+            <TrailingReturnsTable rows={trailingRows}/>
+            {calendar && (
+              <ReturnsHeatmap
+                calendar={calendar}
+                active={active}
+                benchmark={benchmark?.id !== active?.id ? benchmark : null}
+                range={range}
+              />
+            )}
           </div>
         )}
       </Card>
 
-      <Card title="Equity Curve" subtitle="Normalized to 100 at start" right={<Pill>Live since first record</Pill>}>
-        {!series.length ? (
+      {(saved.length > 0 || storageError) && (
+        <Card title="Library" subtitle="Uploaded portfolios are saved in this browser. Load them into the workspace, rename, reorder or delete them.">
+          {storageError && (
+            <div className="text-sm text-amber-700 mb-3">Local storage is unavailable ({storageError}); portfolios won’t survive a reload.</div>
+          )}
+          {saved.length > 0 && (
+            <LibraryTable
+              entries={saved}
+              onRename={renamePortfolio}
+              onToggle={(id, on) => setInWorkspace(id, on)}
+              onMove={movePortfolio}
+              onDelete={deletePortfolio}
+            />
+          )}
+        </Card>
+      )}
+
+      <Card id="equity" title="Equity Curve" subtitle="Normalized to 100 at the first date all portfolios share"
+        right={<Pill>{comparison.start ? `Rebased ${comparison.start}` : "Live since first record"}</Pill>}
+      >
+        {!portfolios.length ? (
           <EmptyChartNote/>
+        ) : !comparison.start ? (
+          <NoOverlapNote/>
         ) : (
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={series} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <LineChart data={comparison.data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="dateLabel" minTickGap={48} />
                 <YAxis domain={["auto", "auto"]} />
-                <Tooltip formatter={(v, n) => n === "equity" ? [v, "Equity"] : [v, n]} labelFormatter={(l) => `Date: ${l}`}/>
-                <Line type="monotone" dataKey="equity" strokeWidth={2} dot={false} />
+                <Tooltip labelFormatter={(l) => `Date: ${l}`}/>
+                {portfolios.length > 1 && <Legend/>}
+                {highlight && <ReferenceArea x1={highlight.x1} x2={highlight.x2} fill="#f59e0b" fillOpacity={0.15} />}
+                {portfolios.map((p, i) => (
+                  <Line key={p.id} type="monotone" dataKey={p.id} name={p.name} stroke={seriesColor(i)} strokeWidth={2} dot={false} connectNulls />
+                ))}
               </LineChart>
             </ResponsiveContainer>
           </div>
         )}
+        {benchmark && comparison.start && relativeRows.length > 0 && (
+          <div className="mb-4">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Relative Strength vs {benchmark.name}</h3>
+            <div className="h-40">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={comparison.data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="dateLabel" minTickGap={48} />
+                  <YAxis domain={["auto", "auto"]} />
+                  <Tooltip labelFormatter={(l) => `Date: ${l}`}/>
+                  <ReferenceLine y={100} />
+                  {portfolios.map((p, i) => p.id !== benchmark.id && (
+                    <Line key={p.id} type="monotone" dataKey={`${p.id}_rs`} name={p.name} stroke={seriesColor(i)} strokeWidth={1.5} dot={false} connectNulls />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        )}
         {equityCards}
       </Card>
 
-      <Card title="Drawdown" subtitle="Depth from prior peak (percentage)">
-        {!series.length ? (
+      {risk && active && (
+        <Card id="risk" title="Risk Statistics" subtitle={`${active.name} · ${risk.observations} ${risk.frequency.label} returns, annualized ×${risk.frequency.periods}`}
+          right={
+            <label className="text-sm text-gray-600 flex items-center gap-2">
+              Risk-free
+              <input
+                type="number"
+                step="0.25"
+                value={riskFreePct}
+                onChange={(e) => {
+                  const pct = Number(e.target.value) || 0;
+                  updateParams({ rf: pct === defaultRiskFreePct ? null : pct });
+                }}
+                className="w-20 border rounded-lg px-2 py-1.5 text-right tabular-nums"
+              />
+              %
+            </label>
+          }
+        >
+          <RiskPanel risk={risk}/>
+        </Card>
+      )}
+
+      {portfolios.length > 1 && (
+        <Card id="benchmark" title="Relative to Benchmark" subtitle={`Alignment: ${alignMethods[align]} · alpha over a ${riskFreePct}% risk-free rate`}
+          right={
+            <select
+              value={benchmark?.id ?? ""}
+              onChange={(e) => updateParams({ vs: e.target.value || null })}
+              className="text-sm border rounded-lg px-2 py-1.5 bg-white"
+            >
+              <option value="">Choose benchmark…</option>
+              {portfolios.map(p => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+            </select>
+          }
+        >
+          {!benchmark ? (
+            <div className="text-sm text-gray-600">Pick one of the loaded series (e.g. the Nifty) as the benchmark.</div>
+          ) : (
+            <BenchmarkStatsTable rows={relativeRows}/>
+          )}
+        </Card>
+      )}
+
+      <Card id="drawdowns" title="Drawdown" subtitle="Depth from prior peak since the common start (percentage)">
+        {!portfolios.length ? (
           <EmptyChartNote/>
+        ) : !comparison.start ? (
+          <NoOverlapNote/>
         ) : (
           <div className="h-64">
             <ResponsiveContainer width="100%" height="100%">
-              <AreaChart data={series} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <AreaChart data={comparison.data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="dateLabel" minTickGap={48} />
                 <YAxis tickFormatter={(v) => `${v}%`} domain={[dataMin => Math.min(-50, Math.floor(dataMin)), 0]} />
-                <Tooltip formatter={(v) => [`${v}%`, "Drawdown"]} labelFormatter={(l) => `Date: ${l}`}/>
+                <Tooltip formatter={(v, n) => [`${v}%`, n]} labelFormatter={(l) => `Date: ${l}`}/>
+                {portfolios.length > 1 && <Legend/>}
                 <ReferenceLine y={0} />
-                <Area type="monotone" dataKey="drawdown" dot={false} strokeWidth={1.5} fillOpacity={0.15} />
+                {highlight && <ReferenceArea x1={highlight.x1} x2={highlight.x2} fill="#f59e0b" fillOpacity={0.15} />}
+                {portfolios.map((p, i) => (
+                  <Area key={p.id} type="monotone" dataKey={`${p.id}_dd`} name={p.name} stroke={seriesColor(i)} fill={seriesColor(i)} dot={false} strokeWidth={1.5} fillOpacity={0.15} connectNulls />
+                ))}
               </AreaChart>
             </ResponsiveContainer>
           </div>
         )}
       </Card>
+
+      {episodes.length > 0 && active && (
+        <Card title="Top Drawdowns" subtitle={`${active.name} · deepest peak-to-trough episodes in the selected range. Click a row to highlight it on the charts.`}>
+          <DrawdownEpisodesTable
+            episodes={episodes}
+            selected={selectedEpisode}
+            onSelect={(label) => updateParams({ dd: label === selectedEpisode ? null : label })}
+          />
+        </Card>
+      )}
+
+      {showFactsheet && active && (
+        <Factsheet
+          active={active}
+          portfolios={portfolios}
+          rangeLabel={rangeLabel}
+          comparison={comparison}
+          trailingRows={trailingRows}
+          risk={risk}
+          table={table}
+          months={months}
+          onClose={() => setShowFactsheet(false)}
+        />
+      )}
+
+      {portfolios.length > 0 && (
+        <RollingCard portfolios={portfolios} range={range} benchmark={benchmark} riskFree={riskFree} align={align}/>
+      )}
+
+      {active && <DistributionCard active={active} range={range}/>}
+
+      {active && <ProjectionCard active={active} range={range}/>}
+
+      {active && <SimulatorCard key={active.id} active={active}/>}
     </div>
   );
 }
 
-const MiniStat = ({ label, value }) => (
-  <div className="rounded-xl border p-4 bg-gray-50">
-    <div className="text-xs text-gray-500">{label}</div>
-    <div className="text-xl font-semibold tabular-nums">{value}</div>
-  </div>
-);
+function RangeBar({ range, onChange, data, portfolios }) {
+  // Preset buttons, custom from/to inputs and a brush over the full history.
+  // The brush only commits on drag end so a drag doesn't recompute every card.
+  const first = data[0]?.dateLabel ?? "";
+  const last = data[data.length - 1]?.dateLabel ?? "";
+  const indexOf = (label, fallback) => {
+    if (!label) return fallback;
+    const i = data.findIndex(d => d.dateLabel >= label);
+    return i === -1 ? data.length - 1 : i;
+  };
+  const startIndex = indexOf(range.from, 0);
+  let endIndex = range.to ? data.findLastIndex(d => d.dateLabel <= range.to) : data.length - 1;
+  if (endIndex < startIndex) endIndex = startIndex;
 
-const EmptyChartNote = () => (
-  <div className="text-sm text-gray-600 flex items-center gap-2">
-    <BarChart3 className="size-4"/> Upload the Excel above to render charts.
-  </div>
-);
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border p-5 grid gap-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium mr-1">Range</span>
+        {rangePresets.map(p => (
+          <button
+            key={p}
+            onClick={() => onChange({ range: p === "Max" ? null : p })}
+            className={`px-3 py-1.5 rounded-lg border ${range.preset === p ? "bg-gray-100 font-medium" : "hover:bg-gray-50"}`}
+          >
+            {p}
+          </button>
+        ))}
+        <span className="ml-auto flex items-center gap-2 text-gray-600">
+          From
+          <input
+            type="date"
+            value={range.from ?? first}
+            min={first}
+            max={last}
+            onChange={(e) => onChange({ from: e.target.value, to: range.to ?? "" })}
+            className="border rounded-lg px-2 py-1"
+          />
+          to
+          <input
+            type="date"
+            value={range.to ?? last}
+            min={first}
+            max={last}
+            onChange={(e) => onChange({ from: range.from ?? "", to: e.target.value })}
+            className="border rounded-lg px-2 py-1"
+          />
+        </span>
+      </div>
+      {data.length > 1 && (
+        <div className="h-14">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data} margin={{ top: 0, right: 20, left: 20, bottom: 0 }}>
+              <XAxis dataKey="dateLabel" hide />
+              <Brush
+                key={`${startIndex}-${endIndex}`}
+                dataKey="dateLabel"
+                height={48}
+                startIndex={startIndex}
+                endIndex={endIndex}
+                travellerWidth={8}
+                onDragEnd={({ startIndex: a, endIndex: b }) =>
+                  onChange({ from: data[a].dateLabel, to: data[b].dateLabel })
+                }
+              >
+                <LineChart data={data}>
+                  {portfolios.map((p, i) => (
+                    <Line key={p.id} dataKey={p.id} stroke={seriesColor(i)} dot={false} connectNulls />
+                  ))}
+                </LineChart>
+              </Brush>
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </section>
+  );
+}
+
+function TaskStatus({ task, what }) {
+  // Progress of a worker task with a Cancel button while it runs; after a
+  // cancel or failure, a note (with Recompute when the task can re-run).
+  const box = "bg-white border rounded-xl shadow-lg px-4 py-3 text-sm flex items-center gap-3";
+  if (task.busy) {
+    const { label, done = 0, total = 1 } = task.progress ?? {};
+    return (
+      <div className={box}>
+        <span className="text-gray-700">{label ?? what}…</span>
+        <div className="w-32 h-1.5 rounded-full bg-gray-100 overflow-hidden">
+          <div className="h-full bg-emerald-600" style={{ width: `${Math.round((done / total) * 100)}%` }}/>
+        </div>
+        <button onClick={task.cancel} className="px-2 py-1 rounded-lg border text-xs hover:bg-gray-50">Cancel</button>
+      </div>
+    );
+  }
+  if (!task.cancelled && !task.error) return null;
+  return (
+    <div className={box}>
+      <span className={task.error ? "text-red-700" : "text-amber-700"}>
+        {task.error ? `${what} failed: ${task.error}` : `${what} cancelled — figures may be out of date.`}
+      </span>
+      {task.retry && (
+        <a
+          href="#"
+          onClick={(e) => {
+            e.preventDefault();
+            task.retry();
+          }}
+          className="underline decoration-dotted"
+        >
+          Recompute
+        </a>
+      )}
+    </div>
+  );
+}
+
+function ImportWizard({ book, onImport, onSkip }) {
+  // Preview of one workbook: pick the sheet, header row and Date/NAV columns
+  // (pre-filled from a remembered mapping or auto-detection) before import.
+  const { fileName, wb } = book;
+  const base = fileName.replace(/\.[^.]+$/, "");
+  const multi = wb.SheetNames.length > 1;
+  const defaultName = (sheet) => (multi ? `${base} · ${sheet}` : base);
+
+  const [sheet, setSheet] = useState(wb.SheetNames[0]);
+  const [mapping, setMapping] = useState(() => resolveMapping(wb, wb.SheetNames[0]));
+  const [name, setName] = useState(defaultName(wb.SheetNames[0]));
+  const [remember, setRemember] = useState(true);
+  const [gapDays, setGapDays] = useState(5);
+  const [movePct, setMovePct] = useState(10);
+  const [overrides, setOverrides] = useState({}); // row index → exclude?
+  const [focusRow, setFocusRow] = useState(null);
+
+  const { rows, detected, headerRow, dateKey, navKey, dateOrder } = mapping;
+  const keys = rows.length ? Object.keys(rows[0]) : [];
+  // Quality report, exclusions and the series are built in the worker.
+  const prepareInput = useMemo(
+    () => (dateKey && navKey ? { rows: share(rows), dateKey, navKey, dateOrder, gapDays, moveThreshold: movePct / 100, overrides } : null),
+    [rows, dateKey, navKey, dateOrder, gapDays, movePct, overrides]
+  );
+  const prepared = useWorkerTask("prepare", prepareInput);
+  const quality = prepared.result?.quality ?? null;
+  const excluded = useMemo(() => new Set(prepared.result?.excluded), [prepared.result]);
+  const series = prepared.result?.series ?? [];
+  const [importing, setImporting] = useState(null); // "Import all sheets" in the worker
+
+  const resetReview = () => {
+    setOverrides({});
+    setFocusRow(null);
+  };
+
+  const changeSheet = (next) => {
+    setSheet(next);
+    setMapping(resolveMapping(wb, next));
+    setName(defaultName(next));
+    resetReview();
+  };
+
+  const changeColumn = (field, key) => {
+    setMapping(m => ({ ...m, [field]: key || null }));
+    resetReview();
+  };
+
+  const changeDateOrder = (next) => {
+    setMapping(m => ({ ...m, dateOrder: next }));
+    resetReview();
+  };
+
+  const changeHeaderRow = (next) => {
+    resetReview();
+    const nextRows = sheetRows(wb, sheet, next);
+    const nextDetected = detectColumns(nextRows);
+    setMapping(m => ({
+      ...m,
+      saved: false,
+      headerRow: next,
+      rows: nextRows,
+      detected: nextDetected,
+      dateKey: nextDetected.dateKey,
+      navKey: nextDetected.navKey,
+    }));
+  };
+
+  const rememberCurrent = () => {
+    if (remember) saveMapping(mapping.signature, { headerRow, dateKey, navKey, dateOrder });
+  };
+
+  const sourceOf = (sh, m, exclude) => ({
+    fileName,
+    sheet: sh,
+    headerRow: m.headerRow,
+    dateKey: m.dateKey,
+    navKey: m.navKey,
+    dateOrder: m.dateOrder,
+    excludedRows: [...exclude],
+  });
+
+  const importSheet = () => {
+    rememberCurrent();
+    onImport([{ id: newPortfolioId(), name: name.trim() || defaultName(sheet), series, source: sourceOf(sheet, mapping, excluded) }]);
+  };
+
+  const importAllSheets = async () => {
+    // The other sheets use their remembered mapping or auto-detection and
+    // the default exclusions.
+    rememberCurrent();
+    const others = wb.SheetNames.filter(sh => sh !== sheet).map(sh => {
+      const saved = loadMapping(columnSignature(wb, sh));
+      return {
+        sheet: sh,
+        headerRow: saved?.headerRow ?? 0,
+        dateKey: saved?.dateKey ?? null,
+        navKey: saved?.navKey ?? null,
+        dateOrder: saved?.dateOrder ?? "auto",
+      };
+    });
+    const run = runTask("prepareSheets", { book: share(wb.Sheets), sheets: others }, (progress) => setImporting(t => t && { ...t, progress }));
+    setImporting({ busy: true, progress: null, cancel: run.cancel });
+    let prepared;
+    try {
+      prepared = await run.promise;
+    } catch (err) {
+      setImporting(err.name === "AbortError" ? null : { error: err.message });
+      return;
+    }
+    setImporting(null);
+    const loaded = wb.SheetNames.map(sh => {
+      if (sh === sheet) {
+        return { id: newPortfolioId(), name: name.trim() || defaultName(sh), series, source: sourceOf(sh, mapping, excluded) };
+      }
+      const m = prepared.find(x => x.sheet === sh);
+      return { id: newPortfolioId(), name: defaultName(sh), series: m.series, source: sourceOf(sh, m, m.excluded) };
+    }).filter(p => p.series.length);
+    if (loaded.length) onImport(loaded);
+  };
+
+  const score = (k) => detected.scores.find(x => x.key === k);
+  const previewStart = focusRow == null ? 0 : Math.max(0, focusRow - 3);
+  const pct = (v) => `${Math.round((v ?? 0) * 100)}%`;
+  const lookalikes = detected.scores.filter(x => x.key !== dateKey && x.numeric >= 0.6).length;
+  const select = "text-sm border rounded-lg px-2 py-1.5 bg-white w-full";
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/30 grid place-items-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border w-full max-w-5xl max-h-full overflow-auto p-5 grid gap-4 text-gray-900">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h2 className="text-lg font-semibold">Import {fileName}</h2>
+            <p className="text-sm text-gray-500">Check the detected columns before the analytics are computed.</p>
+          </div>
+          {mapping.saved && <Pill>Using saved mapping</Pill>}
+        </div>
+
+        <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-3 text-sm">
+          <label className="grid gap-1">
+            <span className="text-gray-600">Sheet</span>
+            <select value={sheet} onChange={(e) => changeSheet(e.target.value)} className={select}>
+              {wb.SheetNames.map(sh => <option key={sh} value={sh}>{sh}</option>)}
+            </select>
+          </label>
+          <label className="grid gap-1">
+            <span className="text-gray-600">Header row</span>
+            <input
+              type="number"
+              min={1}
+              value={headerRow + 1}
+              onChange={(e) => changeHeaderRow(Math.max(0, (Number(e.target.value) || 1) - 1))}
+              className="border rounded-lg px-2 py-1.5"
+            />
+          </label>
+          <label className="grid gap-1">
+            <span className="text-gray-600">Date column</span>
+            <select value={dateKey ?? ""} onChange={(e) => changeColumn("dateKey", e.target.value)} className={select}>
+              <option value="">—</option>
+              {keys.map(k => <option key={k} value={k}>{k} · {pct(score(k)?.date)} dates</option>)}
+            </select>
+          </label>
+          <label className="grid gap-1">
+            <span className="text-gray-600">Date format</span>
+            <select value={dateOrder} onChange={(e) => changeDateOrder(e.target.value)} className={select}>
+              {dateOrders.map(o => (
+                <option key={o.id} value={o.id}>
+                  {o.id === "auto" && quality?.dateOrder ? `Auto · ${dateOrders.find(x => x.id === quality.dateOrder).label}` : o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="grid gap-1">
+            <span className="text-gray-600">NAV column</span>
+            <select value={navKey ?? ""} onChange={(e) => changeColumn("navKey", e.target.value)} className={select}>
+              <option value="">—</option>
+              {keys.map(k => <option key={k} value={k}>{k} · {pct(score(k)?.numeric)} numeric</option>)}
+            </select>
+          </label>
+          <label className="grid gap-1">
+            <span className="text-gray-600">Portfolio name</span>
+            <input value={name} onChange={(e) => setName(e.target.value)} className="border rounded-lg px-2 py-1.5"/>
+          </label>
+        </div>
+
+        <div className="text-sm">
+          {!dateKey || !navKey ? (
+            <span className="text-red-700">Could not detect Date/NAV columns. Pick them above, or try another sheet or header row.</span>
+          ) : prepared.busy ? (
+            <span className="text-gray-600">{prepared.progress?.label ?? "Reading rows"}…</span>
+          ) : prepared.error ? (
+            <span className="text-red-700">Could not read the rows: {prepared.error}</span>
+          ) : !series.length ? (
+            <span className="text-red-700">No rows have both a valid date in “{dateKey}” and a number in “{navKey}”.</span>
+          ) : (
+            <span className="text-gray-600">
+              {series.length} points from {series[0].dateLabel} to {series[series.length - 1].dateLabel}.
+              {lookalikes > 1 && <span className="text-amber-700"> {lookalikes} columns are mostly numeric — make sure the NAV column is the right one.</span>}
+              {quality?.dateOrderGuessed && (
+                <span className="text-amber-700"> Dates like 03/04 could be read either way; they are read as DD/MM — pick a Date format if that's wrong.</span>
+              )}
+            </span>
+          )}
+        </div>
+
+        {dateKey && navKey && quality && (
+          <DataQualityReport
+            quality={quality}
+            excluded={excluded}
+            sheetRow={(i) => headerRow + i + 2}
+            onShow={setFocusRow}
+            onToggle={(i) => setOverrides(o => ({ ...o, [i]: !excluded.has(i) }))}
+            gapDays={gapDays}
+            onGapDays={setGapDays}
+            movePct={movePct}
+            onMovePct={setMovePct}
+          />
+        )}
+
+        <div className="overflow-x-auto border rounded-xl">
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr>
+                <th className="text-right p-2 border-b text-gray-400">Row</th>
+                {keys.map(k => (
+                  <th
+                    key={k}
+                    className={`text-left p-2 border-b whitespace-nowrap ${k === dateKey ? "bg-emerald-50" : k === navKey ? "bg-blue-50" : ""}`}
+                  >
+                    {k}
+                    {k === dateKey && <span className="ml-1 text-emerald-700">(date)</span>}
+                    {k === navKey && <span className="ml-1 text-blue-700">(NAV)</span>}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(previewStart, previewStart + 8).map((r, j) => {
+                const i = previewStart + j;
+                return (
+                  <tr key={i} className={`${i === focusRow ? "bg-amber-50" : ""} ${excluded.has(i) ? "line-through text-gray-400" : ""}`}>
+                    <td className="p-2 border-b text-right text-gray-400 tabular-nums">{headerRow + i + 2}</td>
+                    {keys.map(k => (
+                      <td key={k} className={`p-2 border-b whitespace-nowrap tabular-nums ${k === dateKey ? "bg-emerald-50" : k === navKey ? "bg-blue-50" : ""}`}>
+                        {r[k] == null ? "" : String(r[k])}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="text-sm text-gray-600 flex items-center gap-2 mr-auto">
+            <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)}/>
+            Remember this mapping for files with the same columns
+          </label>
+          {importing && <TaskStatus task={importing} what="Importing sheets"/>}
+          <button onClick={onSkip} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Skip file</button>
+          {multi && (
+            <button
+              onClick={importAllSheets}
+              disabled={prepared.busy || Boolean(importing?.busy)}
+              className="px-3 py-2 rounded-xl border hover:bg-gray-50 disabled:opacity-50"
+            >
+              Import all sheets
+            </button>
+          )}
+          <button
+            onClick={importSheet}
+            disabled={prepared.busy || !series.length}
+            className="px-3 py-2 rounded-xl border shadow-sm font-medium disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function LedgerImport({ onImport, onCancel }) {
+  // Transaction mode: a ledger (date, instrument, type, units/amount) plus a
+  // price history per instrument, which may be another sheet of the same
+  // workbook. Builds a unitized NAV and keeps the cash flows for XIRR.
+  const [ledger, setLedger] = useState(null); // { fileName, wb, sheet }
+  const [prices, setPrices] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [name, setName] = useState("");
+  const [readError, setReadError] = useState(null);
+
+  const readBook = async (file) => {
+    // null (with the reason shown under the pickers) when the file can't be read
+    try {
+      setReadError(null);
+      return { fileName: file.name, wb: await runTask("read", { file }).promise };
+    } catch (err) {
+      setReadError(`Could not read ${file.name}: ${err.message}`);
+      return null;
+    }
+  };
+
+  const pickLedger = async (file) => {
+    const book = await readBook(file);
+    if (!book) return;
+    const sheet = book.wb.SheetNames[0];
+    setLedger({ ...book, sheet });
+    setMapping(detectLedgerColumns(sheetRows(book.wb, sheet)));
+    setName(file.name.replace(/\.[^.]+$/, ""));
+    // a second sheet in the ledger workbook is the usual place for prices
+    if (!prices && book.wb.SheetNames.length > 1) setPrices({ ...book, sheet: book.wb.SheetNames[1] });
+  };
+
+  const pickPrices = async (file) => {
+    const book = await readBook(file);
+    if (!book) return;
+    setPrices({ ...book, sheet: book.wb.SheetNames[0] });
+  };
+
+  const ledgerRows = useMemo(() => (ledger ? sheetRows(ledger.wb, ledger.sheet) : []), [ledger]);
+  const priceRows = useMemo(() => (prices ? sheetRows(prices.wb, prices.sheet) : null), [prices]);
+  const keys = ledgerRows.length ? Object.keys(ledgerRows[0]) : [];
+  // Parsing, the daily NAV and XIRR are computed in the worker.
+  const buildInput = useMemo(
+    () => (ledger && mapping ? { ledgerRows: share(ledgerRows), mapping, priceRows: priceRows && share(priceRows) } : null),
+    [ledger, ledgerRows, mapping, priceRows]
+  );
+  const build = useWorkerTask("ledger", buildInput);
+  const result = build.result;
+  const series = result?.series ?? [];
+
+  const doImport = () => onImport([{
+    id: newPortfolioId(),
+    name: name.trim() || "Transactions",
+    series,
+    flows: result.flows,
+    source: {
+      kind: "transactions",
+      fileName: ledger.fileName,
+      sheet: ledger.sheet,
+      pricesFile: prices.fileName,
+      pricesSheet: prices.sheet,
+      ...mapping,
+    },
+  }]);
+
+  const select = "text-sm border rounded-lg px-2 py-1.5 bg-white w-full";
+  const fields = [
+    ["dateKey", "Date"],
+    ["instrumentKey", "Instrument"],
+    ["typeKey", "Type"],
+    ["unitsKey", "Units"],
+    ["amountKey", "Amount"],
+  ];
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/30 grid place-items-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border w-full max-w-4xl max-h-full overflow-auto p-5 grid gap-4 text-gray-900">
+        <div>
+          <h2 className="text-lg font-semibold">Import transactions</h2>
+          <p className="text-sm text-gray-500">
+            Buys, sells, SIPs and dividends plus a price history per instrument. Prices can be wide
+            (Date + one column per instrument) or long (Date, Instrument, Price).
+          </p>
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-3 text-sm">
+          <BookPicker label="Transaction ledger" book={ledger} onFile={pickLedger} onSheet={(sheet) => {
+            setLedger(l => ({ ...l, sheet }));
+            setMapping(detectLedgerColumns(sheetRows(ledger.wb, sheet)));
+          }}/>
+          <BookPicker label="Price history" book={prices} onFile={pickPrices} onSheet={(sheet) => setPrices(p => ({ ...p, sheet }))}/>
+        </div>
+        {readError && <div className="text-sm text-red-700">{readError}</div>}
+
+        {mapping && (
+          <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-3 text-sm">
+            {fields.map(([field, label]) => (
+              <label key={field} className="grid gap-1">
+                <span className="text-gray-600">{label} column</span>
+                <select value={mapping[field] ?? ""} onChange={(e) => setMapping(m => ({ ...m, [field]: e.target.value || null }))} className={select}>
+                  <option value="">—</option>
+                  {keys.map(k => <option key={k} value={k}>{k}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="grid gap-1">
+              <span className="text-gray-600">Portfolio name</span>
+              <input value={name} onChange={(e) => setName(e.target.value)} className="border rounded-lg px-2 py-1.5"/>
+            </label>
+          </div>
+        )}
+
+        {ledger && build.busy && (
+          <div className="text-sm text-gray-600">{build.progress?.label ?? "Reading transactions"}…</div>
+        )}
+        {ledger && !build.busy && build.error && (
+          <div className="text-sm text-red-700">Could not build the NAV: {build.error}</div>
+        )}
+        {ledger && result && !build.busy && (
+          <div className="text-sm grid gap-1">
+            <div className="text-gray-600">
+              {result.txnCount} transactions across {result.instruments} instruments
+              {result.skipped.length > 0 && <span className="text-amber-700"> · {result.skipped.length} rows skipped ({[...new Set(result.skipped.map(x => x.reason))].join(", ")})</span>}
+            </div>
+            {!prices ? (
+              <div className="text-gray-600">Choose the price history to value the holdings.</div>
+            ) : result.missing.length ? (
+              <div className="text-red-700">No prices for: {result.missing.join(", ")}. Price columns found: {result.priceKeys.join(", ") || "none"}.</div>
+            ) : series.length ? (
+              <div className="text-gray-600">
+                Daily NAV from {series[0].dateLabel} to {series[series.length - 1].dateLabel} ({series.length} points) ·
+                XIRR <span className="font-medium">{fmtPct(result.xirr)}</span> ·
+                TWR CAGR <span className="font-medium">{fmtPct(annualize(series[series.length - 1].nav / series[0].nav - 1, daysBetween(series[0].date, series[series.length - 1].date)))}</span>
+              </div>
+            ) : (
+              <div className="text-red-700">Could not build a NAV from these transactions.</div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Cancel</button>
+          <button
+            onClick={doImport}
+            disabled={build.busy || !series.length}
+            className="px-3 py-2 rounded-xl border shadow-sm font-medium disabled:opacity-50"
+          >
+            Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ActionsImport({ portfolio, onApply, onCancel }) {
+  // Corporate actions for one portfolio, from any file or another sheet of
+  // the NAV workbook. The worker parses them and reports where each lands on
+  // the NAV; applying replaces the portfolio's previous actions.
+  const [book, setBook] = useState(null); // { fileName, wb, sheet }
+  const [mapping, setMapping] = useState(null);
+  const [readError, setReadError] = useState(null);
+
+  const detectFor = (wb, sheet) => setMapping(detectActionColumns(sheetRows(wb, sheet)));
+
+  const pickFile = async (file) => {
+    try {
+      setReadError(null);
+      const wb = await runTask("read", { file }).promise;
+      // in a NAV workbook the actions are usually on a sheet of their own
+      const sheet = wb.SheetNames.find(sh => /action|dividend|idcw|split|bonus/i.test(sh)) ?? wb.SheetNames[0];
+      setBook({ fileName: file.name, wb, sheet });
+      detectFor(wb, sheet);
+    } catch (err) {
+      setReadError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const rows = useMemo(() => (book ? sheetRows(book.wb, book.sheet) : []), [book]);
+  const keys = rows.length ? Object.keys(rows[0]) : [];
+  const input = useMemo(
+    () => (book && mapping ? { actionRows: share(rows), mapping, series: share(portfolio.series) } : null),
+    [book, rows, mapping, portfolio.series]
+  );
+  const task = useWorkerTask("actions", input);
+  const result = task.result;
+  const listed = result
+    ? [...result.applied, ...result.unmatched].sort((a, b) => +a.date - +b.date || a.type.localeCompare(b.type))
+    : [];
+
+  const select = "text-sm border rounded-lg px-2 py-1.5 bg-white w-full";
+  const fields = [
+    ["dateKey", "Date"],
+    ["typeKey", "Type"],
+    ["valueKey", "Value"],
+    ["dividendKey", "Dividend"],
+    ["splitKey", "Split"],
+    ["bonusKey", "Bonus"],
+  ];
+  const current = portfolio.actions?.length ?? 0;
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/30 grid place-items-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl border w-full max-w-4xl max-h-full overflow-auto p-5 grid gap-4 text-gray-900">
+        <div>
+          <h2 className="text-lg font-semibold">Corporate actions · {portfolio.name}</h2>
+          <p className="text-sm text-gray-500">
+            Dated dividends/IDCW (payout per unit), splits (new:old, e.g. 5:1) and bonus issues (bonus:held, e.g. 1:1),
+            as Date, Type and Value columns or one column per action. Payouts are reinvested in the total-return view;
+            splits and bonuses are adjusted in both views.
+            {current > 0 && ` ${current} action${current === 1 ? " is" : "s are"} applied now.`}
+          </p>
+        </div>
+
+        <div className="grid sm:grid-cols-2 gap-3 text-sm">
+          <BookPicker label="Corporate actions" book={book} onFile={pickFile} onSheet={(sheet) => {
+            setBook(b => ({ ...b, sheet }));
+            detectFor(book.wb, sheet);
+          }}/>
+        </div>
+        {readError && <div className="text-sm text-red-700">{readError}</div>}
+
+        {mapping && (
+          <div className="grid sm:grid-cols-3 lg:grid-cols-6 gap-3 text-sm">
+            {fields.map(([field, label]) => (
+              <label key={field} className="grid gap-1">
+                <span className="text-gray-600">{label} column</span>
+                <select value={mapping[field] ?? ""} onChange={(e) => setMapping(m => ({ ...m, [field]: e.target.value || null }))} className={select}>
+                  <option value="">—</option>
+                  {keys.map(k => <option key={k} value={k}>{k}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {book && task.busy && (
+          <div className="text-sm text-gray-600">{task.progress?.label ?? "Reading corporate actions"}…</div>
+        )}
+        {book && !task.busy && task.error && (
+          <div className="text-sm text-red-700">Could not read the actions: {task.error}</div>
+        )}
+        {book && result && !task.busy && (
+          <div className="text-sm grid gap-2">
+            <div className="text-gray-600">
+              {result.applied.length} of {result.actions.length} actions fall within the NAV history
+              {result.skipped.length > 0 && <span className="text-amber-700"> · {result.skipped.length} rows skipped ({[...new Set(result.skipped.map(x => x.reason))].join(", ")})</span>}
+            </div>
+            {listed.length > 0 && (
+              <div className="overflow-auto max-h-72 border rounded-xl">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50 text-gray-600 sticky top-0">
+                    <tr>
+                      <th className="text-left font-medium px-3 py-2">Date</th>
+                      <th className="text-left font-medium px-3 py-2">Action</th>
+                      <th className="text-right font-medium px-3 py-2">Value</th>
+                      <th className="text-left font-medium px-3 py-2">Applied</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {listed.map((a, i) => (
+                      <tr key={i} className="border-t">
+                        <td className="px-3 py-1.5 tabular-nums">{a.key}</td>
+                        <td className="px-3 py-1.5">{actionTypes[a.type]}</td>
+                        <td className="px-3 py-1.5 text-right tabular-nums">{a.type === "dividend" ? Number(a.value.toFixed(4)) : `×${Number(a.value.toFixed(4))} units`}</td>
+                        <td className="px-3 py-1.5">
+                          {a.reason ? (
+                            <span className="text-gray-500">Ignored: {a.reason}</span>
+                          ) : (
+                            <>
+                              {a.at === a.key ? "On that day" : `At the next NAV, ${a.at}`}
+                              {a.warning && <span className="text-amber-700"> · {a.warning}</span>}
+                            </>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onCancel} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Cancel</button>
+          {current > 0 && (
+            <button onClick={() => onApply(null)} className="px-3 py-2 rounded-xl border hover:bg-gray-50">Remove actions</button>
+          )}
+          <button
+            onClick={() => onApply(result.actions.map(({ date, type, value }) => ({ date, type, value })))}
+            disabled={task.busy || !result?.actions.length}
+            className="px-3 py-2 rounded-xl border shadow-sm font-medium disabled:opacity-50"
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const BookPicker = ({ label, book, onFile, onSheet }) => (
+  <div className="grid gap-1">
+    <span className="text-gray-600">{label}</span>
+    <input
+      type="file"
+      accept={importAccept}
+      onChange={(e) => e.target.files?.[0] && onFile(e.target.files[0])}
+      className="text-sm"
+    />
+    {book && book.wb.SheetNames.length > 1 && (
+      <select value={book.sheet} onChange={(e) => onSheet(e.target.value)} className="text-sm border rounded-lg px-2 py-1.5 bg-white">
+        {book.wb.SheetNames.map(sh => <option key={sh} value={sh}>{book.fileName} · {sh}</option>)}
+      </select>
+    )}
+  </div>
+);
+
+const RowLink = ({ row, label, onShow }) => (
+  <a
+    href="#"
+    onClick={(e) => {
+      e.preventDefault();
+      onShow(row);
+    }}
+    className="tabular-nums underline decoration-dotted"
+  >
+    {label}
+  </a>
+);
+
+function DataQualityReport({ quality, excluded, sheetRow, onShow, onToggle, gapDays, onGapDays, movePct, onMovePct }) {
+  // Issue list for the import wizard. Row links scroll the preview to that
+  // row; flagged NAV points can be excluded or kept before import.
+  const link = (i) => <RowLink key={i} row={i} label={`row ${sheetRow(i)}`} onShow={onShow}/>;
+  const links = (rs) => rs.map((i, n) => <span key={i}>{n > 0 && ", "}{link(i)}</span>);
+  const toggle = (i) => (
+    <label className="inline-flex items-center gap-1 ml-2 text-gray-600">
+      <input type="checkbox" checked={excluded.has(i)} onChange={() => onToggle(i)}/>
+      exclude
+    </label>
+  );
+
+  const reasons = {};
+  for (const x of quality.skipped) (reasons[x.reason] ??= []).push(x.rows[0]);
+
+  const sections = [
+    {
+      key: "skipped",
+      title: "Rows skipped",
+      count: quality.skipped.length,
+      body: Object.entries(reasons).map(([reason, rs]) => (
+        <li key={reason}>{reason}: {links(rs.slice(0, 20))}{rs.length > 20 && ` … +${rs.length - 20} more`}</li>
+      )),
+    },
+    {
+      key: "duplicates",
+      title: "Duplicate dates",
+      count: quality.duplicates.length,
+      body: quality.duplicates.map(x => (
+        <li key={x.dateLabel}>{x.dateLabel}: {links(x.rows)} — keeping {link(x.kept)}</li>
+      )),
+    },
+    {
+      key: "gaps",
+      title: `Gaps over ${gapDays} trading days`,
+      count: quality.gaps.length,
+      body: quality.gaps.map(x => (
+        <li key={x.from}>{x.from} → {x.to}: {x.days} trading days ({links(x.rows)})</li>
+      )),
+    },
+    {
+      key: "nonPositive",
+      title: "Zero or negative NAVs",
+      count: quality.nonPositive.length,
+      body: quality.nonPositive.map(x => (
+        <li key={x.dateLabel}>{x.dateLabel}: NAV {x.nav} ({link(x.rows[0])}){toggle(x.rows[0])}</li>
+      )),
+    },
+    {
+      key: "moves",
+      title: `One-day moves beyond ±${movePct}%`,
+      count: quality.moves.length,
+      body: quality.moves.map(x => (
+        <li key={x.dateLabel}>
+          {x.dateLabel}: {fmtPct(x.ret)} ({link(x.rows[0])})
+          {x.split && <span className="text-amber-700"> · possible split/unit change {x.split}</span>}
+          {toggle(x.rows[0])}
+        </li>
+      )),
+    },
+  ];
+  const total = sections.reduce((n, x) => n + x.count, 0);
+
+  return (
+    <div className="border rounded-xl p-3 text-sm grid gap-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-medium">Data quality</span>
+        <span className={total ? "text-amber-700" : "text-emerald-700"}>
+          {total ? `${total} issue${total > 1 ? "s" : ""} found` : "No issues found"}
+        </span>
+        <label className="ml-auto flex items-center gap-1 text-gray-600">
+          Gap over
+          <input type="number" min={1} value={gapDays} onChange={(e) => onGapDays(Math.max(1, Number(e.target.value) || 1))} className="w-14 border rounded px-1 py-0.5 text-right"/>
+          trading days
+        </label>
+        <label className="flex items-center gap-1 text-gray-600">
+          Move over ±
+          <input type="number" min={1} value={movePct} onChange={(e) => onMovePct(Math.max(1, Number(e.target.value) || 1))} className="w-14 border rounded px-1 py-0.5 text-right"/>
+          %
+        </label>
+      </div>
+      {sections.filter(x => x.count).map(x => (
+        <details key={x.key} open={x.key === "nonPositive" || x.key === "moves"}>
+          <summary className="cursor-pointer">{x.title} <span className="text-gray-500">({x.count})</span></summary>
+          <ul className="list-disc pl-6 mt-1 max-h-40 overflow-auto text-gray-700">{x.body}</ul>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+function ExportMenu({ tableNames, onExcel, onCsv, onFactsheet }) {
+  const [open, setOpen] = useState(false);
+  const item = "block w-full text-left px-3 py-2 text-sm hover:bg-gray-50";
+  const pick = (fn) => () => {
+    setOpen(false);
+    fn();
+  };
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50"
+      >
+        <Download className="size-4"/> Export
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-64 bg-white border rounded-xl shadow-lg z-20 py-1 text-gray-900">
+          <button onClick={pick(onExcel)} className={item}>
+            <FileSpreadsheet className="size-4 inline mr-2"/>Excel workbook (all tables)
+          </button>
+          {tableNames.map(name => (
+            <button key={name} onClick={pick(() => onCsv(name))} className={item}>
+              CSV · {name}
+            </button>
+          ))}
+          <button onClick={pick(onFactsheet)} className={`${item} border-t`}>
+            <Printer className="size-4 inline mr-2"/>Factsheet (print / PDF)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function Factsheet({ active, portfolios, rangeLabel, comparison, trailingRows, risk, table, months, onClose }) {
+  // One A4 page: fixed-size charts (no ResponsiveContainer) so the printed
+  // layout doesn't depend on the screen. Print CSS in index.css hides
+  // everything outside .factsheet.
+  const chartWidth = 680;
+  const years = table.slice(0, 8);
+  return (
+    <div className="factsheet fixed inset-0 z-50 bg-white overflow-auto">
+      <div className="print:hidden sticky top-0 bg-white border-b px-6 py-3 flex items-center gap-3">
+        <span className="font-medium">Factsheet preview</span>
+        <span className="text-sm text-gray-500">Use “Save as PDF” in the print dialog.</span>
+        <button onClick={() => window.print()} className="ml-auto inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50">
+          <Printer className="size-4"/> Print
+        </button>
+        <button onClick={onClose} className="inline-flex items-center gap-2 px-3 py-2 rounded-xl border shadow-sm hover:bg-gray-50">
+          <X className="size-4"/> Close
+        </button>
+      </div>
+      <div className="mx-auto p-6 text-gray-900 grid gap-4" style={{ width: chartWidth + 48 }}>
+        <header className="flex items-end justify-between border-b pb-2">
+          <div>
+            <div className="text-xs text-emerald-700 font-semibold">capitalmind premium</div>
+            <h1 className="text-xl font-semibold">{active.name}</h1>
+          </div>
+          <div className="text-xs text-gray-500 text-right">
+            <div>{rangeLabel}</div>
+            <div>Generated {toLabel(new Date())}</div>
+          </div>
+        </header>
+
+        {risk && (
+          <div className="grid grid-cols-6 gap-2 text-center">
+            {[
+              ["CAGR", fmtPct(risk.cagr)],
+              ["Volatility", fmtPct(risk.volatility)],
+              ["Sharpe", fmtNum(risk.sharpe)],
+              ["Sortino", fmtNum(risk.sortino)],
+              ["Max DD", fmtPct(risk.maxDD)],
+              ["VaR 95%", fmtPct(risk.tail[0.95].historicalVaR)],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-lg border p-2">
+                <div className="text-[10px] text-gray-500">{label}</div>
+                <div className="text-sm font-semibold tabular-nums">{value}</div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="text-xs [&_td]:p-1 [&_th]:p-1">
+          <TrailingReturnsTable rows={trailingRows}/>
+        </div>
+
+        {comparison.start && (
+          <>
+            <div>
+              <h3 className="text-xs font-semibold text-gray-700">Equity (rebased to 100 on {comparison.start})</h3>
+              <LineChart width={chartWidth} height={190} data={comparison.data} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="dateLabel" minTickGap={48} tick={{ fontSize: 10 }} />
+                <YAxis domain={["auto", "auto"]} tick={{ fontSize: 10 }} />
+                {portfolios.length > 1 && <Legend wrapperStyle={{ fontSize: 10 }}/>}
+                {portfolios.map((p, i) => (
+                  <Line key={p.id} type="monotone" dataKey={p.id} name={p.name} stroke={seriesColor(i)} strokeWidth={1.5} dot={false} connectNulls isAnimationActive={false} />
+                ))}
+              </LineChart>
+            </div>
+            <div>
+              <h3 className="text-xs font-semibold text-gray-700">Drawdown (%)</h3>
+              <AreaChart width={chartWidth} height={120} data={comparison.data} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="dateLabel" minTickGap={48} tick={{ fontSize: 10 }} />
+                <YAxis tick={{ fontSize: 10 }} />
+                <ReferenceLine y={0} />
+                {portfolios.map((p, i) => (
+                  <Area key={p.id} type="monotone" dataKey={`${p.id}_dd`} name={p.name} stroke={seriesColor(i)} fill={seriesColor(i)} fillOpacity={0.15} dot={false} connectNulls isAnimationActive={false} />
+                ))}
+              </AreaChart>
+            </div>
+          </>
+        )}
+
+        {years.length > 0 && (
+          <div>
+            <h3 className="text-xs font-semibold text-gray-700 mb-1">Monthly Returns · {active.name}</h3>
+            <table className="w-full text-[10px] border-collapse">
+              <thead>
+                <tr>
+                  <th className="text-left p-1 border-b">Year</th>
+                  {months.map(m => <th key={m} className="text-right p-1 border-b">{m}</th>)}
+                  <th className="text-right p-1 border-b">YTD</th>
+                </tr>
+              </thead>
+              <tbody>
+                {years.map(row => (
+                  <tr key={row.Year}>
+                    <td className="p-1 border-b font-medium">{row.Year}</td>
+                    {months.map(m => <td key={m} className="p-1 border-b text-right tabular-nums">{fmtPct(row[m])}</td>)}
+                    <td className="p-1 border-b text-right tabular-nums font-medium">{fmtPct(row.YTD)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <footer className="text-[10px] text-gray-400 border-t pt-2">
+          Past performance is not indicative of future returns. Figures computed from the uploaded NAV history.
+        </footer>
+      </div>
+    </div>
+  );
+}
+
+function LibraryTable({ entries, onRename, onToggle, onMove, onDelete }) {
+  // deleting drops the saved record for good, so the trash button asks first
+  const [confirming, setConfirming] = useState(null);
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr>
+            <th className="text-left p-2 border-b">Order</th>
+            <th className="text-left p-2 border-b">Name</th>
+            <th className="text-left p-2 border-b">Source</th>
+            <th className="text-left p-2 border-b">History</th>
+            <th className="text-right p-2 border-b">Points</th>
+            <th className="text-right p-2 border-b"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((p, i) => (
+            <tr key={p.id} className="hover:bg-gray-50">
+              <td className="p-2 border-b whitespace-nowrap">
+                <IconButton title="Move up" disabled={i === 0} onClick={() => onMove(p.id, -1)}><ChevronUp className="size-4"/></IconButton>
+                <IconButton title="Move down" disabled={i === entries.length - 1} onClick={() => onMove(p.id, 1)}><ChevronDown className="size-4"/></IconButton>
+              </td>
+              <td className="p-2 border-b">
+                <NameInput
+                  value={p.name}
+                  onCommit={(name) => onRename(p.id, name)}
+                  className="bg-transparent outline-none w-full min-w-40"
+                />
+              </td>
+              <td className="p-2 border-b text-gray-500 text-xs">
+                {p.source ? (
+                  <>
+                    <div>{p.source.fileName}{p.source.sheet ? ` · ${p.source.sheet}` : ""}</div>
+                    <div className="font-mono">
+                      {p.source.kind === "transactions"
+                        ? `ledger + ${p.source.pricesFile}${p.source.pricesSheet ? ` · ${p.source.pricesSheet}` : ""}`
+                        : `${p.source.dateKey} / ${p.source.navKey}`}
+                    </div>
+                  </>
+                ) : "—"}
+              </td>
+              <td className="p-2 border-b text-xs tabular-nums whitespace-nowrap">
+                {p.series.length ? `${p.series[0].dateLabel} → ${p.series[p.series.length - 1].dateLabel}` : "—"}
+              </td>
+              <td className="p-2 border-b text-right tabular-nums">{p.series.length}</td>
+              <td className="p-2 border-b text-right whitespace-nowrap">
+                <button
+                  onClick={() => onToggle(p.id, !p.inWorkspace)}
+                  className="px-2 py-1 rounded-lg border text-xs hover:bg-gray-50"
+                >
+                  {p.inWorkspace ? "Unload" : "Load"}
+                </button>
+                {confirming === p.id ? (
+                  <span className="ml-2 inline-flex items-center gap-1 text-xs">
+                    Delete for good?
+                    <button
+                      onClick={() => {
+                        setConfirming(null);
+                        onDelete(p.id);
+                      }}
+                      className="px-2 py-1 rounded-lg bg-red-600 text-white hover:bg-red-700"
+                    >
+                      Delete
+                    </button>
+                    <button onClick={() => setConfirming(null)} className="px-2 py-1 rounded-lg border hover:bg-gray-50">Cancel</button>
+                  </span>
+                ) : (
+                  <IconButton title="Delete from library" onClick={() => setConfirming(p.id)}><Trash2 className="size-4"/></IconButton>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const IconButton = ({ title, onClick, disabled, children }) => (
+  <button
+    title={title}
+    aria-label={title}
+    onClick={onClick}
+    disabled={disabled}
+    className="p-1 rounded-lg text-gray-500 hover:text-gray-800 hover:bg-gray-100 disabled:opacity-30"
+  >
+    {children}
+  </button>
+);
+
+function NameInput({ value, onCommit, onClick, className }) {
+  // Edits a draft and renames on blur or Enter, so the library record is
+  // written once per rename rather than on every keystroke. Escape reverts.
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+  const commit = () => {
+    const name = draft.trim();
+    if (name && name !== value) onCommit(name);
+    else setDraft(value);
+  };
+  return (
+    <input
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onClick={onClick}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") setDraft(value);
+      }}
+      className={className}
+      aria-label="Portfolio name"
+    />
+  );
+}
+
+const PortfolioList = ({ portfolios, activeId, onSelect, onRename, onRemove }) => (
+  <div className="flex flex-wrap gap-2">
+    {portfolios.map((p, i) => (
+      <div
+        key={p.id}
+        onClick={() => onSelect(p.id)}
+        title="Show monthly returns for this portfolio"
+        className={`flex items-center gap-2 pl-2 pr-1 py-1 rounded-xl border text-sm cursor-pointer ${p.id === activeId ? "bg-gray-100 border-gray-300" : "bg-white"}`}
+      >
+        <span className="size-3 rounded-full shrink-0" style={{ background: seriesColor(i) }}/>
+        <NameInput
+          value={p.name}
+          onCommit={(name) => onRename(p.id, name)}
+          // renaming shouldn't also select the portfolio
+          onClick={(e) => e.stopPropagation()}
+          className="bg-transparent outline-none w-48"
+        />
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(p.id);
+          }}
+          className="p-1 rounded-lg text-gray-400 hover:text-gray-700 hover:bg-gray-200"
+          title="Remove from workspace (stays in the library)"
+        >
+          <X className="size-3.5"/>
+        </button>
+      </div>
+    ))}
+  </div>
+);
+
+function TrailingReturnsTable({ rows }) {
+  // lookbacks no row can use (1D on weekly data, say) are hidden; where only
+  // some rows can, the others are marked
+  const columns = trailingColumns.filter(c => rows.some(r => !r[c].na));
+  const hidden = trailingColumns.filter(c => !columns.includes(c));
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr>
+            <th className="text-left p-2 border-b sticky left-0 bg-white z-10">Portfolio</th>
+            {columns.map(c => (
+              <th key={c} className="text-right p-2 border-b whitespace-nowrap">{c}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.id ?? row.name} className="hover:bg-gray-50">
+              <td className="p-2 border-b font-medium sticky left-0 bg-white z-10">{row.name}</td>
+              {columns.map(c => (
+                <td key={c} className="p-2 border-b text-right tabular-nums whitespace-nowrap">
+                  {row[c].na ? (
+                    <span className="text-xs text-gray-400" title={`Shorter than the spacing of ${row.frequency} data`}>–</span>
+                  ) : row[c].value == null ? (
+                    <span className="text-xs text-gray-400" title="Insufficient history">n/a</span>
+                  ) : (
+                    <>
+                      <div>{fmtPct(row[c].value)}</div>
+                      {row[c].cagr != null && (
+                        <div className="text-xs text-gray-500">{fmtPct(row[c].cagr)} p.a.</div>
+                      )}
+                    </>
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">
+        Periods over one year show annualized CAGR (p.a.) under the absolute return. <span className="text-gray-400">n/a</span> marks insufficient history
+        {columns.some(c => rows.some(r => r[c].na)) && <>, <span className="text-gray-400">–</span> a period shorter than the data’s spacing</>}.
+        {hidden.length > 0 && ` ${hidden.join(", ")} ${hidden.length === 1 ? "is" : "are"} hidden: too short for ${[...new Set(rows.map(r => r.frequency))].join(" / ")} data.`}
+      </p>
+    </div>
+  );
+}
+
+function RollingCard({ portfolios, range, benchmark, riskFree, align }) {
+  const [windowKey, setWindowKey] = useState("1Y");
+  const [metricKey, setMetricKey] = useState("return");
+  const metric = rollingMetrics.find(m => m.key === metricKey);
+  const windowDays = rollingWindows[windowKey];
+
+  const input = useMemo(() => ({
+    portfolios: portfolios.map(p => ({ id: p.id, series: share(p.series) })),
+    from: range.from,
+    to: range.to,
+    benchmarkId: benchmark?.id ?? null,
+    windowDays,
+    metric: metricKey,
+    riskFree,
+    align,
+    chartPoints,
+  }), [portfolios, range.from, range.to, benchmark?.id, windowDays, metricKey, riskFree, align]);
+  const rolling = useWorkerTask("rolling", input);
+  const { data, betaData } = rolling.result ?? { data: [], betaData: [] };
+
+  const fmt = (v) => (metric.pct ? fmtPct(v) : fmtNum(v));
+  const select = "text-sm border rounded-lg px-2 py-1.5 bg-white";
+
+  return (
+    <Card id="rolling" title="Rolling Analytics" subtitle={`${metric.label} over trailing ${windowKey} windows${windowDays > 365 && metricKey === "return" ? " (annualized)" : ""}`}
+      right={
+        <div className="flex items-center gap-2">
+          <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} className={select}>
+            {rollingMetrics.map(m => (
+              <option key={m.key} value={m.key}>{m.label}</option>
+            ))}
+          </select>
+          <select value={windowKey} onChange={(e) => setWindowKey(e.target.value)} className={select}>
+            {Object.keys(rollingWindows).map(w => (
+              <option key={w} value={w}>{w}</option>
+            ))}
+          </select>
+        </div>
+      }
+    >
+      {!rolling.result && rolling.busy ? (
+        <div className="text-sm text-gray-600">Computing rolling statistics…</div>
+      ) : !data.length ? (
+        <div className="text-sm text-gray-600">Not enough history for a {windowKey} window.</div>
+      ) : (
+        <div className="h-64">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="dateLabel" minTickGap={48} />
+              <YAxis tickFormatter={fmt} domain={["auto", "auto"]} />
+              <Tooltip formatter={(v, n) => [fmt(v), n]} labelFormatter={(l) => `Date: ${l}`}/>
+              {portfolios.length > 1 && <Legend/>}
+              <ReferenceLine y={0} />
+              {portfolios.map((p, i) => (
+                <Line key={p.id} type="monotone" dataKey={p.id} name={p.name} stroke={seriesColor(i)} strokeWidth={1.5} dot={false} connectNulls />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {portfolios.length > 1 && (
+        <div className="mt-4">
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">
+            Rolling {windowKey} Beta{benchmark ? ` vs ${benchmark.name}` : ""}
+          </h3>
+          {!benchmark ? (
+            <div className="text-sm text-gray-600">Choose a benchmark under Relative to Benchmark to see rolling beta.</div>
+          ) : !betaData.length ? (
+            <div className="text-sm text-gray-600">Not enough overlapping history for a {windowKey} window.</div>
+          ) : (
+            <div className="h-48">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={betaData} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="dateLabel" minTickGap={48} />
+                  <YAxis tickFormatter={(v) => fmtNum(v)} domain={["auto", "auto"]} />
+                  <Tooltip formatter={(v, n) => [fmtNum(v), n]} labelFormatter={(l) => `Date: ${l}`}/>
+                  <ReferenceLine y={1} />
+                  {portfolios.map((p, i) => p.id !== benchmark.id && (
+                    <Line key={p.id} type="monotone" dataKey={p.id} name={p.name} stroke={seriesColor(i)} strokeWidth={1.5} dot={false} connectNulls />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// ---------- Calendar returns heatmap ----------
+// Diverging scale: red below zero, green above, white at zero, saturating at
+// ±scale (the largest move on show).
+const heatNegative = [220, 38, 38];
+const heatPositive = [5, 150, 105];
+
+function heatColor(v, scale) {
+  if (v == null) return { background: "#f9fafb", color: "#9ca3af" };
+  const t = Math.min(1, Math.abs(v) / scale);
+  const [r, g, b] = (v < 0 ? heatNegative : heatPositive).map(c => Math.round(255 + (c - 255) * t));
+  return { background: `rgb(${r}, ${g}, ${b})`, color: t > 0.55 ? "#fff" : "#111827" };
+}
+
+const HeatLegend = ({ scale }) => (
+  <div className="flex items-center gap-2 text-xs text-gray-600">
+    <span className="tabular-nums">{fmtPct(-scale)}</span>
+    <div
+      className="h-3 w-40 rounded border"
+      style={{ background: `linear-gradient(to right, rgb(${heatNegative}), #fff, rgb(${heatPositive}))` }}
+    />
+    <span className="tabular-nums">+{fmtPct(scale)}</span>
+    <span className="inline-block h-3 w-3 rounded border ml-2" style={{ background: "#f9fafb" }}/> no data
+  </div>
+);
+
+function ReturnsHeatmap({ calendar, active, benchmark, range }) {
+  // Month/quarter/year returns of the active portfolio as a heatmap, or the
+  // excess over the benchmark. Clicking a cell opens that period's daily chart.
+  const [period, setPeriod] = useState("month");
+  const [excessMode, setExcessMode] = useState(false);
+  const [drill, setDrill] = useState(null); // { year, slot, label }
+  const view = calendar[period];
+  const excess = excessMode && view.excess ? view.excess : null;
+  const cells = excess ?? view.table;
+  const keys = view.total ? [...view.columns, view.total] : view.columns;
+
+  const values = cells.flatMap(r => keys.map(k => r[k])).filter(v => v != null);
+  const scale = Math.max(0.005, ...values.map(Math.abs));
+
+  const changePeriod = (next) => {
+    setPeriod(next);
+    setDrill(null);
+  };
+
+  const cellLabel = (year, k) => (period === "year" || k === view.total ? String(year) : `${k} ${year}`);
+
+  const title = (row, k) => {
+    const own = view.table.find(r => r.Year === row.Year)?.[k];
+    if (!excess) return `${cellLabel(row.Year, k)}: ${fmtPct(own)}`;
+    const diff = row[k];
+    return `${cellLabel(row.Year, k)}: ${fmtPct(own)} vs ${fmtPct(own != null && diff != null ? own - diff : null)} (${benchmark.name})`;
+  };
+
+  const open = (year, k) => {
+    const totalCell = k === view.total;
+    setDrill({
+      period: totalCell ? "year" : period,
+      year,
+      slot: totalCell ? 0 : view.columns.indexOf(k),
+      label: cellLabel(year, k),
+    });
+  };
+
+  return (
+    <div className="grid gap-3">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="text-sm font-semibold text-gray-700">
+          {calendarPeriods[period].label} Returns · {active?.name}{excess ? ` − ${benchmark.name}` : ""}
+        </h3>
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <select value={period} onChange={(e) => changePeriod(e.target.value)} className="text-sm border rounded-lg px-2 py-1.5 bg-white">
+            {Object.entries(calendarPeriods).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+          </select>
+          <label className={`inline-flex items-center gap-1.5 ${benchmark ? "" : "text-gray-400"}`} title={benchmark ? "" : "Choose a benchmark under Relative to Benchmark"}>
+            <input type="checkbox" checked={Boolean(excess)} disabled={!benchmark} onChange={(e) => setExcessMode(e.target.checked)}/>
+            Excess vs {benchmark?.name ?? "benchmark"}
+          </label>
+          <HeatLegend scale={scale}/>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border-separate border-spacing-0.5">
+          <thead>
+            <tr>
+              <th className="text-left p-2 sticky left-0 bg-white z-10">Year</th>
+              {keys.map(k => (
+                <th key={k} className="text-right p-2">{k}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {cells.map((row) => (
+              <tr key={row.Year}>
+                <td className="p-2 font-medium sticky left-0 bg-white z-10">{row.Year}</td>
+                {keys.map(k => {
+                  const on = drill && drill.year === row.Year && drill.label === cellLabel(row.Year, k);
+                  return (
+                    <td
+                      key={k}
+                      title={title(row, k)}
+                      onClick={() => row[k] != null && open(row.Year, k)}
+                      style={heatColor(row[k], scale)}
+                      className={`p-2 text-right tabular-nums rounded ${k === view.total ? "font-semibold" : ""} ${row[k] != null ? "cursor-pointer hover:ring-2 hover:ring-gray-400" : ""} ${on ? "ring-2 ring-gray-900" : ""}`}
+                    >
+                      {fmtPct(row[k])}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {drill && (
+        <PeriodDrillDown
+          drill={drill}
+          active={active}
+          benchmark={benchmark}
+          range={range}
+          onClose={() => setDrill(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function PeriodDrillDown({ drill, active, benchmark, range, onClose }) {
+  // Daily chart and stats of one heatmap cell, computed in the worker
+  const bounds = periodBounds(drill.period, drill.year, drill.slot);
+  const input = useMemo(() => ({
+    series: share(active.series),
+    benchmark: benchmark ? share(benchmark.series) : null,
+    from: range.from,
+    to: range.to,
+    start: bounds.from,
+    end: bounds.to,
+  }), [active, benchmark, range.from, range.to, bounds.from, bounds.to]);
+  const task = useWorkerTask("period", input);
+  const { detail, benchDetail, data } = task.result ?? { detail: null, benchDetail: null, data: [] };
+
+  return (
+    <div className="rounded-xl border p-4 grid gap-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700">{drill.label} · {active.name}</h3>
+          {detail && (
+            <p className="text-xs text-gray-500">
+              Rebased to 100 at {detail.base < bounds.from ? `the previous close (${detail.base})` : `the first point (${detail.base})`}.
+            </p>
+          )}
+        </div>
+        <IconButton title="Close" onClick={onClose}><X className="size-4"/></IconButton>
+      </div>
+      {!task.result && task.busy ? (
+        <div className="text-sm text-gray-600">Loading {drill.label}…</div>
+      ) : !detail ? (
+        <div className="text-sm text-gray-600">No data in {drill.label}.</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            <MiniStat label="Return" value={fmtPct(detail.ret)}/>
+            {benchDetail && <MiniStat label={benchmark.name} value={fmtPct(benchDetail.ret)}/>}
+            <MiniStat label="Max drawdown" value={fmtPct(detail.maxDD)}/>
+            <MiniStat label={`Best day${detail.best ? ` · ${detail.best.dateLabel}` : ""}`} value={fmtPct(detail.best?.ret)}/>
+            <MiniStat label={`Worst day${detail.worst ? ` · ${detail.worst.dateLabel}` : ""}`} value={fmtPct(detail.worst?.ret)}/>
+          </div>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="dateLabel" minTickGap={32} />
+                <YAxis domain={["auto", "auto"]} />
+                <Tooltip formatter={(v, n) => [fmtNum(v), n]} labelFormatter={(l) => `Date: ${l}`}/>
+                <ReferenceLine y={100} />
+                <Line type="monotone" dataKey="portfolio" name={active.name} stroke={seriesColor(0)} strokeWidth={2} dot={false} connectNulls />
+                {benchDetail && (
+                  <Line type="monotone" dataKey="benchmark" name={benchmark.name} stroke="#6b7280" strokeWidth={1.5} strokeDasharray="4 3" dot={false} connectNulls />
+                )}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ---------- Return distribution ----------
+const periodUnits = { daily: "days", weekly: "weeks", monthly: "months" };
+
+function DistributionCard({ active, range }) {
+  const [freq, setFreq] = useState("daily");
+  const input = useMemo(() => ({
+    series: share(active.series),
+    from: range.from,
+    to: range.to,
+    freq,
+  }), [active, range.from, range.to, freq]);
+  const task = useWorkerTask("distribution", input);
+  const { histogram, streaks, effects } = task.result ?? {};
+  const unit = periodUnits[freq];
+  const pct = (v) => fmtPct(v, 2); // daily moves are fractions of a percent
+  const streakValue = (x) => (x ? `${x.length} ${unit}` : "—");
+  const streakNote = (x) => (x ? `${x.from} → ${x.to} · ${pct(x.ret)}` : "");
+
+  return (
+    <Card id="distribution" title="Return Distribution" subtitle={`${active.name} · ${distributionFrequencies[freq].toLowerCase()} returns over the selected range, with a normal curve of the same mean and volatility`}
+      right={
+        <select value={freq} onChange={(e) => setFreq(e.target.value)} className="text-sm border rounded-lg px-2 py-1.5 bg-white">
+          {Object.entries(distributionFrequencies).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+      }
+    >
+      {!task.result && task.busy ? (
+        <div className="text-sm text-gray-600">Computing the distribution…</div>
+      ) : !histogram ? (
+        <div className="text-sm text-gray-600">Not enough {distributionFrequencies[freq].toLowerCase()} returns in this range.</div>
+      ) : (
+        <div className="grid gap-6">
+          <div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={histogram.bins} margin={{ top: 20, right: 20, left: 0, bottom: 0 }} barCategoryGap={1}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="mid" type="number" domain={[histogram.bins[0].x0, histogram.bins[histogram.bins.length - 1].x1]} tickFormatter={pct} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip
+                    labelFormatter={(_, items) => {
+                      const b = items?.[0]?.payload;
+                      return b ? `${pct(b.x0)} to ${pct(b.x1)}` : "";
+                    }}
+                    formatter={(v, n) => [n === "Normal" ? fmtNum(v, 1) : v, n]}
+                  />
+                  <Bar dataKey="count" name={`${distributionFrequencies[freq]} returns`} fill={seriesColor(0)} fillOpacity={0.7} />
+                  <Line type="monotone" dataKey="normal" name="Normal" stroke="#111827" strokeDasharray="4 3" dot={false} />
+                  {histogram.percentiles.map(({ p, value }) => (
+                    <ReferenceLine key={p} x={value} stroke="#f59e0b" label={{ value: `P${Math.round(p * 100)}`, position: "top", fontSize: 10 }} />
+                  ))}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600 mt-2">
+              <span>{histogram.count} returns</span>
+              <span>Mean {pct(histogram.mean)}</span>
+              <span>Std dev {pct(histogram.stdev)}</span>
+              {histogram.percentiles.map(({ p, value }) => <span key={p}>P{Math.round(p * 100)} {pct(value)}</span>)}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            <MiniStat label={`Up ${unit}`} value={`${streaks.wins} of ${histogram.count}`}/>
+            <MiniStat label="Longest winning streak" value={streakValue(streaks.longestWin)}/>
+            <MiniStat label="Longest losing streak" value={streakValue(streaks.longestLoss)}/>
+            <MiniStat
+              label="Current streak"
+              value={streaks.current ? `${streaks.current.length} ${unit} ${streaks.current.win ? "up" : "down"}` : "—"}
+            />
+            <div className="md:col-span-4 text-xs text-gray-500 grid gap-0.5">
+              {streaks.longestWin && <span>Longest winning: {streakNote(streaks.longestWin)}</span>}
+              {streaks.longestLoss && <span>Longest losing: {streakNote(streaks.longestLoss)}</span>}
+              <span>Average streak: {fmtNum(streaks.avgWin, 1)} {unit} up, {fmtNum(streaks.avgLoss, 1)} {unit} down</span>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            <EffectChart title="Average daily return by weekday" rows={effects.weekdays}/>
+            <EffectChart title="Average monthly return by month" rows={effects.months}/>
+          </div>
+        </div>
+      )}
+    </Card>
+  );
+}
+
+// ---------- Bootstrap projection ----------
+const projectionBlocks = { daily: 20, monthly: 3 }; // default block lengths, in periods
+const projectionYears = [1, 3, 5, 10];
+const projectionPaths = [1000, 5000, 10000];
+
+function ProjectionCard({ active, range }) {
+  const [opts, setOpts] = useState({ freq: "daily", years: 3, paths: 5000, block: projectionBlocks.daily, seed: 1, targetPct: 50, drawdownLimitPct: 20 });
+  const edit = (patch) => setOpts(o => ({ ...o, ...patch }));
+  const input = useMemo(() => ({
+    series: share(active.series),
+    from: range.from,
+    to: range.to,
+    ...opts,
+    chartPoints,
+  }), [active, range.from, range.to, opts]);
+  const task = useWorkerTask("project", input);
+  const result = task.result;
+  const unit = opts.freq === "monthly" ? "months" : "days";
+  const field = "border rounded-lg px-2 py-1 bg-white";
+  const number = (key, label, props) => (
+    <label className="grid gap-1">
+      <span className="text-xs text-gray-500">{label}</span>
+      <input type="number" value={opts[key]} {...props}
+        onChange={(e) => edit({ [key]: Math.min(props.max ?? Infinity, Math.max(props.min, Math.floor(Number(e.target.value)) || props.min)) })}
+        className={`${field} w-24`}
+      />
+    </label>
+  );
+
+  return (
+    <Card id="projection" title="Projection" subtitle={`${active.name} · ${opts.paths.toLocaleString("en-IN")} futures resampled in blocks of ${opts.block} ${unit} from the ${projectionFrequencies[opts.freq].toLowerCase()} returns in the selected range`}>
+      <div className="grid gap-6">
+        <div className="flex flex-wrap items-end gap-4 text-sm">
+          <label className="grid gap-1">
+            <span className="text-xs text-gray-500">Returns</span>
+            <select value={opts.freq} onChange={(e) => edit({ freq: e.target.value, block: projectionBlocks[e.target.value] })} className={field}>
+              {Object.entries(projectionFrequencies).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </label>
+          <label className="grid gap-1">
+            <span className="text-xs text-gray-500">Horizon</span>
+            <select value={opts.years} onChange={(e) => edit({ years: Number(e.target.value) })} className={field}>
+              {projectionYears.map(y => <option key={y} value={y}>{y} {y === 1 ? "year" : "years"}</option>)}
+            </select>
+          </label>
+          <label className="grid gap-1">
+            <span className="text-xs text-gray-500">Paths</span>
+            <select value={opts.paths} onChange={(e) => edit({ paths: Number(e.target.value) })} className={field}>
+              {projectionPaths.map(n => <option key={n} value={n}>{n.toLocaleString("en-IN")}</option>)}
+            </select>
+          </label>
+          {number("block", `Block (${unit})`, { min: 1, max: 250 })}
+          {number("seed", "Seed", { min: 0 })}
+          {number("targetPct", "Target gain (%)", { min: 0, step: 5 })}
+          {number("drawdownLimitPct", "Drawdown limit (%)", { min: 1, max: 100, step: 5 })}
+        </div>
+
+        {!result && task.busy ? (
+          <div className="text-sm text-gray-600">
+            Simulating paths… {task.progress ? fmtPct(task.progress.done / task.progress.total, 0) : ""}
+          </div>
+        ) : !result ? (
+          <div className="text-sm text-gray-600">Not enough {projectionFrequencies[opts.freq].toLowerCase()} returns in this range for blocks of {opts.block}.</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <MiniStat label={`Median on ${result.end}`} value={fmtNum(result.final.p50, 1)}/>
+              <MiniStat label="5th–95th percentile" value={`${fmtNum(result.final.p5, 1)} – ${fmtNum(result.final.p95, 1)}`}/>
+              <MiniStat label={`Reaches ${fmtNum(result.target.level, 1)} (+${opts.targetPct}%)`} value={fmtPct(result.target.touched)}/>
+              <MiniStat label={`Falls ${opts.drawdownLimitPct}% from a peak`} value={fmtPct(result.breach)}/>
+            </div>
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={result.rows} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="dateLabel" minTickGap={40} />
+                  <YAxis domain={["auto", "auto"]} tickFormatter={(v) => fmtNum(v, 0)} />
+                  <Tooltip formatter={(v, n) => [Array.isArray(v) ? `${fmtNum(v[0], 1)} – ${fmtNum(v[1], 1)}` : fmtNum(v, 1), n]} />
+                  <Legend />
+                  <Area type="monotone" dataKey="outer" name="5th–95th" stroke="none" fill={seriesColor(0)} fillOpacity={0.15} isAnimationActive={false} />
+                  <Area type="monotone" dataKey="inner" name="25th–75th" stroke="none" fill={seriesColor(0)} fillOpacity={0.3} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="median" name="Median" stroke={seriesColor(0)} dot={false} isAnimationActive={false} />
+                  <Line type="monotone" dataKey="history" name="History" stroke="#111827" dot={false} isAnimationActive={false} />
+                  <ReferenceLine x={result.start.dateLabel} stroke="#9ca3af" strokeDasharray="4 3" />
+                  <ReferenceLine y={result.target.level} stroke="#f59e0b" label={{ value: "Target", position: "insideTopLeft", fontSize: 10 }} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+            <div className="text-xs text-gray-500">
+              Equity from {fmtNum(result.start.equity, 1)} on {result.start.dateLabel}, {result.horizon} steps ahead, sampled from {result.sample} historical returns (seed {opts.seed}).
+              {" "}{fmtPct(result.target.endAbove)} of paths end at or above the target.
+            </div>
+          </>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+// ---------- Goal / SIP simulator ----------
+function SimulatorCard({ active }) {
+  // A lump sum and/or monthly SIP replayed on the portfolio's full history,
+  // optionally switching to monthly withdrawals (SWP), plus the same plan
+  // from every other start date the history allows
+  const first = active.series[0]?.dateLabel ?? "";
+  const last = active.series[active.series.length - 1]?.dateLabel ?? "";
+  const [plan, setPlan] = useState({ start: first, end: last, lumpSum: 0, sip: 10000, stepUpPct: 0, swp: 0, swpStart: "" });
+  const edit = (patch) => setPlan(p => ({ ...p, ...patch }));
+  const months = plan.start && plan.end ? wholeMonths(fromLabel(plan.start), fromLabel(plan.end)) : 0;
+  const swpOn = plan.swpStart !== "";
+  // the first monthly flow on or after the SWP start date is the first withdrawal
+  const monthsTo = (label) => {
+    const k = wholeMonths(fromLabel(plan.start), fromLabel(label));
+    return +monthsBefore(fromLabel(plan.start), -k) < +fromLabel(label) ? k + 1 : k;
+  };
+  const swpFrom = swpOn ? Math.max(0, monthsTo(plan.swpStart)) : null;
+
+  const input = useMemo(() => (months < 1 ? null : {
+    series: share(active.series),
+    plan: {
+      start: plan.start,
+      months,
+      lumpSum: plan.lumpSum,
+      sip: plan.sip,
+      stepUpPct: plan.stepUpPct,
+      swp: swpOn ? plan.swp : 0,
+      swpFrom,
+    },
+    chartPoints,
+  }), [active, plan, months, swpOn, swpFrom]);
+  const task = useWorkerTask("simulate", input);
+  const result = months < 1 ? null : task.result;
+  const spread = result?.spread;
+  // the scan's starts follow the first NAV's day of month; mark the one nearest the chosen start
+  const chosenStart = result?.outcomes.find(o => o.start >= result.startLabel)?.start;
+
+  const amount = (key, label, step = 1000) => (
+    <label className="grid gap-1">
+      <span className="text-xs text-gray-500">{label}</span>
+      <input type="number" min={0} step={step} value={plan[key]}
+        onChange={(e) => edit({ [key]: Math.max(0, Number(e.target.value) || 0) })}
+        className="border rounded-lg px-2 py-1 w-32"
+      />
+    </label>
+  );
+  const day = (key, label, min = first) => (
+    <label className="grid gap-1">
+      <span className="text-xs text-gray-500">{label}</span>
+      <input type="date" value={plan[key]} min={min} max={last}
+        onChange={(e) => edit({ [key]: e.target.value })}
+        className="border rounded-lg px-2 py-1"
+      />
+    </label>
+  );
+
+  return (
+    <Card id="simulator" title="Goal / SIP Simulator" subtitle={`${active.name} · a lump sum and monthly SIP replayed on the full NAV history, each flow at the first NAV on or after its day`}>
+      <div className="grid gap-6">
+        <div className="flex flex-wrap items-end gap-4 text-sm">
+          {amount("lumpSum", "Lump sum (₹)", 10000)}
+          {amount("sip", "Monthly SIP (₹)")}
+          {amount("stepUpPct", "Yearly step-up (%)", 1)}
+          {day("start", "Start")}
+          {day("end", "End", plan.start)}
+          <label className="flex items-center gap-2 pb-1.5">
+            <input type="checkbox" checked={swpOn}
+              onChange={(e) => edit(e.target.checked
+                ? { swpStart: toLabel(monthsBefore(fromLabel(plan.start), -Math.floor(months / 2))), swp: plan.swp || plan.sip }
+                : { swpStart: "" })}
+            />
+            Withdraw monthly (SWP)
+          </label>
+          {swpOn && amount("swp", "Monthly SWP (₹)")}
+          {swpOn && day("swpStart", "SWP from", plan.start)}
+        </div>
+
+        {months < 1 ? (
+          <div className="text-sm text-gray-600">Pick an end date at least a month after the start.</div>
+        ) : !result && task.busy ? (
+          <div className="text-sm text-gray-600">Replaying the plan…</div>
+        ) : !result ? (
+          <div className="text-sm text-gray-600">Nothing is invested before the history ends: add a lump sum or SIP, or start earlier.</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <MiniStat label="Invested" value={fmtMoney(result.invested)}/>
+              {swpOn && <MiniStat label="Withdrawn" value={fmtMoney(result.withdrawn)}/>}
+              <MiniStat label={`Value on ${result.endLabel}`} value={fmtMoney(result.value)}/>
+              <MiniStat label="XIRR" value={fmtPct(result.xirr)}/>
+              {!swpOn && <MiniStat label="Gain" value={fmtMoney(result.value - result.invested)}/>}
+            </div>
+            {result.depletedOn && (
+              <div className="text-sm text-amber-700">Withdrawals used up the whole corpus on {result.depletedOn}.</div>
+            )}
+
+            <div className="h-72">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={result.rows} margin={{ top: 10, right: 20, left: 20, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="dateLabel" minTickGap={40} />
+                  <YAxis tickFormatter={fmtMoney} width={90} />
+                  <Tooltip formatter={(v, n) => [fmtMoney(v), n]} />
+                  <Legend />
+                  <Area type="monotone" dataKey="value" name="Market value" stroke={seriesColor(0)} fill={seriesColor(0)} fillOpacity={0.15} dot={false} />
+                  <Line type="stepAfter" dataKey="invested" name="Invested" stroke="#111827" strokeDasharray="4 3" dot={false} />
+                  {swpOn && <Line type="stepAfter" dataKey="withdrawn" name="Withdrawn" stroke={seriesColor(2)} dot={false} />}
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            {spread && (
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-1">Every start date</h3>
+                <p className="text-xs text-gray-500 mb-3">
+                  The same {months}-month plan started in each month of the history ({spread.count} starts); {fmtPct(spread.losing, 0)} of them lost money.
+                </p>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-4">
+                  <MiniStat label={`Worst · ${spread.worst.start}`} value={`${fmtPct(spread.worst.xirr)} · ${fmtMoney(spread.worst.value)}`}/>
+                  <MiniStat label={`Median · ${spread.median.start}`} value={`${fmtPct(spread.median.xirr)} · ${fmtMoney(spread.median.value)}`}/>
+                  <MiniStat label={`Best · ${spread.best.start}`} value={`${fmtPct(spread.best.xirr)} · ${fmtMoney(spread.best.value)}`}/>
+                </div>
+                <div className="h-48">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={result.outcomes} margin={{ top: 10, right: 20, left: 0, bottom: 0 }} barCategoryGap={1}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="start" minTickGap={40} />
+                      <YAxis tickFormatter={(v) => fmtPct(v, 0)} />
+                      <Tooltip formatter={(v, n, item) => [`${fmtPct(v)} · ${fmtMoney(item.payload.value)}`, "XIRR"]} />
+                      <ReferenceLine y={0} />
+                      {chosenStart && <ReferenceLine x={chosenStart} stroke="#f59e0b" label={{ value: "Your start", position: "top", fontSize: 10 }} />}
+                      <Bar dataKey="xirr" name="XIRR">
+                        {result.outcomes.map(o => <Cell key={o.start} fill={o.xirr < 0 ? "#dc2626" : "#059669"} />)}
+                      </Bar>
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+function EffectChart({ title, rows }) {
+  const pct = (v) => fmtPct(v, 2);
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">{title}</h3>
+      <div className="h-48">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={rows} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis tickFormatter={pct} />
+            <Tooltip
+              formatter={(v, n, item) => [`${pct(v)} · ${fmtPct(item.payload.positive, 0)} positive · ${item.payload.count} periods`, "Average"]}
+            />
+            <ReferenceLine y={0} />
+            <Bar dataKey="mean" name="Average">
+              {rows.map(r => <Cell key={r.label} fill={r.mean < 0 ? "#dc2626" : "#059669"} />)}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+const DrawdownEpisodesTable = ({ episodes, selected, onSelect }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-sm border-collapse">
+      <thead>
+        <tr>
+          <th className="text-left p-2 border-b">#</th>
+          <th className="text-left p-2 border-b">Peak</th>
+          <th className="text-left p-2 border-b">Trough</th>
+          <th className="text-left p-2 border-b">Recovery</th>
+          <th className="text-right p-2 border-b">Depth</th>
+          <th className="text-right p-2 border-b whitespace-nowrap">Days to trough</th>
+          <th className="text-right p-2 border-b whitespace-nowrap">Days to recover</th>
+          <th className="text-right p-2 border-b whitespace-nowrap">Underwater days</th>
+        </tr>
+      </thead>
+      <tbody>
+        {episodes.map((e, i) => (
+          <tr
+            key={e.peakLabel}
+            onClick={() => onSelect(e.peakLabel)}
+            className={`cursor-pointer ${selected === e.peakLabel ? "bg-amber-50" : "hover:bg-gray-50"}`}
+          >
+            <td className="p-2 border-b text-gray-500">{i + 1}</td>
+            <td className="p-2 border-b tabular-nums">{e.peakLabel}</td>
+            <td className="p-2 border-b tabular-nums">{e.troughLabel}</td>
+            <td className="p-2 border-b tabular-nums">
+              {e.recoveryLabel ?? <span className="text-amber-700">ongoing</span>}
+            </td>
+            <td className="p-2 border-b text-right tabular-nums font-medium">{fmtPct(e.depth)}</td>
+            <td className="p-2 border-b text-right tabular-nums">{e.daysToTrough}</td>
+            <td className="p-2 border-b text-right tabular-nums">{e.daysToRecover ?? "—"}</td>
+            <td className="p-2 border-b text-right tabular-nums">{e.underwaterDays}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const benchmarkColumns = [
+  { key: "beta", label: "Beta", fmt: v => fmtNum(v) },
+  { key: "alpha", label: "Alpha (ann.)", fmt: fmtPct },
+  { key: "correlation", label: "Correlation", fmt: v => fmtNum(v) },
+  { key: "trackingError", label: "Tracking Error", fmt: fmtPct },
+  { key: "informationRatio", label: "Info Ratio", fmt: v => fmtNum(v) },
+  { key: "upCapture", label: "Up Capture", fmt: fmtPct },
+  { key: "downCapture", label: "Down Capture", fmt: fmtPct },
+];
+
+const BenchmarkStatsTable = ({ rows }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-sm border-collapse">
+      <thead>
+        <tr>
+          <th className="text-left p-2 border-b sticky left-0 bg-white z-10">Portfolio</th>
+          {benchmarkColumns.map(c => (
+            <th key={c.key} className="text-right p-2 border-b whitespace-nowrap">{c.label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.id} className="hover:bg-gray-50">
+            <td className="p-2 border-b font-medium sticky left-0 bg-white z-10">{row.name}</td>
+            {benchmarkColumns.map(c => (
+              <td key={c.key} className="p-2 border-b text-right tabular-nums">
+                {row.stats ? c.fmt(row.stats[c.key]) : <span className="text-xs text-gray-400" title="Too few overlapping dates">n/a</span>}
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const RiskPanel = ({ risk }) => (
+  <div className="grid gap-4">
+    <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4">
+      <MiniStat label="Volatility (ann.)" value={fmtPct(risk.volatility)} />
+      <MiniStat label="Sharpe" value={fmtNum(risk.sharpe)} />
+      <MiniStat label="Sortino" value={fmtNum(risk.sortino)} />
+      <MiniStat label="Calmar" value={fmtNum(risk.calmar)} />
+      <MiniStat label="Skew" value={fmtNum(risk.skew)} />
+      <MiniStat label="Excess Kurtosis" value={fmtNum(risk.kurtosis)} />
+    </div>
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr>
+            <th className="text-left p-2 border-b">Tail risk (per period)</th>
+            <th className="text-right p-2 border-b">Historical VaR</th>
+            <th className="text-right p-2 border-b">Historical CVaR</th>
+            <th className="text-right p-2 border-b">Parametric VaR</th>
+            <th className="text-right p-2 border-b">Parametric CVaR</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(risk.tail).map(([c, t]) => (
+            <tr key={c} className="hover:bg-gray-50">
+              <td className="p-2 border-b font-medium">{Math.round(c * 100)}%</td>
+              <td className="p-2 border-b text-right tabular-nums">{fmtPct(t.historicalVaR)}</td>
+              <td className="p-2 border-b text-right tabular-nums">{fmtPct(t.historicalCVaR)}</td>
+              <td className="p-2 border-b text-right tabular-nums">{fmtPct(t.parametricVaR)}</td>
+              <td className="p-2 border-b text-right tabular-nums">{fmtPct(t.parametricCVaR)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+    <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-4">
+      <MiniStat label={`Best day · ${risk.best.dateLabel}`} value={fmtPct(risk.best.ret)} />
+      <MiniStat label={`Worst day · ${risk.worst.dateLabel}`} value={fmtPct(risk.worst.ret)} />
+      <MiniStat label={`Best month · ${risk.bestMonth?.label ?? "—"}`} value={fmtPct(risk.bestMonth?.ret)} />
+      <MiniStat label={`Worst month · ${risk.worstMonth?.label ?? "—"}`} value={fmtPct(risk.worstMonth?.ret)} />
+      <MiniStat label="Positive months" value={fmtPct(risk.positiveMonths)} />
+    </div>
+  </div>
+);
+
+const MiniStat = ({ label, value }) => (
+  <div className="rounded-xl border p-4 bg-gray-50">
+    <div className="text-xs text-gray-500">{label}</div>
+    <div className="text-xl font-semibold tabular-nums">{value}</div>
+  </div>
+);
+
+const EmptyChartNote = () => (
+  <div className="text-sm text-gray-600 flex items-center gap-2">
+    <BarChart3 className="size-4"/> Upload a NAV file above to render charts.
+  </div>
+);
+
+const NoOverlapNote = () => (
+  <div className="text-sm text-gray-600 flex items-center gap-2">
+    <BarChart3 className="size-4"/> The loaded portfolios share no common date, so they can’t be rebased together.
+  </div>
+);
+
+// ---------- App shell with routing ----------
+// Paths sit under Vite's base (/portfolio-ui/ on GitHub Pages). Pages has no
+// SPA fallback, so the build copies index.html to 404.html (vite.config.js)
+// and deep links still load the app; hosts without even that can build with
+// VITE_HASH_ROUTER=1 to keep the route after a #.
+const hashRouter = Boolean(import.meta.env.VITE_HASH_ROUTER);
+const Router = hashRouter ? HashRouter : BrowserRouter;
+const basename = hashRouter ? undefined : import.meta.env.BASE_URL.replace(/\/$/, "");
 
-// ---------- App shell with routing ----------
 export default function App() {
   return (
-    <BrowserRouter>
-      <Shell>
-        <Routes>
-          <Route path="/" element={<HomePage/>} />
-          <Route path="/portfolio" element={<PortfolioPage/>} />
-        </Routes>
-      </Shell>
-    </BrowserRouter>
+    <Router basename={basename}>
+      <SubscriptionProvider>
+        <LibraryProvider>
+          <Shell>
+            <Routes>
+              <Route path="/" element={<HomePage/>} />
+              <Route path="/posts/:slug" element={<Premium><PostPage/></Premium>} />
+              <Route path="/portfolio/:id?/:section?" element={<Premium><PortfolioPage/></Premium>} />
+              <Route path="/compare" element={<Premium><PortfolioPage compare/></Premium>} />
+              <Route path="*" element={<NotFoundPage/>} />
+            </Routes>
+          </Shell>
+        </LibraryProvider>
+      </SubscriptionProvider>
+    </Router>
   );
 }
 
@@ -579,12 +3498,58 @@ HOW TO RUN LOCALLY
 3) Start the dev server:
    npm run dev
 
-4) On the Portfolios page, click "Upload Excel" and select the provided
+4) On the Portfolios page, click "Upload File" (or drop the file on the page) and select the provided
    “Front end Assignment Historical NAV Report.xlsx”. The app will auto-detect columns.
 
 NOTES
-- The app attempts to detect a Date column and a numeric NAV/Price column from the first sheet.
-- It computes: (a) Month-on-month returns by calendar year + YTD, (b) Equity curve (normalized to 100),
-  and (c) Drawdown as % from prior peak.
+- The app attempts to detect a Date column and a numeric NAV/Price column, then shows an import preview
+  where the sheet, header row and columns can be changed. Confirmed mappings are remembered (localStorage)
+  for files with the same columns.
+- Uploaded portfolios (cleaned date/NAV points, source mapping and names) are saved to IndexedDB and
+  restored on reload; the Library card loads, renames, reorders and deletes them.
+- "Import Transactions" builds a daily unitized NAV from a buy/sell/SIP/dividend ledger plus a price
+  history per instrument, and reports XIRR (money-weighted) next to the time-weighted CAGR.
+- Accepted inputs: .xlsx/.xlsm/.xls, .ods, .csv/.tsv/.txt and .json (rows, or an object of named row arrays),
+  dropped anywhere on the Portfolios page or pasted as cells copied from a spreadsheet.
+- Files are read and all metrics computed in a Web Worker (src/analytics.worker.js, helpers in
+  src/analytics.js) with progress and Cancel; charts plot at most ~1,500 rows, so 100k-row histories stay responsive.
+- src/analytics.js is plain JS with unit tests (`npm test`, fixtures in test/fixtures). The same numbers are
+  available from the command line: `npm run stats -- <file> [--json]` (bin/nav-stats.js; --help for options).
+- Dates are calendar days (local midnight, labelled from local parts), so labels, months and lookbacks don't
+  shift with the time zone. DD/MM vs MM/DD strings follow the wizard's Date format (Auto: inferred, else DD/MM).
+- It computes: (a) Trailing returns (YTD, 1D–5Y, SI with CAGR for periods over a year, current & max DD;
+  1D/1W step back business days, 1M+ calendar months, each from the last NAV on or before the target day),
+  (b) Month-on-month returns by calendar year + YTD as a heatmap (also quarterly / calendar-year, or in excess
+  of the benchmark; a cell opens that period's daily chart), (c) Equity curve (normalized to 100),
+  and (d) Drawdown as % from prior peak.
+- "Corporate Actions" attaches dated dividends/IDCW, splits and bonus issues (a sheet of the NAV workbook or
+  another file) to the selected portfolio. Charts and tables then show a total-return series (payouts reinvested
+  at the ex-date NAV) or, via the Series select, the price series; both undo splits and bonuses.
+- Each series' frequency (daily, weekly, monthly, …) is detected from its dates, and trailing lookbacks shorter
+  than its spacing (1D/1W on month-end data) are hidden or marked. The Frequency select (?freq=weekly|monthly)
+  resamples every portfolio to its last NAV of each week or month. Portfolios with different dates are aligned
+  by carrying each one's last NAV forward (default) or on shared dates only (?align=intersection); benchmark
+  returns then use the sparser series' dates.
+- Return Distribution: histogram of daily/weekly/monthly returns with a fitted normal curve and P5–P95 markers,
+  average return by weekday and by month, and win/loss streaks.
+- Projection: block-bootstrapped future equity paths (daily or monthly returns from the selected range, seeded
+  so a run repeats) drawn as a 5/25/50/75/95 percentile fan from the last equity value, with the chance of
+  reaching a target and of a drawdown past a limit.
+- Goal / SIP Simulator: a lump sum and monthly SIP (with a yearly step-up), optionally followed by monthly
+  withdrawals, replayed on the active portfolio's full history; shows invested vs market value, XIRR and the
+  corpus, and the same plan from every monthly start date (worst, median and best outcome).
+- Home is a research feed built from src/content/posts (Markdown with front matter, or JSON; see src/posts.js):
+  tag filter, search and pages in the URL, /posts/:slug for the full article, and a mini equity chart for posts
+  that name a portfolio (src/content/portfolios, or a saved portfolio of that name).
+- The sidebar shows the user's plan from a subscription document (src/subscription.js): the mock backend in
+  mock/server.js under `npm run dev` (`npm run mock` runs it alone; ?as=expiring|expired|error picks a
+  scenario), or VITE_SUBSCRIPTION_URL, which a build needs (without it the app says so). A banner warns 30 days before
+  expiry; once expired, /portfolio, /compare and /posts/:slug show a renewal screen. Model portfolios in
+  posts are shown only when the plan lists them. If the plan can't be fetched, the app goes by the last one
+  this browser saw (or none) and stays open with a warning: only an expired plan locks anything.
+- Analyses are linkable: /portfolio/:id, /portfolio/:id/drawdowns (or returns, risk, rolling, …) and
+  /compare?ids=a,b, with range, benchmark (vs), risk-free (rf) and the highlighted drawdown (dd) in the query.
+  The sidebar lists saved portfolios. On GitHub Pages deep links load through a 404.html copy of index.html;
+  set VITE_HASH_ROUTER=1 when building for a host without any fallback.
 - The UI mirrors the attached screenshots: sidebar navigation, cards, a trailing returns table, and two charts.
 */
@@ -0,0 +1,1916 @@
+// Parsing and analytics shared by the page, the analytics worker and the
+// nav-stats CLI. No React or SheetJS here (file reading is in workbook.js):
+// everything takes plain rows/series and returns plain data, so results can
+// cross postMessage unchanged and the module runs as-is under Node.
+
+// ---------- Calendar dates ----------
+// A date here is a calendar day: a Date at local midnight, labelled
+// YYYY-MM-DD from its local parts. toISOString() would give the UTC day,
+// which is the previous day east of UTC (IST) for a local midnight.
+export function toLabel(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export function fromLabel(label) {
+  const [y, m, d] = label.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function calendarDate(d) {
+  // the local calendar day a Date falls on, at midnight
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+export function addDays(d, n) {
+  // by calendar day, so a DST change can't leave it an hour short
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+}
+
+function calendarDay(y, m, d) {
+  // y/m(1-12)/d → local Date, or an invalid Date for days like 31/04
+  const date = new Date(y, m - 1, d);
+  date.setFullYear(y); // years 0-99 would otherwise mean 1900-1999
+  return date.getMonth() === m - 1 && date.getDate() === d ? date : new Date(NaN);
+}
+
+const isWeekend = (d) => d.getDay() === 0 || d.getDay() === 6;
+
+export function priorBusinessDay(d, n = 1) {
+  // n weekdays before d (n = 0: d itself, or the Friday before a weekend)
+  let out = new Date(d);
+  while (isWeekend(out)) out = addDays(out, -1);
+  for (let k = 0; k < n; k++) {
+    out = addDays(out, -1);
+    while (isWeekend(out)) out = addDays(out, -1);
+  }
+  return out;
+}
+
+export function monthsBefore(d, n) {
+  // the same day n months earlier, clamped to month end (31 Mar − 1 = 29 Feb)
+  const y = d.getFullYear(), m = d.getMonth() - n;
+  const last = new Date(y, m + 1, 0).getDate();
+  return new Date(y, m, Math.min(d.getDate(), last));
+}
+
+// ---------- Helpers for Excel parsing & returns ----------
+// Trailing-return lookbacks: 1D/1W count business days (Monday's 1D is
+// Friday), the rest calendar months. The NAV used is the last one on or
+// before the target, so a holiday with no NAV falls back to the trading day
+// before it.
+export const lookbackPeriods = {
+  "1D": { businessDays: 1 },
+  "1W": { businessDays: 5 },
+  "1M": { months: 1 },
+  "3M": { months: 3 },
+  "6M": { months: 6 },
+  "1Y": { months: 12 },
+  "3Y": { months: 36 },
+  "5Y": { months: 60 },
+};
+
+// periods over a year also get an annualized figure
+export const isAnnualized = (label) => label === "SI" || (lookbackPeriods[label]?.months ?? 0) > 12;
+
+// Lookbacks shorter than a series' spacing aren't meaningful (a 1D return on
+// month-end data is really a one-month return), so they are left out. Span
+// in calendar days for each seriesFrequency id; see lookbackApplies.
+const frequencySpacing = { daily: 1, weekly: 7, monthly: 28, quarterly: 90, yearly: 365 };
+
+export function lookbackApplies(label, freq) {
+  const period = lookbackPeriods[label];
+  if (!period) return true;
+  const days = period.businessDays ? (period.businessDays * 7) / 5 : period.months * 30.44;
+  return days >= (frequencySpacing[freq] ?? 1);
+}
+
+export function lookbackDate(end, period) {
+  if (period.businessDays) return priorBusinessDay(end, period.businessDays);
+  return priorBusinessDay(monthsBefore(end, period.months), 0);
+}
+
+// How to read ambiguous day/month strings like 03/04/2024
+export const dateOrders = [
+  { id: "auto", label: "Auto" },
+  { id: "DMY", label: "DD/MM/YYYY" },
+  { id: "MDY", label: "MM/DD/YYYY" },
+];
+
+// d/m/y or m/d/y with / - . separators, 2- or 4-digit year, optional time
+const dayMonthPattern = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:[ T].*)?$/;
+// year first: always y-m-d; a time or zone after it doesn't move the day
+const yearFirstPattern = /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(?:[ T].*)?$/;
+
+export function inferDateOrder(values) {
+  // "DMY" or "MDY" when some value only parses one way (a first part over 12
+  // means DD/MM), "ambiguous" when day/month strings exist but none settles
+  // it, null when there are none.
+  let seen = false;
+  for (const v of values) {
+    if (typeof v !== "string") continue;
+    const m = dayMonthPattern.exec(v.trim());
+    if (!m) continue;
+    seen = true;
+    if (Number(m[1]) > 12) return "DMY";
+    if (Number(m[2]) > 12) return "MDY";
+  }
+  return seen ? "ambiguous" : null;
+}
+
+export function resolveDateOrder(values, dateOrder = "auto") {
+  // the order to parse a column with; unsettled columns read as DD/MM
+  if (dateOrder === "DMY" || dateOrder === "MDY") return dateOrder;
+  const inferred = inferDateOrder(values);
+  return inferred === "MDY" ? "MDY" : "DMY";
+}
+
+export function coerceDate(v, dateOrder = "auto") {
+  // Any cell → its calendar day (local midnight), or an invalid Date:
+  // - JS Date objects (time of day dropped)
+  // - Excel serial numbers (as number)
+  // - numeric strings that represent Excel serials
+  // - YYYY-MM-DD (with or without a time) as written, never shifted by zone
+  // - DD/MM/YYYY or MM/DD/YYYY per dateOrder; "auto" decides per value when
+  //   a part is over 12, else DD/MM (use resolveDateOrder for a whole column)
+  // - other strings Date can parse ("5 Jan 2024", "Jan 5, 2024")
+  if (v == null) return new Date(NaN);
+  if (v instanceof Date) return isNaN(+v) ? new Date(NaN) : calendarDate(v);
+
+  // If it's already a number (Excel serials often come as numbers)
+  if (typeof v === "number") {
+    if (Number.isNaN(v)) return new Date(NaN);
+    if (v >= 0 && v <= maxExcelSerial) return calendarDate(excelSerialDate(v));
+    // out of Excel's range: still read it as days since 1899-12-30
+    const d = new Date((v - 25569) * 86400 * 1000); // 25569 = days between 1899-12-30 and 1970-01-01
+    return isNaN(+d) ? new Date(NaN) : calendarDate(d);
+  }
+
+  // strings: try trimming
+  const s = String(v).trim();
+  if (s === "") return new Date(NaN);
+
+  // If string looks like a pure number, try number path
+  if (/^-?\d+(\.\d+)?$/.test(s)) return coerceDate(Number(s));
+
+  let m = yearFirstPattern.exec(s);
+  if (m) return calendarDay(Number(m[1]), Number(m[2]), Number(m[3]));
+
+  m = dayMonthPattern.exec(s);
+  if (m) {
+    let [a, b] = [Number(m[1]), Number(m[2])];
+    const mdy = dateOrder === "MDY" || (dateOrder === "auto" && b > 12);
+    if (mdy) [a, b] = [b, a];
+    // two-digit years as Excel reads them: 00-29 → 20xx, 30-99 → 19xx
+    const y = m[3].length === 2 ? Number(m[3]) + (Number(m[3]) < 30 ? 2000 : 1900) : Number(m[3]);
+    return calendarDay(y, b, a);
+  }
+
+  // Try Date.parse (named months and other local formats)
+  const d = new Date(s);
+  if (!isNaN(+d)) return calendarDate(d);
+
+  // Last resort: a leading number read as a serial
+  const maybeNum = parseFloat(s);
+  if (!Number.isNaN(maybeNum)) return coerceDate(maybeNum);
+
+  return new Date(NaN);
+}
+
+// 9999-12-31, the last day Excel can show
+const maxExcelSerial = 2958465;
+
+export function excelSerialDate(serial) {
+  // Excel day number (1900 date system) → local Date. Day 1 is 1900-01-01 and
+  // Excel counts a 29 Feb 1900 that never existed as day 60, so from day 61
+  // on the epoch is effectively 1899-12-30. The fraction is the time of day,
+  // to the nearest second. Built from calendar parts, so DST can't shift it.
+  const days = Math.floor(serial);
+  const seconds = Math.round((serial - days) * 86400);
+  return new Date(1899, 11, (days > 60 ? 30 : 31) + days, 0, 0, seconds);
+}
+
+export function isDateLike(v) {
+  // under either day/month order
+  const d = coerceDate(v);
+  return !isNaN(+d);
+}
+
+export function isNumericLike(v) {
+  if (v == null) return false;
+  if (typeof v === "number" && !Number.isNaN(v)) return true;
+  if (typeof v === "string") {
+    // allow numeric strings with commas/space trimmed
+    const s = v.trim().replace(/,/g, "");
+    return s !== "" && !Number.isNaN(Number(s));
+  }
+  return false;
+}
+
+// header names that usually hold the NAV/price, used to break ties between
+// equally numeric columns (NAV vs units vs AUM)
+const navHeaderHint = /\b(nav|price|close|value|index|tri)\b/i;
+// and the same for date columns, whose rivals are small numbers that pass as
+// Excel serials (units, ratios)
+const dateHeaderHint = /\b(date|day|as of|time)\b/i;
+
+export function detectColumns(rows) {
+  // Find best date column and best numeric NAV column. `scores` carries the
+  // per-column date/numeric share of the sample (0–1) for the import preview.
+  if (!rows?.length) return { dateKey: null, navKey: null, scores: [] };
+
+  const sampleSize = Math.min(rows.length, 50);
+  const keys = Object.keys(rows[0]);
+
+  // Score each key for date-likeness and numeric-likeness
+  const scores = keys.map(k => {
+    let dateCount = 0, numCount = 0;
+    for (let i = 0; i < sampleSize; i++) {
+      const v = rows[i][k];
+      if (isDateLike(v)) dateCount++;
+      if (isNumericLike(v)) numCount++;
+    }
+    return {
+      key: k,
+      dateCount,
+      numCount,
+      date: dateCount / sampleSize,
+      numeric: numCount / sampleSize,
+      hint: navHeaderHint.test(k),
+      dateHint: dateHeaderHint.test(k),
+    };
+  });
+
+  // Choose dateKey: highest dateCount and at least >60% of sample
+  const threshold = Math.ceil(sampleSize * 0.6);
+  const dateCandidates = scores.filter(s => s.dateCount >= threshold).sort((a,b) => b.dateCount - a.dateCount || b.dateHint - a.dateHint);
+  let dateKey = dateCandidates.length ? dateCandidates[0].key : null;
+
+  // If no column passes threshold, pick the single best dateCount if it has at least something
+  if (!dateKey) {
+    const bestDate = scores.slice().sort((a,b) => b.dateCount - a.dateCount)[0];
+    if (bestDate && bestDate.dateCount > 0) dateKey = bestDate.key;
+  }
+
+  // Choose navKey: highest numCount and at least >60% OR fallback to best numeric column.
+  // Excel serial dates are numeric too, so the date column is never a NAV candidate;
+  // ties go to a NAV-looking header.
+  const navScores = scores.filter(s => s.key !== dateKey);
+  const byNumeric = (a, b) => b.numCount - a.numCount || b.hint - a.hint;
+  const numCandidates = navScores.filter(s => s.numCount >= threshold).sort(byNumeric);
+  let navKey = numCandidates.length ? numCandidates[0].key : null;
+  if (!navKey) {
+    const bestNum = navScores.slice().sort(byNumeric)[0];
+    if (bestNum && bestNum.numCount > 0) navKey = bestNum.key;
+  }
+
+  return { dateKey, navKey, scores };
+}
+
+// ---------- Sheet rows ----------
+// Workbooks cross from the worker as { SheetNames, Sheets: { [name]: cells } }
+// where cells is an array of rows (arrays) indexed by sheet row.
+
+export function sheetHeader(wb, sheetName, headerRow = 0) {
+  // Column names as SheetJS's sheet_to_json makes them: blank header cells
+  // become __EMPTY, __EMPTY_1…; repeated names get _1, _2…
+  const cells = wb.Sheets[sheetName] ?? [];
+  const width = cells.reduce((w, r) => Math.max(w, r.length), 0);
+  const header = cells[headerRow] ?? [];
+  const counts = {};
+  const keys = [];
+  for (let c = 0; c < width; c++) {
+    const base = header[c] == null ? "__EMPTY" : String(header[c]);
+    let key = base;
+    if (counts[base]) {
+      let n = counts[base];
+      do key = `${base}_${n++}`; while (counts[key]);
+      counts[base] = n;
+    }
+    counts[key] = 1;
+    keys.push(key);
+  }
+  return keys;
+}
+
+export function sheetRows(wb, sheetName, headerRow = 0) {
+  // headerRow is the 0-based sheet row holding the column names; rows below
+  // it become objects keyed by those names (null for empty cells), skipping
+  // blank rows.
+  const cells = wb.Sheets[sheetName];
+  if (!cells) return [];
+  const keys = sheetHeader(wb, sheetName, headerRow);
+  const rows = [];
+  for (let r = headerRow + 1; r < cells.length; r++) {
+    const line = cells[r];
+    if (!line || line.every(v => v == null)) continue;
+    const row = {};
+    keys.forEach((k, c) => {
+      row[k] = line[c] ?? null;
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+export function parseRow(r, dateKey, navKey, dateOrder = "auto") {
+  // → { date, nav, key } for a usable row, or { reason } explaining the skip
+  const d = coerceDate(r[dateKey], dateOrder);
+  if (isNaN(+d)) return { reason: r[dateKey] == null || r[dateKey] === "" ? "missing date" : "unparseable date" };
+  const rawNav = r[navKey];
+  if (rawNav == null || rawNav === "") return { reason: "missing NAV" };
+  if (!isNumericLike(rawNav)) return { reason: "non-numeric NAV" };
+  const nav = Number(String(rawNav).trim().replace(/,/g, ""));
+  if (Number.isNaN(nav)) return { reason: "non-numeric NAV" };
+  return { date: d, nav, key: toLabel(d) }; // key: YYYY-MM-DD
+}
+
+export function toSeries(rows, dateKey, navKey, exclude = null, { dateOrder = "auto" } = {}) {
+  // exclude: optional Set of row indices (e.g. points flagged by dataQuality)
+  // dateOrder: "auto" | "DMY" | "MDY", resolved once for the whole column
+  if (!rows?.length || !dateKey || !navKey) return [];
+  const order = resolveDateOrder(rows.map(r => r[dateKey]), dateOrder);
+
+  // Build cleaned records with valid date + numeric nav
+  const mapByDate = new Map(); // keep last record for a date (so duplicates overwrite)
+  rows.forEach((r, i) => {
+    if (exclude?.has(i)) return;
+    const p = parseRow(r, dateKey, navKey, order);
+    if (p.reason) return;
+    // keep last occurrence in sheet for same date (similar to Excel last entry)
+    mapByDate.set(p.key, { date: p.date, nav: p.nav });
+  });
+
+  const clean = Array.from(mapByDate.values()).sort((a,b) => +a.date - +b.date);
+  return withEquity(clean);
+}
+
+// ---------- Data quality ----------
+// ratios that look like a split/bonus or a change of units rather than a market move
+const splitFactors = [2, 3, 4, 5, 10, 100, 1000];
+
+function businessDaysBetween(from, to) {
+  // weekdays after `from` up to and including `to`
+  let n = 0;
+  for (let d = addDays(from, 1); d <= to; d = addDays(d, 1)) if (!isWeekend(d)) n++;
+  return n;
+}
+
+export function dataQuality(rows, dateKey, navKey, { gapDays = 5, moveThreshold = 0.1, dateOrder = "auto" } = {}) {
+  // What toSeries would silently do to these rows, as a report. Every entry
+  // carries `rows`: indices into `rows` for linking back to the sheet.
+  //  skipped     – rows dropped, with the reason
+  //  duplicates  – dates appearing more than once (the last row wins)
+  //  gaps        – more than gapDays weekdays between consecutive dates
+  //  nonPositive – zero or negative NAVs
+  //  moves       – one-step moves beyond ±moveThreshold; `split` is set when
+  //                the ratio is close to a split/bonus/unit factor
+  //  dateOrder   – how DD/MM-style dates were read ("DMY"/"MDY"), null if
+  //                there are none; `dateOrderGuessed` when nothing settled it
+  const report = { skipped: [], duplicates: [], gaps: [], nonPositive: [], moves: [], dateOrder: null, dateOrderGuessed: false };
+  if (!rows?.length || !dateKey || !navKey) return report;
+
+  const dates = rows.map(r => r[dateKey]);
+  const inferred = inferDateOrder(dates);
+  const order = resolveDateOrder(dates, dateOrder);
+  if (inferred) {
+    report.dateOrder = order;
+    report.dateOrderGuessed = dateOrder === "auto" && inferred === "ambiguous";
+  }
+
+  const byKey = new Map(); // key → { date, nav, rows: [...] }
+  rows.forEach((r, i) => {
+    const p = parseRow(r, dateKey, navKey, order);
+    if (p.reason) {
+      report.skipped.push({ rows: [i], reason: p.reason });
+      return;
+    }
+    const cur = byKey.get(p.key);
+    if (cur) {
+      cur.rows.push(i);
+      cur.nav = p.nav;
+    } else {
+      byKey.set(p.key, { key: p.key, date: p.date, nav: p.nav, rows: [i] });
+    }
+  });
+
+  const points = Array.from(byKey.values()).sort((a, b) => +a.date - +b.date);
+  for (const p of points) {
+    const last = p.rows[p.rows.length - 1];
+    if (p.rows.length > 1) report.duplicates.push({ dateLabel: p.key, rows: p.rows, kept: last });
+    if (p.nav <= 0) report.nonPositive.push({ dateLabel: p.key, nav: p.nav, rows: [last] });
+  }
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1], cur = points[i];
+    const lastRow = cur.rows[cur.rows.length - 1];
+    const days = businessDaysBetween(prev.date, cur.date);
+    if (days > gapDays) {
+      report.gaps.push({ from: prev.key, to: cur.key, days, rows: [prev.rows[prev.rows.length - 1], lastRow] });
+    }
+    if (prev.nav > 0 && cur.nav > 0) {
+      const ratio = cur.nav / prev.nav;
+      if (Math.abs(ratio - 1) > moveThreshold) {
+        const factor = ratio >= 1 ? ratio : 1 / ratio;
+        const split = splitFactors.find(f => Math.abs(factor / f - 1) < 0.02) ?? null;
+        report.moves.push({
+          dateLabel: cur.key,
+          ret: ratio - 1,
+          split: split && (ratio >= 1 ? `×${split}` : `1:${split}`),
+          rows: [lastRow],
+        });
+      }
+    }
+  }
+
+  return report;
+}
+
+export function defaultExclusions(report) {
+  // zero/negative NAVs break every return after them, so they start excluded;
+  // large moves may be real and start kept
+  return new Set(report.nonPositive.flatMap(x => x.rows));
+}
+
+export function withEquity(clean) {
+  // clean: [{ date, nav }] sorted by date → series points with equity
+  // normalized to 100 at the first point and drawdown from the running peak.
+  if (!clean.length) return [];
+
+  // Compute equity (start 100), returns, drawdown
+  let equity = 100;
+  let peak = 100;
+  const out = [];
+  let prevNav = null;
+  for (let i = 0; i < clean.length; i++) {
+    const cur = clean[i];
+    let ret = 0;
+    if (prevNav !== null && prevNav !== 0) {
+      ret = (cur.nav / prevNav) - 1;
+    } else {
+      ret = 0;
+    }
+    equity = equity * (1 + ret);
+    peak = Math.max(peak, equity);
+    const dd = (equity / peak) - 1; // negative or zero
+    out.push({
+      date: cur.date,
+      dateLabel: toLabel(cur.date),
+      nav: cur.nav,
+      equity: Number(equity.toFixed(2)),
+      drawdown: Number((dd * 100).toFixed(2)),
+    });
+    prevNav = cur.nav;
+  }
+  return out;
+}
+
+export function sliceSeries(series, from, to) {
+  // Restrict to dateLabels within [from, to] (either bound may be null) and
+  // rebase, so equity restarts at 100 and drawdowns at the window start.
+  if (!from && !to) return series;
+  const start = from ? labelIndex(series, from) : 0;
+  const end = to ? bisect(series.length, i => series[i].dateLabel <= to) : series.length;
+  return withEquity(series.slice(start, end).map(p => ({ date: p.date, nav: p.nav })));
+}
+
+// ---------- Sorted lookups ----------
+// Series and chart rows are sorted by date, so lookups binary-search instead
+// of scanning; several run per period or per cell on 100k-point histories.
+function bisect(n, isBefore) {
+  // first index in [0, n) for which isBefore is false; isBefore must hold
+  // for a prefix of the indices and fail for the rest
+  let lo = 0, hi = n;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (isBefore(mid)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export function labelIndex(rows, label) {
+  // first row with dateLabel >= label (rows.length if none)
+  return bisect(rows.length, i => rows[i].dateLabel < label);
+}
+
+export function thinRows(rows, max = 1500, depth = null) {
+  // Chart rows cut down to about `max`: the first row of every bucket plus,
+  // with `depth`, the row it scores lowest so drawdown troughs survive. The
+  // last row is always kept. Thousands of SVG points are what stall the page.
+  if (rows.length <= max) return rows;
+  const size = Math.ceil(rows.length / (depth ? max / 2 : max));
+  const out = [];
+  for (let i = 0; i < rows.length; i += size) {
+    const end = Math.min(i + size, rows.length);
+    let low = i;
+    if (depth) for (let k = i + 1; k < end; k++) if (depth(rows[k]) < depth(rows[low])) low = k;
+    out.push(rows[i]);
+    if (low !== i) out.push(rows[low]);
+  }
+  if (out[out.length - 1] !== rows[rows.length - 1]) out.push(rows[rows.length - 1]);
+  return out;
+}
+
+// ---------- Transaction ledgers ----------
+// Header patterns for ledger columns; the date column comes from detectColumns.
+const ledgerHints = {
+  instrumentKey: /\b(instrument|scheme|fund|security|symbol|ticker|stock|name)\b/i,
+  typeKey: /\b(type|action|transaction|txn|side)\b/i,
+  unitsKey: /\b(units?|qty|quantity|shares)\b/i,
+  amountKey: /\b(amount|value|cash|consideration|total)\b/i,
+};
+
+export function detectLedgerColumns(rows) {
+  const keys = rows?.length ? Object.keys(rows[0]) : [];
+  const { dateKey } = detectColumns(rows);
+  const out = { dateKey };
+  const taken = new Set([dateKey]);
+  for (const [field, re] of Object.entries(ledgerHints)) {
+    const k = keys.find(key => !taken.has(key) && re.test(key)) ?? null;
+    out[field] = k;
+    if (k) taken.add(k);
+  }
+  return out;
+}
+
+function txnType(raw, signed) {
+  // Normalize a ledger type to buy / sell / dividend. Without a type column
+  // the sign of units/amount decides (negative = sell).
+  const t = String(raw ?? "").trim().toLowerCase();
+  if (/div|idcw|payout|interest/.test(t)) return "dividend";
+  if (/sell|sale|redeem|redemption|withdraw|swp|switch.?out/.test(t)) return "sell";
+  if (/buy|purchase|sip|invest|switch.?in|subscri|additional/.test(t)) return "buy";
+  if (t) return null;
+  return signed < 0 ? "sell" : "buy";
+}
+
+const toNumber = (v) => (isNumericLike(v) ? Number(String(v).trim().replace(/,/g, "")) : null);
+
+export function parseLedger(rows, { dateKey, instrumentKey, typeKey, unitsKey, amountKey, dateOrder = "auto" }) {
+  // → { txns: [{ date, key, instrument, type, units, amount }], skipped: [{ row, reason }] }
+  // units/amount are unsigned; either may be null and is filled in from the
+  // price history when the NAV is built.
+  const txns = [], skipped = [];
+  const order = resolveDateOrder(rows.map(r => r[dateKey]), dateOrder);
+  rows.forEach((r, i) => {
+    const date = coerceDate(r[dateKey], order);
+    if (isNaN(+date)) return skipped.push({ row: i, reason: "unparseable date" });
+    const units = unitsKey ? toNumber(r[unitsKey]) : null;
+    const amount = amountKey ? toNumber(r[amountKey]) : null;
+    const type = txnType(typeKey ? r[typeKey] : null, units ?? amount ?? 0);
+    if (!type) return skipped.push({ row: i, reason: `unknown type “${r[typeKey]}”` });
+    const instrument = instrumentKey ? String(r[instrumentKey] ?? "").trim() : "Portfolio";
+    if (!instrument) return skipped.push({ row: i, reason: "missing instrument" });
+    if (units == null && amount == null) return skipped.push({ row: i, reason: "no units or amount" });
+    if (type === "dividend" && amount == null) return skipped.push({ row: i, reason: "dividend without amount" });
+    txns.push({
+      date,
+      key: toLabel(date),
+      instrument,
+      type,
+      units: units == null ? null : Math.abs(units),
+      amount: amount == null ? null : Math.abs(amount),
+    });
+  });
+  txns.sort((a, b) => +a.date - +b.date);
+  return { txns, skipped };
+}
+
+export function parsePriceHistory(rows) {
+  // Wide sheets (Date + one price column per instrument) or long sheets
+  // (Date, Instrument, Price). → Map(instrument → Map(dateKey → price))
+  const prices = new Map();
+  if (!rows?.length) return prices;
+  const { dateKey } = detectColumns(rows);
+  if (!dateKey) return prices;
+  const ledger = detectLedgerColumns(rows);
+  const add = (name, key, price) => {
+    if (!prices.has(name)) prices.set(name, new Map());
+    prices.get(name).set(key, price);
+  };
+
+  const keys = Object.keys(rows[0]).filter(k => k !== dateKey);
+  const longPriceKey = ledger.instrumentKey && keys.find(k => k !== ledger.instrumentKey && /\b(price|nav|close)\b/i.test(k));
+  const order = resolveDateOrder(rows.map(r => r[dateKey]));
+  for (const r of rows) {
+    const d = coerceDate(r[dateKey], order);
+    if (isNaN(+d)) continue;
+    const key = toLabel(d);
+    if (longPriceKey) {
+      const price = toNumber(r[longPriceKey]);
+      const name = String(r[ledger.instrumentKey] ?? "").trim();
+      if (name && price != null) add(name, key, price);
+    } else {
+      for (const k of keys) {
+        const price = toNumber(r[k]);
+        if (price != null) add(String(k).trim(), key, price);
+      }
+    }
+  }
+  return prices;
+}
+
+export function buildUnitizedNav(txns, prices, baseNav = 100) {
+  // Unitize the holdings like a fund: every buy issues units at the day's NAV,
+  // every sell or dividend payout redeems them, so the NAV moves only with
+  // prices (a time-weighted return). Holdings are valued at the last known
+  // price of each instrument on every price date from the first transaction.
+  // Returns { points: [{ date, nav }], flows: [{ date, amount }] (investor's
+  // view: paid in < 0, received > 0, final value last), missing: [instrument] }.
+  const norm = (s) => s.trim().toLowerCase();
+  const priceOf = new Map([...prices].map(([name, m]) => [norm(name), m]));
+  const instruments = [...new Set(txns.map(t => t.instrument))];
+  const missing = instruments.filter(i => !priceOf.has(norm(i)));
+  if (!txns.length || missing.length) return { points: [], flows: [], missing };
+
+  const start = txns[0].key;
+  const dayKeys = new Set(txns.map(t => t.key));
+  for (const i of instruments) for (const k of priceOf.get(norm(i)).keys()) if (k >= start) dayKeys.add(k);
+  const days = [...dayKeys].sort();
+  const dateOf = new Map(txns.map(t => [t.key, t.date]));
+
+  const holdings = new Map(instruments.map(i => [i, 0]));
+  const lastPrice = new Map();
+  const byDay = new Map();
+  for (const t of txns) (byDay.get(t.key) ?? byDay.set(t.key, []).get(t.key)).push(t);
+
+  let units = 0, nav = baseNav;
+  const points = [], flows = [];
+  for (const key of days) {
+    for (const i of instruments) {
+      const p = priceOf.get(norm(i)).get(key);
+      if (p != null) lastPrice.set(i, p);
+    }
+    // NAV before today's flows; a fully redeemed portfolio keeps its last NAV
+    if (units > 1e-9) nav = holdingsValue(holdings, lastPrice) / units;
+
+    for (const t of byDay.get(key) ?? []) {
+      const price = lastPrice.get(t.instrument);
+      const qty = t.units ?? (price ? t.amount / price : 0);
+      const cash = t.amount ?? qty * (price ?? 0);
+      if (t.type === "buy") {
+        holdings.set(t.instrument, holdings.get(t.instrument) + qty);
+        units += cash / nav;
+        flows.push({ date: t.date, amount: -cash });
+      } else if (t.type === "sell") {
+        holdings.set(t.instrument, Math.max(0, holdings.get(t.instrument) - qty));
+        units = Math.max(0, units - cash / nav);
+        flows.push({ date: t.date, amount: cash });
+      } else {
+        // dividend paid out to the investor
+        units = Math.max(0, units - cash / nav);
+        flows.push({ date: t.date, amount: cash });
+      }
+    }
+
+    if (units > 1e-9) {
+      points.push({ date: dateOf.get(key) ?? fromLabel(key), nav: Number((holdingsValue(holdings, lastPrice) / units).toFixed(6)) });
+    }
+  }
+
+  // the closing market value counts as money received for XIRR
+  const last = points[points.length - 1];
+  if (last) flows.push({ date: last.date, amount: holdingsValue(holdings, lastPrice) });
+  return { points, flows, missing };
+}
+
+function holdingsValue(holdings, lastPrice) {
+  let v = 0;
+  for (const [i, qty] of holdings) v += qty * (lastPrice.get(i) ?? 0);
+  return v;
+}
+
+export function xirr(flows) {
+  // Money-weighted annual return: the rate r that makes the dated cash flows'
+  // NPV zero (amounts: negative = paid in). Newton's method, falling back to
+  // bisection when it doesn't converge. null when there is no sign change.
+  if (flows.length < 2 || !flows.some(f => f.amount < 0) || !flows.some(f => f.amount > 0)) return null;
+  const ts = flows.map(f => daysBetween(flows[0].date, f.date) / 365);
+  const npv = (r) => flows.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, ts[i]), 0);
+  const dnpv = (r) => flows.reduce((s, f, i) => s - (ts[i] * f.amount) / Math.pow(1 + r, ts[i] + 1), 0);
+
+  let r = 0.1;
+  for (let k = 0; k < 50; k++) {
+    const f = npv(r), d = dnpv(r);
+    if (!Number.isFinite(f) || !d) break;
+    const next = r - f / d;
+    if (next <= -1 || !Number.isFinite(next)) break;
+    if (Math.abs(next - r) < 1e-10) return next;
+    r = next;
+  }
+
+  let lo = -0.9999, hi = 10;
+  if (npv(lo) * npv(hi) > 0) return null;
+  for (let k = 0; k < 200; k++) {
+    const mid = (lo + hi) / 2;
+    if (npv(lo) * npv(mid) <= 0) hi = mid;
+    else lo = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ---------- Corporate actions ----------
+// Dividend/IDCW payouts, splits and bonus issues from a sheet of dated
+// actions, long (Date, Type, Value) or wide (Date + Dividend/Split/Bonus
+// columns). Splits and bonuses change the unit count, not the value held, so
+// both views undo them; the total-return view also reinvests every payout at
+// the ex-date NAV. An action applies at the first NAV on or after its date.
+const actionHints = {
+  typeKey: /\b(type|action|event|purpose)\b/i,
+  valueKey: /\b(value|amount|ratio|per unit|rate)\b/i,
+  dividendKey: /\b(dividend|idcw|payout|distribution)\b/i,
+  splitKey: /\bsplit\b/i,
+  bonusKey: /\bbonus\b/i,
+};
+
+export const actionTypes = { dividend: "Dividend", split: "Split", bonus: "Bonus" };
+
+export function detectActionColumns(rows) {
+  // the wide columns win over a generic Value column: "Dividend" is a value
+  const keys = rows?.length ? Object.keys(rows[0]) : [];
+  const { dateKey } = detectColumns(rows);
+  const out = { dateKey };
+  const taken = new Set([dateKey]);
+  for (const field of ["dividendKey", "splitKey", "bonusKey", "typeKey", "valueKey"]) {
+    const k = keys.find(key => !taken.has(key) && actionHints[field].test(key)) ?? null;
+    out[field] = k;
+    if (k) taken.add(k);
+  }
+  if (!out.typeKey) out.valueKey = null; // a value means nothing without its type
+  return out;
+}
+
+function actionType(raw) {
+  const t = String(raw ?? "").trim().toLowerCase();
+  if (/div|idcw|payout|distribution/.test(t)) return "dividend";
+  if (/split|sub-?division/.test(t)) return "split";
+  if (/bonus/.test(t)) return "bonus";
+  return null;
+}
+
+export function actionFactor(type, raw) {
+  // Units held after the action per unit before it. Splits are written
+  // new:old ("5:1", "5-for-1") or as the factor; bonuses as bonus:held
+  // ("1:1" doubles the units) or as bonus units per unit held.
+  const v = String(raw ?? "").trim();
+  const ratio = /^(\d+(?:\.\d+)?)\s*(?::|-?\s*for\s*-?)\s*(\d+(?:\.\d+)?)$/i.exec(v);
+  const n = ratio ? Number(ratio[1]) / Number(ratio[2]) : toNumber(v);
+  if (n == null || !Number.isFinite(n) || n <= 0) return null;
+  return type === "bonus" ? 1 + n : n;
+}
+
+export function parseActions(rows, { dateKey, typeKey, valueKey, dividendKey, splitKey, bonusKey, dateOrder = "auto" }) {
+  // → { actions: [{ date, key, type, value }], skipped: [{ row, reason }] }
+  // value: payout per unit for dividends, the units factor for splits/bonuses
+  const actions = [], skipped = [];
+  const order = resolveDateOrder(rows.map(r => r[dateKey]), dateOrder);
+  rows.forEach((r, i) => {
+    const date = coerceDate(r[dateKey], order);
+    if (isNaN(+date)) return skipped.push({ row: i, reason: "unparseable date" });
+    const cells = [];
+    if (typeKey && valueKey && r[typeKey] != null && r[typeKey] !== "") cells.push([actionType(r[typeKey]), r[valueKey], r[typeKey]]);
+    for (const [type, key] of [["dividend", dividendKey], ["split", splitKey], ["bonus", bonusKey]]) {
+      if (key && r[key] != null && String(r[key]).trim() !== "") cells.push([type, r[key]]);
+    }
+    if (!cells.length) return skipped.push({ row: i, reason: "no action" });
+    for (const [type, raw, typeText] of cells) {
+      if (!type) {
+        skipped.push({ row: i, reason: `unknown type “${typeText}”` });
+        continue;
+      }
+      const value = type === "dividend" ? toNumber(raw) : actionFactor(type, raw);
+      if (value == null || value <= 0 || (type !== "dividend" && value === 1)) {
+        skipped.push({ row: i, reason: `invalid ${type} “${raw}”` });
+        continue;
+      }
+      actions.push({ date, key: toLabel(date), type, value });
+    }
+  });
+  actions.sort((a, b) => +a.date - +b.date);
+  return { actions, skipped };
+}
+
+export function applyActions(clean, actions) {
+  // clean: the raw [{ date, nav }] series, sorted → { price, total } as
+  // [{ date, nav }] adjusted back from the last NAV (which stays as quoted),
+  // plus applied: [{ ...action, at, factor, warning }] and unmatched:
+  // [{ ...action, reason }].
+  const applied = [], unmatched = [];
+  if (!clean.length) return { price: [], total: [], applied, unmatched: actions.map(a => ({ ...a, reason: "no NAV data" })) };
+  const first = clean[0].date, last = clean[clean.length - 1].date;
+  const byIndex = new Map();
+  for (const a of actions) {
+    if (+a.date <= +first) unmatched.push({ ...a, reason: "on or before the first NAV" });
+    else if (+a.date > +last) unmatched.push({ ...a, reason: "after the last NAV" });
+    else {
+      const i = bisect(clean.length, j => +clean[j].date < +a.date);
+      (byIndex.get(i) ?? byIndex.set(i, []).get(i)).push(a);
+    }
+  }
+
+  let splitUnits = 1, totalUnits = 1;
+  const units = clean.map((p, i) => {
+    for (const a of byIndex.get(i) ?? []) {
+      const move = p.nav / clean[i - 1].nav;
+      if (a.type === "dividend") {
+        const factor = 1 + a.value / p.nav;
+        totalUnits *= factor;
+        applied.push({ ...a, at: toLabel(p.date), factor, warning: a.value >= clean[i - 1].nav ? "payout exceeds the previous NAV" : null });
+      } else {
+        splitUnits *= a.value;
+        totalUnits *= a.value;
+        // a quoted series drops by about the factor; one that doesn't was
+        // probably adjusted already and would get a fake jump
+        const adjusted = Math.abs(Math.log(move * a.value)) > Math.abs(Math.log(move));
+        applied.push({ ...a, at: toLabel(p.date), factor: a.value, warning: adjusted ? "the NAV doesn't move by this ratio; it may already be adjusted" : null });
+      }
+    }
+    return [splitUnits, totalUnits];
+  });
+  const [lastSplit, lastTotal] = units[units.length - 1];
+  return {
+    price: clean.map((p, i) => ({ date: p.date, nav: p.nav * units[i][0] / lastSplit })),
+    total: clean.map((p, i) => ({ date: p.date, nav: p.nav * units[i][1] / lastTotal })),
+    applied,
+    unmatched,
+  };
+}
+
+// ---------- SIP / SWP simulation ----------
+// Replays a savings plan against a NAV history: an optional lump sum and a
+// monthly SIP from `start` (raised by stepUpPct every 12 instalments), then
+// optional monthly SWP withdrawals from month `swpFrom`, when the SIP stops.
+// Every flow trades at the first NAV on or after its scheduled day, and the
+// plan is valued at the last NAV on or before `months` months after start.
+//
+// plan: { start: "YYYY-MM-DD", months, lumpSum, sip, stepUpPct, swp, swpFrom }
+export function wholeMonths(from, to) {
+  // complete months from one day to another, month ends clamping as in
+  // monthsBefore (31 Jan → 29 Feb is one)
+  const n = (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth();
+  return +monthsBefore(from, -n) > +to ? n - 1 : n;
+}
+
+function planFlows(series, startDate, plan) {
+  // → { flows: [{ i, amount }] (amount < 0: paid in), end: index valued at }
+  const end = bisect(series.length, i => +series[i].date <= +monthsBefore(startDate, -plan.months)) - 1;
+  const stepUp = 1 + (plan.stepUpPct ?? 0) / 100;
+  const swpFrom = plan.swp > 0 && plan.swpFrom != null ? plan.swpFrom : Infinity;
+  const flows = [];
+  for (let k = 0; k < plan.months; k++) {
+    const day = monthsBefore(startDate, -k);
+    const i = bisect(series.length, j => +series[j].date < +day);
+    if (i > end) break;
+    if (k === 0 && plan.lumpSum > 0) flows.push({ i, amount: -plan.lumpSum });
+    if (k >= swpFrom) flows.push({ i, amount: plan.swp });
+    else if (plan.sip > 0) flows.push({ i, amount: -plan.sip * stepUp ** Math.floor(k / 12) });
+  }
+  return { flows, end };
+}
+
+export function simulatePlan(series, plan, { track = false } = {}) {
+  // → { startLabel, endLabel, invested, withdrawn, value, xirr, depletedOn,
+  //     rows: [{ dateLabel, invested, withdrawn, value }] (track only) }, or
+  // null when nothing is invested before the end of the data
+  const { flows, end } = planFlows(series, fromLabel(plan.start), plan);
+  if (!flows.some(f => f.amount < 0)) return null;
+
+  let units = 0, invested = 0, withdrawn = 0, depletedOn = null, f = 0;
+  const cash = [], rows = [];
+  const visit = (i) => {
+    const { date, dateLabel, nav } = series[i];
+    for (; f < flows.length && flows[f].i === i; f++) {
+      const { amount } = flows[f];
+      if (amount < 0) {
+        units -= amount / nav;
+        invested -= amount;
+        cash.push({ date, amount });
+      } else if (units > 0) {
+        // a withdrawal larger than the holding takes what's left
+        const paid = Math.min(amount, units * nav);
+        units = paid < units * nav ? units - paid / nav : 0;
+        if (!units) depletedOn = dateLabel;
+        withdrawn += paid;
+        cash.push({ date, amount: paid });
+      }
+    }
+    if (track) rows.push({ dateLabel, invested, withdrawn, value: units * nav });
+  };
+  const first = flows[0].i;
+  if (track) for (let i = first; i <= end; i++) visit(i);
+  else for (const i of new Set(flows.map(x => x.i))) visit(i);
+
+  const value = units * series[end].nav;
+  if (value > 0) cash.push({ date: series[end].date, amount: value });
+  return {
+    startLabel: series[first].dateLabel,
+    endLabel: series[end].dateLabel,
+    invested,
+    withdrawn,
+    value,
+    xirr: xirr(cash),
+    depletedOn,
+    ...(track ? { rows } : {}),
+  };
+}
+
+export function planStarts(series, months) {
+  // every monthly start, from the first NAV, whose whole plan fits the data
+  if (!series.length) return [];
+  const first = series[0].date, last = series[series.length - 1].date;
+  const out = [];
+  for (let k = 0; +monthsBefore(first, -(k + months)) <= +last; k++) out.push(monthsBefore(first, -k));
+  return out;
+}
+
+export function outcomeSpread(outcomes) {
+  // outcomes: [{ start, xirr, value }] → worst / median / best by XIRR, and
+  // the share of starts that lost money
+  const ranked = outcomes.filter(o => o.xirr != null).sort((a, b) => a.xirr - b.xirr);
+  if (!ranked.length) return null;
+  return {
+    count: ranked.length,
+    worst: ranked[0],
+    median: ranked[Math.floor((ranked.length - 1) / 2)],
+    best: ranked[ranked.length - 1],
+    losing: ranked.filter(o => o.xirr < 0).length / ranked.length,
+  };
+}
+
+// ---------- Date range selection ----------
+export const rangePresets = ["YTD", "1Y", "3Y", "5Y", "Max"];
+
+export function resolveRange(params, lastLabel) {
+  // URL state → { preset, from, to } with from/to as YYYY-MM-DD (or null).
+  // Presets are relative to the latest date across the loaded portfolios;
+  // `from`/`to` query params describe a custom window.
+  const from = params.get("from");
+  const to = params.get("to");
+  if (from || to) return { preset: null, from: from || null, to: to || null };
+
+  const preset = rangePresets.includes(params.get("range")) ? params.get("range") : "Max";
+  if (preset === "Max" || !lastLabel) return { preset, from: null, to: null };
+  const year = Number(lastLabel.slice(0, 4));
+  if (preset === "YTD") return { preset, from: `${year}-01-01`, to: null };
+  // shift the year on the label itself; "2023-02-29" still sorts correctly
+  return { preset, from: `${year - Number(preset[0])}${lastLabel.slice(4)}`, to: null };
+}
+
+export function calculateTrailingReturns(series, freq = seriesFrequency(series).id) {
+  // lookbacks that don't apply at `freq` are null and listed in `skipped`
+  if (!series.length) return {};
+
+  const latest = series[series.length - 1];
+  const endDate = latest.date;
+  const endNav = latest.nav;
+
+  const result = { CAGR: {}, skipped: [] };
+  result['YTD'] = calculateYTD(series);
+
+  for (const [label, period] of Object.entries(lookbackPeriods)) {
+    if (!lookbackApplies(label, freq)) {
+      result[label] = null;
+      result.skipped.push(label);
+      continue;
+    }
+    const past = findClosest(series, endDate, period);
+    result[label] = past ? (endNav / past.nav - 1) : null;
+    if (past && isAnnualized(label)) result.CAGR[label] = annualize(result[label], daysBetween(past.date, endDate));
+  }
+
+  // SI (Since Inception)
+  const first = series[0];
+  result['SI'] = (endNav / first.nav - 1);
+  const siDays = daysBetween(first.date, endDate);
+  if (siDays > 365) result.CAGR['SI'] = annualize(result['SI'], siDays);
+
+  // Drawdown
+  result['DD'] = latest.drawdown / 100; // convert to decimal
+  result['Max DD'] = maxDrawdown(series) / 100;
+
+  return result;
+}
+
+export function maxDrawdown(series) {
+  // deepest drawdown (%, ≤ 0); a loop rather than Math.min(...spread), which
+  // overflows the call stack on long series
+  let min = 0;
+  for (const s of series) if (s.drawdown < min) min = s.drawdown;
+  return min;
+}
+
+export function daysBetween(from, to) {
+  // calendar days; rounded because a DST change makes one day 23 or 25 hours
+  return Math.round((+to - +from) / 86400000);
+}
+
+export function annualize(ret, days) {
+  if (ret == null || !(days > 0)) return null;
+  return Math.pow(1 + ret, 365 / days) - 1;
+}
+
+function calculateYTD(series) {
+  const latest = series[series.length - 1];
+  const yearStart = new Date(latest.date.getFullYear(), 0, 1);
+  const i = bisect(series.length, k => series[k].date < yearStart);
+  if (i === series.length) return null;
+  return (latest.nav / series[i].nav - 1);
+}
+
+export function findClosest(series, endDate, period) {
+  // period: a lookbackPeriods entry
+  const target = lookbackDate(endDate, period);
+  // last point on or before the target date
+  const i = bisect(series.length, k => series[k].date <= target) - 1;
+  return i >= 0 ? series[i] : null;
+}
+
+export const trailingColumns = ["YTD", ...Object.keys(lookbackPeriods), "SI", "DD", "Max DD"];
+
+export function trailingReturnsTable(name, series) {
+  // One display row per portfolio: { name, frequency, [column]: { value, cagr, na } }
+  // value === null means the series is too short to cover that period, or
+  // (na) that the period is shorter than the series' spacing.
+  const frequency = seriesFrequency(series);
+  const trailing = calculateTrailingReturns(series, frequency.id);
+  const row = { name, frequency: frequency.id };
+  for (const col of trailingColumns) {
+    row[col] = {
+      value: trailing[col] ?? null,
+      cagr: trailing.CAGR?.[col] ?? null,
+      na: trailing.skipped?.includes(col) ?? false,
+    };
+  }
+  return row;
+}
+
+export const monthNames = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+// Calendar periods for the returns heatmap. `of` is the slot within the year;
+// `total` names the column that compounds a year's slots (none for years).
+export const calendarPeriods = {
+  month: { label: "Monthly", columns: monthNames, of: (d) => d.getMonth(), total: "YTD" },
+  quarter: { label: "Quarterly", columns: ["Q1", "Q2", "Q3", "Q4"], of: (d) => Math.floor(d.getMonth() / 3), total: "YTD" },
+  year: { label: "Calendar year", columns: ["Return"], of: () => 0, total: null },
+};
+
+export function calendarReturns(series, period = "month") {
+  // series: array of {date:Date, nav:number,...}, sorted by date
+  // → { columns, total, table } with one row per year (latest first):
+  //   { Year, [column]: return | null, [total]: compounded return | null }
+  const { columns, of, total } = calendarPeriods[period];
+  if (!series || !series.length) return { columns, total, table: [] };
+  const slots = columns.length;
+
+  // One pass: the last NAV seen in a period is its closing NAV
+  const ends = []; // [{ year, slot, nav }] in date order
+  for (const p of series) {
+    const year = p.date.getFullYear();
+    const slot = of(p.date);
+    const last = ends[ends.length - 1];
+    if (last && last.year === year && last.slot === slot) last.nav = p.nav;
+    else ends.push({ year, slot, nav: p.nav });
+  }
+
+  // Return against the previous calendar period only, so a period missing
+  // from the data leaves a gap instead of a multi-period return. Each year
+  // gets an array of slots filled by index.
+  const byYear = new Map();
+  for (let i = 0; i < ends.length; i++) {
+    const cur = ends[i], prev = ends[i - 1];
+    const adjacent = prev && (cur.year * slots + cur.slot) - (prev.year * slots + prev.slot) === 1;
+    if (!byYear.has(cur.year)) byYear.set(cur.year, new Array(slots).fill(null));
+    byYear.get(cur.year)[cur.slot] = adjacent && prev.nav !== 0 ? cur.nav / prev.nav - 1 : null;
+  }
+
+  // Rows by year (latest first)
+  const table = [...byYear.keys()].sort((a, b) => b - a).map(y => {
+    const rets = byYear.get(y);
+    const rec = { Year: y };
+    let acc = 1;
+    let any = false;
+    columns.forEach((name, idx) => {
+      const v = rets[idx];
+      rec[name] = v;
+      if (v != null) {
+        any = true;
+        acc *= (1 + v);
+      }
+    });
+    if (total) rec[total] = any ? (acc - 1) : null;
+    return rec;
+  });
+
+  return { columns, total, table };
+}
+
+export function monthlyReturns(series) {
+  // Output: { table, months } where table is rows per year with month returns and YTD
+  const { columns, table } = calendarReturns(series, "month");
+  return { table, months: columns };
+}
+
+export function excessReturns(result, benchResult) {
+  // calendarReturns minus the benchmark's, cell by cell (null unless both
+  // have the period); the total is the difference of the compounded totals
+  const bench = new Map(benchResult.table.map(r => [r.Year, r]));
+  const keys = result.total ? [...result.columns, result.total] : result.columns;
+  const table = result.table.map(row => {
+    const b = bench.get(row.Year);
+    const rec = { Year: row.Year };
+    for (const k of keys) rec[k] = row[k] != null && b?.[k] != null ? row[k] - b[k] : null;
+    return rec;
+  });
+  return { ...result, table };
+}
+
+export function periodBounds(period, year, slot) {
+  // first and last dateLabel a heatmap cell covers ("-31" sorts after any day)
+  const pad = (n) => String(n).padStart(2, "0");
+  if (period === "month") return { from: `${year}-${pad(slot + 1)}-01`, to: `${year}-${pad(slot + 1)}-31` };
+  if (period === "quarter") return { from: `${year}-${pad(slot * 3 + 1)}-01`, to: `${year}-${pad(slot * 3 + 3)}-31` };
+  return { from: `${year}-01-01`, to: `${year}-12-31` };
+}
+
+export function periodDetail(series, from, to) {
+  // One heatmap cell up close: the points from `from` to `to` (dateLabels)
+  // measured from the previous period's close, like the cell itself, or
+  // from the first point when there is none. → { base, points (equity 100
+  // at base), ret, maxDD, best, worst } or null without points in range.
+  const start = labelIndex(series, from);
+  const end = bisect(series.length, i => series[i].dateLabel <= to);
+  if (start >= end) return null;
+  const base = Math.max(0, start - 1);
+  const points = withEquity(series.slice(base, end).map(p => ({ date: p.date, nav: p.nav })));
+  const days = periodReturns(points);
+  const last = points[points.length - 1];
+  return {
+    base: points[0].dateLabel,
+    points,
+    ret: points[0].nav ? last.nav / points[0].nav - 1 : null,
+    maxDD: maxDrawdown(points) / 100,
+    best: days.length ? days.reduce((a, b) => (b.ret > a.ret ? b : a)) : null,
+    worst: days.length ? days.reduce((a, b) => (b.ret < a.ret ? b : a)) : null,
+  };
+}
+
+export function drawdownEpisodes(series) {
+  // Split the series into peak → trough → recovery episodes. An episode opens
+  // when NAV first closes below its running peak and closes on the first day
+  // it gets back to that peak; one still open at the end is "ongoing"
+  // (recoveryDate null). Sorted deepest first.
+  const episodes = [];
+  let peak = null;
+  let cur = null;
+  for (const p of series) {
+    if (peak === null || p.nav >= peak.nav) {
+      if (cur) {
+        cur.recoveryDate = p.date;
+        cur.recoveryLabel = p.dateLabel;
+        episodes.push(cur);
+        cur = null;
+      }
+      peak = p;
+      continue;
+    }
+    if (!cur) cur = { peakDate: peak.date, peakLabel: peak.dateLabel, peakNav: peak.nav, trough: p };
+    if (p.nav < cur.trough.nav) cur.trough = p;
+  }
+  if (cur) episodes.push({ ...cur, recoveryDate: null, recoveryLabel: null });
+
+  const lastDate = series.length ? series[series.length - 1].date : null;
+  return episodes
+    .map(e => ({
+      peakDate: e.peakDate,
+      peakLabel: e.peakLabel,
+      troughDate: e.trough.date,
+      troughLabel: e.trough.dateLabel,
+      recoveryDate: e.recoveryDate,
+      recoveryLabel: e.recoveryLabel,
+      depth: e.trough.nav / e.peakNav - 1,
+      daysToTrough: Math.round(daysBetween(e.peakDate, e.trough.date)),
+      daysToRecover: e.recoveryDate ? Math.round(daysBetween(e.trough.date, e.recoveryDate)) : null,
+      underwaterDays: Math.round(daysBetween(e.peakDate, e.recoveryDate ?? lastDate)),
+    }))
+    .sort((a, b) => a.depth - b.depth);
+}
+
+// How series with different dates (frequencies, or holidays) are lined up
+// when compared:
+// - locf: every date any series has, from the latest first date on; a series
+//   without a point that day carries its last NAV forward (never past its own
+//   last date). Returns against a benchmark use the sparser series' dates.
+// - intersection: only the dates every series has.
+export const alignMethods = {
+  locf: "Carry last value forward",
+  intersection: "Shared dates only",
+};
+
+function alignedLabels(live, align) {
+  // the comparison's dates, ascending (empty when the series don't overlap)
+  if (align === "intersection") {
+    const sets = live.slice(1).map(p => new Set(p.series.map(s => s.dateLabel)));
+    return live[0].series.map(s => s.dateLabel).filter(l => sets.every(set => set.has(l)));
+  }
+  const start = live.reduce((max, p) => (p.series[0].dateLabel > max ? p.series[0].dateLabel : max), "");
+  if (live.some(p => p.series[p.series.length - 1].dateLabel < start)) return [];
+  const labels = new Set();
+  for (const p of live) for (let i = labelIndex(p.series, start); i < p.series.length; i++) labels.add(p.series[i].dateLabel);
+  return [...labels].sort();
+}
+
+export function compareSeries(portfolios, benchmarkId = null, align = "locf") {
+  // Overlay several series on one clock (aligned per alignMethods): rebase
+  // each NAV to 100 at the first aligned date and recompute drawdowns from
+  // that start. Output rows are keyed by dateLabel with one column per
+  // portfolio id (equity), `${id}_dd` (drawdown %) and, when a benchmark is
+  // given, `${id}_rs` (relative strength: equity / benchmark equity × 100).
+  const live = portfolios.filter(p => p.series.length);
+  if (!live.length) return { start: null, data: [] };
+
+  const labels = alignedLabels(live, align);
+  const start = labels[0] ?? null;
+  if (!start) return { start: null, data: [] };
+
+  const data = labels.map(dateLabel => ({ dateLabel }));
+  for (const p of live) {
+    let i = labelIndex(p.series, start);
+    if (p.series[i]?.dateLabel !== start) i--; // carried forward into the start
+    const base = p.series[i].nav;
+    if (!base) continue;
+    const last = p.series[p.series.length - 1].dateLabel;
+    let peak = -Infinity;
+    for (const row of data) {
+      if (row.dateLabel > last) break;
+      while (i + 1 < p.series.length && p.series[i + 1].dateLabel <= row.dateLabel) i++;
+      const equity = (p.series[i].nav / base) * 100;
+      peak = Math.max(peak, equity);
+      row[p.id] = Number(equity.toFixed(2));
+      row[`${p.id}_dd`] = Number(((equity / peak - 1) * 100).toFixed(2));
+    }
+  }
+
+  if (benchmarkId) {
+    for (const row of data) {
+      const bench = row[benchmarkId];
+      if (!bench) continue;
+      for (const p of live) {
+        if (p.id === benchmarkId || row[p.id] == null) continue;
+        row[`${p.id}_rs`] = Number(((row[p.id] / bench) * 100).toFixed(2));
+      }
+    }
+  }
+
+  return { start, data };
+}
+
+// ---------- Return statistics ----------
+// Common sampling frequencies, in observations per year.
+export const frequencies = [
+  { label: "daily (calendar)", periods: 365 },
+  { label: "daily", periods: 252 },
+  { label: "weekly", periods: 52 },
+  { label: "monthly", periods: 12 },
+  { label: "quarterly", periods: 4 },
+  { label: "yearly", periods: 1 },
+];
+
+export function inferFrequency(dates) {
+  // Observations per year actually present in the data, snapped (in log
+  // space) to the nearest common frequency, so a trading-day series
+  // annualizes with 252 and a month-end series with 12.
+  if (dates.length < 3) return frequencies[1];
+  const years = daysBetween(dates[0], dates[dates.length - 1]) / 365.25;
+  if (!(years > 0)) return frequencies[1];
+  const observed = (dates.length - 1) / years;
+  return frequencies.reduce((best, f) =>
+    Math.abs(Math.log(f.periods / observed)) < Math.abs(Math.log(best.periods / observed)) ? f : best
+  );
+}
+
+export function seriesFrequency(series) {
+  // → { id: "daily" | "weekly" | "monthly" | "quarterly" | "yearly", label, periods }:
+  // the spacing of the data, for lookbacks and resampling. Daily covers
+  // trading-day and calendar-day series alike.
+  const f = inferFrequency(series.map(s => s.date));
+  return { id: f.periods >= 252 ? "daily" : f.label, label: f.label, periods: f.periods };
+}
+
+export function mean(xs) {
+  return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : NaN;
+}
+
+export function stdev(xs) {
+  // sample standard deviation
+  if (xs.length < 2) return NaN;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((a, x) => a + (x - m) ** 2, 0) / (xs.length - 1));
+}
+
+export function quantile(sorted, q) {
+  // linear interpolation between closest ranks; expects ascending input
+  if (!sorted.length) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function periodReturns(series) {
+  // simple returns between consecutive observations, tagged with the later date
+  const out = [];
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1].nav;
+    if (!prev) continue;
+    out.push({ date: series[i].date, dateLabel: series[i].dateLabel, ret: series[i].nav / prev - 1 });
+  }
+  return out;
+}
+
+// standard normal quantiles and density used by parametric VaR/CVaR
+const normalZ = { 0.95: 1.6448536, 0.99: 2.3263479 };
+const normalPdf = (z) => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+export function riskStats(series, riskFree = 0) {
+  // riskFree is an annual rate (0.065 = 6.5%); everything else is derived
+  // from the period returns of the series.
+  const rets = periodReturns(series);
+  if (rets.length < 2) return null;
+
+  const r = rets.map(x => x.ret);
+  const freq = inferFrequency(series.map(s => s.date));
+  const ppy = freq.periods;
+  const rfp = riskFree / ppy;
+  const mu = mean(r);
+  const sd = stdev(r);
+  const vol = sd * Math.sqrt(ppy);
+
+  const first = series[0], last = series[series.length - 1];
+  const years = daysBetween(first.date, last.date) / 365.25;
+  const cagr = first.nav && years > 0 ? Math.pow(last.nav / first.nav, 1 / years) - 1 : null;
+  const maxDD = maxDrawdown(series) / 100;
+
+  const downside = Math.sqrt(mean(r.map(x => Math.min(0, x - rfp) ** 2))) * Math.sqrt(ppy);
+
+  // third and fourth standardized moments (population), kurtosis as excess
+  const m2 = mean(r.map(x => (x - mu) ** 2));
+  const skew = m2 ? mean(r.map(x => (x - mu) ** 3)) / m2 ** 1.5 : null;
+  const kurtosis = m2 ? mean(r.map(x => (x - mu) ** 4)) / m2 ** 2 - 3 : null;
+
+  const sorted = r.slice().sort((a, b) => a - b);
+  const tail = {};
+  for (const c of [0.95, 0.99]) {
+    const hVar = quantile(sorted, 1 - c);
+    const losses = sorted.filter(x => x <= hVar);
+    const z = normalZ[c];
+    tail[c] = {
+      historicalVaR: hVar,
+      historicalCVaR: mean(losses),
+      parametricVaR: mu - z * sd,
+      parametricCVaR: mu - (sd * normalPdf(z)) / (1 - c),
+    };
+  }
+
+  const best = rets.reduce((a, b) => (b.ret > a.ret ? b : a));
+  const worst = rets.reduce((a, b) => (b.ret < a.ret ? b : a));
+
+  const monthly = [];
+  for (const row of monthlyReturns(series).table) {
+    for (const m of monthNames) {
+      if (row[m] != null) monthly.push({ label: `${m} ${row.Year}`, ret: row[m] });
+    }
+  }
+  const bestMonth = monthly.length ? monthly.reduce((a, b) => (b.ret > a.ret ? b : a)) : null;
+  const worstMonth = monthly.length ? monthly.reduce((a, b) => (b.ret < a.ret ? b : a)) : null;
+
+  return {
+    frequency: freq,
+    observations: r.length,
+    cagr,
+    volatility: vol,
+    sharpe: vol ? ((mu - rfp) * ppy) / vol : null,
+    sortino: downside ? ((mu - rfp) * ppy) / downside : null,
+    calmar: cagr != null && maxDD ? cagr / Math.abs(maxDD) : null,
+    maxDD,
+    tail,
+    skew,
+    kurtosis,
+    best,
+    worst,
+    bestMonth,
+    worstMonth,
+    positiveMonths: monthly.length ? monthly.filter(m => m.ret > 0).length / monthly.length : null,
+  };
+}
+
+// ---------- Return distribution & calendar effects ----------
+export const distributionFrequencies = { daily: "Daily", weekly: "Weekly", monthly: "Monthly" };
+
+// Monday 5 Jan 1970: weeks are numbered from here, Monday to Sunday
+const firstMonday = new Date(1970, 0, 5);
+
+function periodEnds(series, freq) {
+  // [{ slot, point }]: the last point of each week or month, slots numbered
+  // consecutively so a gap shows as a jump of more than one
+  const slotOf = freq === "weekly"
+    ? (d) => Math.floor(daysBetween(firstMonday, d) / 7)
+    : (d) => d.getFullYear() * 12 + d.getMonth();
+  const ends = [];
+  for (const p of series) {
+    const slot = slotOf(p.date);
+    const last = ends[ends.length - 1];
+    if (last && last.slot === slot) last.point = p;
+    else ends.push({ slot, point: p });
+  }
+  return ends;
+}
+
+export function returnsAt(series, freq) {
+  // Simple returns at the chosen frequency, tagged with the period's last
+  // date. Weekly and monthly close each period against the previous one and
+  // skip periods with no data before them, as the monthly table does.
+  if (freq === "daily") return periodReturns(series);
+  const ends = periodEnds(series, freq);
+  const out = [];
+  for (let i = 1; i < ends.length; i++) {
+    const prev = ends[i - 1], cur = ends[i];
+    if (cur.slot - prev.slot !== 1 || !prev.point.nav) continue;
+    out.push({ date: cur.point.date, dateLabel: cur.point.dateLabel, ret: cur.point.nav / prev.point.nav - 1 });
+  }
+  return out;
+}
+
+// Resampling a daily series to a coarser one on request (the page's
+// Frequency select); the last NAV of each period stands for it.
+export const resampleFrequencies = { weekly: "Weekly", monthly: "Month-end" };
+
+export function resampleSeries(series, freq) {
+  // [{ date, nav }] → [{ date, nav }] at the last point of each week (Monday
+  // to Sunday) or month; run withEquity on the result
+  return periodEnds(series, freq).map(({ point }) => ({ date: point.date, nav: point.nav }));
+}
+
+export function returnHistogram(rets, binCount = null) {
+  // rets: [number] → { count, mean, stdev, bins: [{ x0, x1, mid, count, normal }],
+  // percentiles: [{ p, value }] }. `normal` is the count a normal
+  // distribution with the same mean and stdev would put in the bin.
+  const n = rets.length;
+  if (n < 2) return null;
+  const sorted = rets.slice().sort((a, b) => a - b);
+  const mu = mean(sorted), sd = stdev(sorted);
+  const k = binCount ?? Math.min(40, Math.max(8, Math.ceil(Math.sqrt(n))));
+  const lo = sorted[0], hi = sorted[n - 1];
+  const width = (hi - lo) / k || 1e-4;
+  const bins = Array.from({ length: k }, (_, i) => {
+    const x0 = lo + i * width, x1 = x0 + width, mid = x0 + width / 2;
+    return { x0, x1, mid, count: 0, normal: sd ? (n * width * normalPdf((mid - mu) / sd)) / sd : null };
+  });
+  for (const r of sorted) bins[Math.min(k - 1, Math.floor((r - lo) / width))].count++;
+  return {
+    count: n,
+    mean: mu,
+    stdev: sd,
+    bins,
+    percentiles: [0.05, 0.25, 0.5, 0.75, 0.95].map(p => ({ p, value: quantile(sorted, p) })),
+  };
+}
+
+export const weekdayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export function calendarEffects(series) {
+  // Average return by day of week (daily returns, weekend days only when the
+  // data has them) and by month of year (monthly returns), with how many
+  // periods each average covers and the share of them that were positive.
+  const summarize = (label, xs) => ({
+    label,
+    count: xs.length,
+    mean: xs.length ? mean(xs) : null,
+    positive: xs.length ? xs.filter(x => x > 0).length / xs.length : null,
+  });
+  const byDay = weekdayNames.map(() => []);
+  for (const r of periodReturns(series)) byDay[r.date.getDay()].push(r.ret);
+  const byMonth = monthNames.map(() => []);
+  for (const r of returnsAt(series, "monthly")) byMonth[r.date.getMonth()].push(r.ret);
+  return {
+    weekdays: [1, 2, 3, 4, 5, 6, 0].filter(d => (d > 0 && d < 6) || byDay[d].length).map(d => summarize(weekdayNames[d], byDay[d])),
+    months: monthNames.map((m, i) => summarize(m, byMonth[i])),
+  };
+}
+
+export function returnStreaks(rets) {
+  // Runs of consecutive gains (ret > 0) or losses (ret < 0); a flat period
+  // ends either. → { longestWin, longestLoss, current, avgWin, avgLoss, wins,
+  // losses }, each streak { length, from, to, ret (compounded) }.
+  const runs = [];
+  let cur = null;
+  for (const r of rets) {
+    const sign = Math.sign(r.ret);
+    if (cur && sign === cur.sign) {
+      cur.length++;
+      cur.to = r.dateLabel;
+      cur.growth *= 1 + r.ret;
+    } else {
+      cur = sign ? { sign, length: 1, from: r.dateLabel, to: r.dateLabel, growth: 1 + r.ret } : null;
+      if (cur) runs.push(cur);
+    }
+  }
+  const streak = (x) => x && { length: x.length, from: x.from, to: x.to, ret: x.growth - 1 };
+  const longest = (sign) => streak(runs.filter(x => x.sign === sign).reduce((a, b) => (!a || b.length > a.length ? b : a), null));
+  const avg = (sign) => {
+    const xs = runs.filter(x => x.sign === sign).map(x => x.length);
+    return xs.length ? mean(xs) : null;
+  };
+  return {
+    wins: rets.filter(r => r.ret > 0).length,
+    losses: rets.filter(r => r.ret < 0).length,
+    longestWin: longest(1),
+    longestLoss: longest(-1),
+    current: cur && { ...streak(cur), win: cur.sign > 0 }, // null after a flat period
+    avgWin: avg(1),
+    avgLoss: avg(-1),
+  };
+}
+
+// ---------- Bootstrap projection ----------
+// Future paths built from blocks of consecutive historical returns, so runs
+// of good and bad periods (volatility clustering) survive the resampling.
+// The worker loops over paths with these helpers and reports progress.
+export const projectionFrequencies = { daily: "Daily", monthly: "Monthly" };
+export const fanPercentiles = [0.05, 0.25, 0.5, 0.75, 0.95];
+
+export function seededRandom(seed) {
+  // mulberry32: a small, fast PRNG so the same seed gives the same paths
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function bootstrapPath(rets, horizon, block, random, out = new Float64Array(horizon + 1)) {
+  // growth of 1 over `horizon` periods (out[0] = 1): blocks of `block`
+  // returns, each from a random start, wrapping past the last return
+  out[0] = 1;
+  for (let t = 1; t <= horizon;) {
+    let j = Math.floor(random() * rets.length);
+    for (let b = 0; b < block && t <= horizon; b++, t++) {
+      out[t] = out[t - 1] * (1 + rets[j]);
+      j = j + 1 === rets.length ? 0 : j + 1;
+    }
+  }
+  return out;
+}
+
+export function pathExtremes(path) {
+  // → { high, drawdown }: the path's highest value and its deepest fall from
+  // a running peak that starts at path[0] (≤ 0)
+  let high = path[0], drawdown = 0;
+  for (const v of path) {
+    if (v > high) high = v;
+    else if (v / high - 1 < drawdown) drawdown = v / high - 1;
+  }
+  return { high, drawdown };
+}
+
+export function fanBands(columns) {
+  // columns: one array of path values per chart step → [{ p5, p25, p50, p75, p95 }]
+  return columns.map(values => {
+    const sorted = Float64Array.from(values).sort();
+    return Object.fromEntries(fanPercentiles.map(p => [`p${Math.round(p * 100)}`, quantile(sorted, p)]));
+  });
+}
+
+export function projectionDate(last, freq, periods, t) {
+  // the day `t` steps after `last`: calendar months for monthly returns,
+  // else t / periods of a year (periods from inferFrequency)
+  return freq === "monthly" ? monthsBefore(last, -t) : addDays(last, Math.round((t * 365.25) / periods));
+}
+
+// ---------- Benchmark-relative statistics ----------
+function carriedPairs(series, benchSeries) {
+  // [nav, benchNav, point] on the sparser series' dates within the overlap,
+  // the other series at its last NAV on or before each
+  const from = series[0].date > benchSeries[0].date ? series[0].date : benchSeries[0].date;
+  const to = series[series.length - 1].date < benchSeries[benchSeries.length - 1].date
+    ? series[series.length - 1].date : benchSeries[benchSeries.length - 1].date;
+  const inside = (xs) => xs.filter(s => s.date >= from && s.date <= to);
+  const own = inside(series), bench = inside(benchSeries);
+  const benchLed = bench.length < own.length;
+  const [dates, other] = benchLed ? [bench, series] : [own, benchSeries];
+  const pairs = [];
+  let j = 0;
+  for (const s of dates) {
+    while (j + 1 < other.length && other[j + 1].date <= s.date) j++;
+    pairs.push(benchLed ? [other[j].nav, s.nav, s] : [s.nav, other[j].nav, s]);
+  }
+  return pairs;
+}
+
+export function alignReturns(series, benchSeries, align = "locf") {
+  // Pair both series per alignMethods (shared dates, or the sparser one's
+  // dates with the other carried forward), then take returns between
+  // consecutive pairs so a gap in either one can't misalign them.
+  // labels[k] is the dateLabel at the end of return k.
+  let pairs = [];
+  if (align === "intersection") {
+    const benchNav = new Map(benchSeries.map(s => [s.dateLabel, s.nav]));
+    for (const s of series) {
+      const b = benchNav.get(s.dateLabel);
+      if (b != null) pairs.push([s.nav, b, s]);
+    }
+  } else if (series.length && benchSeries.length) {
+    pairs = carriedPairs(series, benchSeries);
+  }
+  const rp = [], rb = [], labels = [], ends = [];
+  for (let i = 1; i < pairs.length; i++) {
+    const [p0, b0] = pairs[i - 1];
+    const [p1, b1, point] = pairs[i];
+    if (!p0 || !b0) continue;
+    rp.push(p1 / p0 - 1);
+    rb.push(b1 / b0 - 1);
+    labels.push(point.dateLabel);
+    ends.push(point.date);
+  }
+  return { rp, rb, dates: pairs.map(p => p[2].date), labels, ends };
+}
+
+function captureRatio(rp, rb, pick) {
+  // geometric average portfolio return over the selected benchmark periods,
+  // divided by the benchmark's own geometric average over those periods
+  let gp = 1, gb = 1, k = 0;
+  for (let i = 0; i < rb.length; i++) {
+    if (!pick(rb[i])) continue;
+    gp *= 1 + rp[i];
+    gb *= 1 + rb[i];
+    k++;
+  }
+  if (!k) return null;
+  const ab = Math.pow(gb, 1 / k) - 1;
+  return ab ? (Math.pow(gp, 1 / k) - 1) / ab : null;
+}
+
+export function benchmarkStats(series, benchSeries, riskFree = 0, align = "locf") {
+  // Alpha is Jensen's alpha over the annual riskFree rate, annualized at the
+  // frequency of the aligned dates.
+  const { rp, rb, dates } = alignReturns(series, benchSeries, align);
+  const n = rp.length;
+  if (n < 2) return null;
+  const ppy = inferFrequency(dates).periods;
+  const rfp = riskFree / ppy;
+
+  const mp = mean(rp), mb = mean(rb);
+  let cov = 0, vp = 0, vb = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (rp[i] - mp) * (rb[i] - mb);
+    vp += (rp[i] - mp) ** 2;
+    vb += (rb[i] - mb) ** 2;
+  }
+  cov /= n - 1;
+  vp /= n - 1;
+  vb /= n - 1;
+
+  const beta = vb ? cov / vb : null;
+  const active = rp.map((r, i) => r - rb[i]);
+  const trackingError = stdev(active) * Math.sqrt(ppy);
+
+  return {
+    observations: n,
+    beta,
+    alpha: beta == null ? null : (mp - rfp - beta * (mb - rfp)) * ppy,
+    correlation: vp && vb ? cov / Math.sqrt(vp * vb) : null,
+    trackingError,
+    informationRatio: trackingError ? (mean(active) * ppy) / trackingError : null,
+    upCapture: captureRatio(rp, rb, r => r > 0),
+    downCapture: captureRatio(rp, rb, r => r < 0),
+  };
+}
+
+// ---------- Rolling-window statistics ----------
+export const rollingWindows = { "3M": 91, "6M": 182, "1Y": 365, "3Y": 365 * 3 };
+
+export const rollingMetrics = [
+  { key: "return", label: "Return / CAGR", pct: true },
+  { key: "volatility", label: "Volatility (ann.)", pct: true },
+  { key: "sharpe", label: "Sharpe", pct: false },
+  { key: "maxDD", label: "Max Drawdown", pct: true },
+];
+
+export function rollingStats(series, windowDays, metric, riskFree = 0) {
+  // Evaluate `metric` over the trailing window ending at every point that has
+  // a full window of history behind it (a point at or before date − window).
+  // Windows over a year report CAGR instead of the absolute return. Prefix
+  // sums keep volatility and Sharpe O(1) per point.
+  const n = series.length;
+  if (n < 3) return [];
+  const ppy = inferFrequency(series.map(s => s.date)).periods;
+  const rfp = riskFree / ppy;
+
+  const s1 = new Float64Array(n), s2 = new Float64Array(n);
+  for (let i = 1; i < n; i++) {
+    const prev = series[i - 1].nav;
+    const r = prev ? series[i].nav / prev - 1 : 0;
+    s1[i] = s1[i - 1] + r;
+    s2[i] = s2[i - 1] + r * r;
+  }
+
+  const out = [];
+  let j = 0; // window start: last point on or before the target date
+  for (let i = 1; i < n; i++) {
+    const target = addDays(series[i].date, -windowDays);
+    if (series[0].date > target) continue;
+    while (j + 1 < i && series[j + 1].date <= target) j++;
+    const start = series[j], end = series[i];
+
+    let value;
+    if (metric === "return") {
+      const ret = start.nav ? end.nav / start.nav - 1 : null;
+      value = windowDays > 365 ? annualize(ret, daysBetween(start.date, end.date)) : ret;
+    } else if (metric === "maxDD") {
+      let peak = start.nav, mdd = 0;
+      for (let k = j; k <= i; k++) {
+        peak = Math.max(peak, series[k].nav);
+        if (peak) mdd = Math.min(mdd, series[k].nav / peak - 1);
+      }
+      value = mdd;
+    } else {
+      const m = i - j; // returns j+1..i
+      if (m < 2) continue;
+      const mu = (s1[i] - s1[j]) / m;
+      const variance = Math.max(0, (s2[i] - s2[j] - m * mu * mu) / (m - 1));
+      const vol = Math.sqrt(variance * ppy);
+      value = metric === "volatility" ? vol : vol ? ((mu - rfp) * ppy) / vol : null;
+    }
+    out.push({ dateLabel: end.dateLabel, value });
+  }
+  return out;
+}
+
+export function rollingBeta(series, benchSeries, windowDays, align = "locf") {
+  // Beta of the portfolio's returns on the benchmark's over each trailing
+  // window of aligned dates, using running sums of the cross products.
+  const { rp, rb, dates, labels, ends } = alignReturns(series, benchSeries, align);
+  const n = rp.length;
+  if (n < 2) return [];
+  const sp = [0], sb = [0], spb = [0], sbb = [0];
+  for (let k = 0; k < n; k++) {
+    sp.push(sp[k] + rp[k]);
+    sb.push(sb[k] + rb[k]);
+    spb.push(spb[k] + rp[k] * rb[k]);
+    sbb.push(sbb[k] + rb[k] * rb[k]);
+  }
+
+  const out = [];
+  let j = 0; // first return whose end date falls inside the window
+  for (let k = 0; k < n; k++) {
+    const target = addDays(ends[k], -windowDays);
+    if (dates[0] > target) continue;
+    while (j < k && ends[j] <= target) j++;
+    const m = k - j + 1;
+    if (m < 3) continue;
+    const mp = (sp[k + 1] - sp[j]) / m, mb = (sb[k + 1] - sb[j]) / m;
+    const cov = (spb[k + 1] - spb[j]) / m - mp * mb;
+    const vb = (sbb[k + 1] - sbb[j]) / m - mb * mb;
+    out.push({ dateLabel: labels[k], value: vb > 0 ? cov / vb : null });
+  }
+  return out;
+}
+
+export function mergeByLabel(lines) {
+  // [{ id, points: [{ dateLabel, value }] }] → chart rows { dateLabel, [id]: value }
+  const byLabel = new Map();
+  for (const { id, points } of lines) {
+    for (const p of points) {
+      let row = byLabel.get(p.dateLabel);
+      if (!row) {
+        row = { dateLabel: p.dateLabel };
+        byLabel.set(p.dateLabel, row);
+      }
+      row[id] = p.value;
+    }
+  }
+  return Array.from(byLabel.values()).sort((a, b) => a.dateLabel.localeCompare(b.dateLabel));
+}
+
+// ---------- Export tables ----------
+export const PCT = "0.00%";
+
+// sheet names of the exportTables output, in order
+export const exportTableNames = ["Series", "Monthly Returns", "Trailing Returns", "Risk Stats"];
+
+export function exportTables(portfolios, riskFree = 0) {
+  // Flat { name, columns, rows } tables shared by the .xlsx and .csv exports.
+  // Percent columns carry raw decimals plus a cell format (`fmt`).
+  const live = portfolios.filter(p => p.series.length);
+
+  const seriesTable = {
+    name: "Series",
+    columns: [
+      { key: "portfolio", label: "Portfolio" },
+      { key: "date", label: "Date" },
+      { key: "nav", label: "NAV" },
+      { key: "equity", label: "Equity" },
+      { key: "drawdown", label: "Drawdown", fmt: PCT },
+    ],
+    rows: live.flatMap(p => p.series.map(s => ({
+      portfolio: p.name,
+      date: s.dateLabel,
+      nav: s.nav,
+      equity: s.equity,
+      drawdown: s.drawdown / 100,
+    }))),
+  };
+
+  const monthlyTable = {
+    name: "Monthly Returns",
+    columns: [
+      { key: "portfolio", label: "Portfolio" },
+      { key: "Year", label: "Year" },
+      ...monthNames.map(m => ({ key: m, label: m, fmt: PCT })),
+      { key: "YTD", label: "YTD", fmt: PCT },
+    ],
+    rows: live.flatMap(p => monthlyReturns(p.series).table.map(r => ({ portfolio: p.name, ...r }))),
+  };
+
+  const trailingTable = {
+    name: "Trailing Returns",
+    columns: [
+      { key: "name", label: "Portfolio" },
+      ...trailingColumns.flatMap(c => [
+        { key: c, label: c, fmt: PCT },
+        ...(isAnnualized(c) ? [{ key: `${c} CAGR`, label: `${c} CAGR`, fmt: PCT }] : []),
+      ]),
+    ],
+    rows: live.map(p => {
+      const t = trailingReturnsTable(p.name, p.series);
+      const row = { name: p.name };
+      for (const c of trailingColumns) {
+        row[c] = t[c].value;
+        row[`${c} CAGR`] = t[c].cagr;
+      }
+      return row;
+    }),
+  };
+
+  const riskTable = {
+    name: "Risk Stats",
+    columns: [
+      { key: "name", label: "Portfolio" },
+      { key: "frequency", label: "Frequency" },
+      { key: "cagr", label: "CAGR", fmt: PCT },
+      { key: "volatility", label: "Volatility (ann.)", fmt: PCT },
+      { key: "sharpe", label: "Sharpe", fmt: "0.00" },
+      { key: "sortino", label: "Sortino", fmt: "0.00" },
+      { key: "calmar", label: "Calmar", fmt: "0.00" },
+      { key: "maxDD", label: "Max Drawdown", fmt: PCT },
+      ...[0.95, 0.99].flatMap(c => {
+        const pct = Math.round(c * 100);
+        return [
+          { key: `hVaR${pct}`, label: `Hist. VaR ${pct}%`, fmt: PCT },
+          { key: `hCVaR${pct}`, label: `Hist. CVaR ${pct}%`, fmt: PCT },
+          { key: `pVaR${pct}`, label: `Param. VaR ${pct}%`, fmt: PCT },
+          { key: `pCVaR${pct}`, label: `Param. CVaR ${pct}%`, fmt: PCT },
+        ];
+      }),
+      { key: "skew", label: "Skew", fmt: "0.00" },
+      { key: "kurtosis", label: "Excess Kurtosis", fmt: "0.00" },
+      { key: "best", label: "Best Day", fmt: PCT },
+      { key: "worst", label: "Worst Day", fmt: PCT },
+      { key: "bestMonth", label: "Best Month", fmt: PCT },
+      { key: "worstMonth", label: "Worst Month", fmt: PCT },
+      { key: "positiveMonths", label: "Positive Months", fmt: PCT },
+    ],
+    rows: live.map(p => {
+      const r = riskStats(p.series, riskFree);
+      if (!r) return { name: p.name };
+      const row = {
+        name: p.name,
+        frequency: r.frequency.label,
+        cagr: r.cagr,
+        volatility: r.volatility,
+        sharpe: r.sharpe,
+        sortino: r.sortino,
+        calmar: r.calmar,
+        maxDD: r.maxDD,
+        skew: r.skew,
+        kurtosis: r.kurtosis,
+        best: r.best.ret,
+        worst: r.worst.ret,
+        bestMonth: r.bestMonth?.ret,
+        worstMonth: r.worstMonth?.ret,
+        positiveMonths: r.positiveMonths,
+      };
+      for (const [c, t] of Object.entries(r.tail)) {
+        const pct = Math.round(c * 100);
+        row[`hVaR${pct}`] = t.historicalVaR;
+        row[`hCVaR${pct}`] = t.historicalCVaR;
+        row[`pVaR${pct}`] = t.parametricVaR;
+        row[`pCVaR${pct}`] = t.parametricCVaR;
+      }
+      return row;
+    }),
+  };
+
+  return [seriesTable, monthlyTable, trailingTable, riskTable];
+}
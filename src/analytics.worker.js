@@ -0,0 +1,344 @@
+// Parsing and analytics off the main thread, so a 100k-row workbook doesn't
+// freeze the page. Talks to workerClient.js:
+//   ← { id, task, payload }   run tasks[task]
+//   ← { id, cancel: true }    stop that task at its next step
+//   ← { release: key }        forget a shared array
+//   → { id, progress: { done, total, label } }, then { id, result } or { id, error }
+import {
+  sheetRows, detectColumns, dataQuality, defaultExclusions, toSeries, withEquity, sliceSeries, maxDrawdown,
+  parseLedger, parsePriceHistory, buildUnitizedNav, xirr, parseActions, applyActions,
+  simulatePlan, planStarts, outcomeSpread, toLabel,
+  compareSeries, thinRows, trailingReturnsTable, calendarPeriods, calendarReturns, excessReturns, periodDetail,
+  riskStats, drawdownEpisodes, benchmarkStats, returnsAt, returnHistogram, calendarEffects, returnStreaks,
+  rollingStats, rollingBeta, mergeByLabel, exportTables,
+  inferFrequency, seededRandom, bootstrapPath, pathExtremes, fanBands, projectionDate, labelIndex,
+} from "./analytics.js";
+import { readWorkbook, workbookFromText, sheetCells } from "./workbook.js";
+
+const shared = new Map(); // key → array sent once by the page
+const views = new Map(); // key → { from, to, series }: last range slice of a shared series
+const running = new Set();
+const cancelled = new Set();
+
+class Cancelled extends Error {}
+
+function deref(ref) {
+  if (ref.data) shared.set(ref.shared, ref.data);
+  const data = shared.get(ref.shared);
+  if (!data) throw new Error(`Unknown shared data ${ref.shared}`);
+  return data;
+}
+
+function viewOf(ref, from, to) {
+  // the range-sliced series, reused while the range stays the same
+  const cached = views.get(ref.shared);
+  if (cached && cached.from === from && cached.to === to) return cached.series;
+  const series = sliceSeries(deref(ref), from, to);
+  views.set(ref.shared, { from, to, series });
+  return series;
+}
+
+const openPortfolios = (list) => list.map(p => ({ ...p, series: deref(p.series) }));
+
+const ddDepth = (ids) => (row) => Math.min(0, ...ids.map(id => row[`${id}_dd`] ?? 0));
+
+// Each task gets the payload (shared refs still unresolved) and
+// step(label, done, total): report progress, yield so cancel messages get
+// through, and throw if this task was cancelled. Tasks resolve their refs
+// before their first step.
+const tasks = {
+  async read({ file, text, name }, step) {
+    await step(`Reading ${name ?? file.name}`, 0, 1);
+    const wb = file ? await readWorkbook(file) : workbookFromText(text);
+    const Sheets = {};
+    for (const [i, sheet] of wb.SheetNames.entries()) {
+      await step(`Sheet ${sheet}`, i + 1, wb.SheetNames.length + 1);
+      Sheets[sheet] = sheetCells(wb.Sheets[sheet]);
+    }
+    return { SheetNames: wb.SheetNames, Sheets };
+  },
+
+  async prepare({ rows: ref, dateKey, navKey, dateOrder, gapDays, moveThreshold, overrides = {} }, step) {
+    // Import wizard: data-quality report, exclusions and the resulting series
+    const rows = deref(ref);
+    await step("Checking data quality", 0, 2);
+    const quality = dataQuality(rows, dateKey, navKey, { gapDays, moveThreshold, dateOrder });
+    const excluded = defaultExclusions(quality);
+    for (const [i, ex] of Object.entries(overrides)) {
+      if (ex) excluded.add(Number(i));
+      else excluded.delete(Number(i));
+    }
+    await step("Building series", 1, 2);
+    return { quality, excluded: [...excluded], series: toSeries(rows, dateKey, navKey, excluded, { dateOrder }) };
+  },
+
+  async prepareSheets({ book, sheets }, step) {
+    // "Import all sheets": each sheet with its remembered mapping (if its
+    // columns still exist) or auto-detection, and the default exclusions
+    const wb = { Sheets: deref(book) };
+    const out = [];
+    for (const [i, s] of sheets.entries()) {
+      await step(`Sheet ${s.sheet}`, i, sheets.length);
+      const rows = sheetRows(wb, s.sheet, s.headerRow);
+      const detected = detectColumns(rows);
+      const keys = rows.length ? Object.keys(rows[0]) : [];
+      const pick = (k, fallback) => (k && keys.includes(k) ? k : fallback);
+      const dateKey = pick(s.dateKey, detected.dateKey);
+      const navKey = pick(s.navKey, detected.navKey);
+      const { dateOrder } = s;
+      const excluded = defaultExclusions(dataQuality(rows, dateKey, navKey, { dateOrder }));
+      out.push({ ...s, dateKey, navKey, excluded: [...excluded], series: toSeries(rows, dateKey, navKey, excluded, { dateOrder }) });
+    }
+    return out;
+  },
+
+  async ledger({ ledgerRows, mapping, priceRows }, step) {
+    const rows = deref(ledgerRows);
+    const priceSheet = priceRows && deref(priceRows);
+    await step("Reading transactions", 0, 3);
+    const parsed = mapping.dateKey ? parseLedger(rows, mapping) : { txns: [], skipped: [] };
+    await step("Reading prices", 1, 3);
+    const prices = priceSheet ? parsePriceHistory(priceSheet) : new Map();
+    await step("Building unitized NAV", 2, 3);
+    const built = parsed.txns.length && prices.size ? buildUnitizedNav(parsed.txns, prices) : null;
+    return {
+      txnCount: parsed.txns.length,
+      instruments: new Set(parsed.txns.map(t => t.instrument)).size,
+      skipped: parsed.skipped,
+      priceKeys: [...prices.keys()],
+      missing: built?.missing ?? [],
+      flows: built?.flows ?? [],
+      series: built ? withEquity(built.points) : [],
+      xirr: built ? xirr(built.flows) : null,
+    };
+  },
+
+  async actions({ actionRows, mapping, series }, step) {
+    // Corporate actions for one portfolio, and where they land on its NAV
+    const rows = deref(actionRows);
+    const points = deref(series);
+    await step("Reading corporate actions", 0, 2);
+    const parsed = mapping.dateKey ? parseActions(rows, mapping) : { actions: [], skipped: [] };
+    await step("Matching them to the NAV", 1, 2);
+    const { applied, unmatched } = applyActions(points, parsed.actions);
+    return { actions: parsed.actions, skipped: parsed.skipped, applied, unmatched };
+  },
+
+  async simulate({ series, plan, chartPoints }, step) {
+    // A SIP / SWP plan replayed on one portfolio, then the same plan from
+    // every monthly start date the history allows
+    const points = deref(series);
+    const starts = planStarts(points, plan.months);
+    const total = starts.length + 1;
+    await step("Replaying the plan", 0, total);
+    const result = simulatePlan(points, plan, { track: true });
+    if (!result) return null;
+    const outcomes = [];
+    for (const [k, start] of starts.entries()) {
+      if (k % 24 === 0) await step("Trying every start date", k + 1, total);
+      const r = simulatePlan(points, { ...plan, start: toLabel(start) });
+      if (r) outcomes.push({ start: r.startLabel, xirr: r.xirr, value: r.value, invested: r.invested, withdrawn: r.withdrawn, depletedOn: r.depletedOn });
+    }
+    return { ...result, rows: thinRows(result.rows, chartPoints), outcomes, spread: outcomeSpread(outcomes) };
+  },
+
+  async analyze({ portfolios, from, to, activeId, benchmarkId, riskFree, align, chartPoints }, step) {
+    // Everything the portfolio page shows for the selected range
+    const full = openPortfolios(portfolios);
+    const view = portfolios.map((p, i) => ({ ...full[i], series: viewOf(p.series, from, to) }));
+    const active = view.find(p => p.id === activeId) ?? view[0];
+    const benchmark = view.find(p => p.id === benchmarkId) ?? null;
+    const ids = view.map(p => p.id);
+    const total = 4 + view.length;
+
+    await step("Comparing series", 0, total);
+    const fullComparison = compareSeries(full, null, align);
+    const comparison = compareSeries(view, benchmark?.id, align);
+
+    await step("Trailing returns", 1, total);
+    const trailingRows = view.map(p => ({ ...trailingReturnsTable(p.name, p.series), id: p.id }));
+
+    await step("Calendar returns", 2, total);
+    // every heatmap view, plus the excess over the benchmark when there is one
+    const calendar = {};
+    for (const period of Object.keys(calendarPeriods)) {
+      const own = calendarReturns(active.series, period);
+      const excess = benchmark && benchmark.id !== active.id ? excessReturns(own, calendarReturns(benchmark.series, period)) : null;
+      calendar[period] = { ...own, excess: excess?.table ?? null };
+    }
+    const { table, columns: months } = calendar.month;
+
+    await step("Risk statistics", 3, total);
+    const risk = riskStats(active.series, riskFree);
+    const episodes = drawdownEpisodes(active.series).slice(0, 10);
+
+    const relativeRows = [];
+    for (const [i, p] of view.entries()) {
+      await step("Benchmark statistics", 4 + i, total);
+      if (benchmark && p.id !== benchmark.id) {
+        relativeRows.push({ id: p.id, name: p.name, stats: benchmarkStats(p.series, benchmark.series, riskFree, align) });
+      }
+    }
+
+    const s = active.series;
+    return {
+      activeId: active.id,
+      summary: s.length ? {
+        points: s.length,
+        firstLabel: s[0].dateLabel,
+        lastLabel: s[s.length - 1].dateLabel,
+        ret: s[s.length - 1].equity / s[0].equity - 1,
+        maxDD: maxDrawdown(s),
+      } : null,
+      navigator: thinRows(fullComparison.data, chartPoints),
+      comparison: { start: comparison.start, data: thinRows(comparison.data, chartPoints, ddDepth(ids)) },
+      trailingRows,
+      table,
+      months,
+      calendar,
+      risk,
+      episodes,
+      relativeRows,
+    };
+  },
+
+  async rolling({ portfolios, from, to, benchmarkId, windowDays, metric, riskFree, align, chartPoints }, step) {
+    const view = portfolios.map(p => ({ id: p.id, series: viewOf(p.series, from, to) }));
+    const benchmark = view.find(p => p.id === benchmarkId) ?? null;
+    const lines = [];
+    for (const [i, p] of view.entries()) {
+      await step("Rolling statistics", i, view.length + 1);
+      lines.push({ id: p.id, points: rollingStats(p.series, windowDays, metric, riskFree) });
+    }
+    await step("Rolling beta", view.length, view.length + 1);
+    const beta = benchmark
+      ? view.filter(p => p.id !== benchmark.id).map(p => ({ id: p.id, points: rollingBeta(p.series, benchmark.series, windowDays, align) }))
+      : [];
+    return {
+      data: thinRows(mergeByLabel(lines), chartPoints),
+      betaData: thinRows(mergeByLabel(beta), chartPoints),
+    };
+  },
+
+  async period({ series, benchmark, from, to, start, end }, step) {
+    // Heatmap drill-down: one period of the ranged series, and of the benchmark
+    await step("Period detail", 0, 1);
+    const detail = periodDetail(viewOf(series, from, to), start, end);
+    const benchDetail = benchmark ? periodDetail(viewOf(benchmark, from, to), start, end) : null;
+    const line = (id, d) => ({ id, points: (d?.points ?? []).map(p => ({ dateLabel: p.dateLabel, value: p.equity })) });
+    return {
+      detail,
+      benchDetail,
+      data: detail ? mergeByLabel([line("portfolio", detail), line("benchmark", benchDetail)]) : [],
+    };
+  },
+
+  async distribution({ series: ref, from, to, freq }, step) {
+    // Distribution card: histogram and streaks at `freq`, calendar effects
+    const series = viewOf(ref, from, to);
+    await step("Return distribution", 0, 2);
+    const rets = returnsAt(series, freq);
+    const histogram = returnHistogram(rets.map(r => r.ret));
+    await step("Calendar effects", 1, 2);
+    return { histogram, streaks: returnStreaks(rets), effects: calendarEffects(series) };
+  },
+
+  async project({ series: ref, from, to, freq, years, paths, block, seed, targetPct, drawdownLimitPct, chartPoints }, step) {
+    // Projection card: `paths` block-bootstrapped futures of `years` from the
+    // returns in the selected range, continuing from the last equity value
+    const full = deref(ref);
+    const rets = returnsAt(viewOf(ref, from, to), freq).map(r => r.ret);
+    if (rets.length < 2 * block) return null;
+    const last = full[full.length - 1];
+    const periods = freq === "monthly" ? 12 : inferFrequency(full.map(p => p.date)).periods;
+    const horizon = Math.max(1, Math.round(years * periods));
+    const every = Math.ceil(horizon / Math.min(horizon, Math.floor(chartPoints / 4)));
+    const checks = [];
+    for (let t = 0; t < horizon; t += every) checks.push(t);
+    checks.push(horizon);
+
+    const random = seededRandom(seed);
+    const columns = checks.map(() => new Float64Array(paths));
+    const buffer = new Float64Array(horizon + 1);
+    const target = 1 + targetPct / 100;
+    let hits = 0, endAbove = 0, breaches = 0;
+    for (let k = 0; k < paths; k++) {
+      if (k % 250 === 0) await step("Simulating paths", k, paths + 1);
+      const path = bootstrapPath(rets, horizon, block, random, buffer);
+      checks.forEach((t, c) => (columns[c][k] = path[t]));
+      const { high, drawdown } = pathExtremes(path);
+      if (high >= target) hits++;
+      if (path[horizon] >= target) endAbove++;
+      if (drawdown <= -drawdownLimitPct / 100) breaches++;
+    }
+    await step("Percentiles", paths, paths + 1);
+
+    const scale = (band) => Object.fromEntries(Object.entries(band).map(([k, v]) => [k, v * last.equity]));
+    const bands = fanBands(columns).map(scale);
+    // the same span of history before the projection, for context
+    const since = labelIndex(full, toLabel(projectionDate(last.date, freq, periods, -horizon)));
+    const history = thinRows(full.slice(since).map(p => ({ dateLabel: p.dateLabel, history: p.equity })), Math.floor(chartPoints / 4));
+    const rows = [
+      ...history.slice(0, -1),
+      ...checks.map((t, c) => {
+        const b = bands[c];
+        return {
+          dateLabel: toLabel(projectionDate(last.date, freq, periods, t)),
+          ...(t === 0 ? { history: last.equity } : {}),
+          outer: [b.p5, b.p95],
+          inner: [b.p25, b.p75],
+          median: b.p50,
+        };
+      }),
+    ];
+    return {
+      start: { dateLabel: last.dateLabel, equity: last.equity },
+      end: rows[rows.length - 1].dateLabel,
+      horizon,
+      sample: rets.length,
+      rows,
+      final: bands[bands.length - 1],
+      target: { level: target * last.equity, touched: hits / paths, endAbove: endAbove / paths },
+      breach: breaches / paths,
+    };
+  },
+
+  async export({ portfolios, from, to, riskFree }, step) {
+    const view = portfolios.map(p => ({ ...p, series: viewOf(p.series, from, to) }));
+    await step("Building export tables", 0, 1);
+    return exportTables(view, riskFree);
+  },
+};
+
+const post = (msg) => self.postMessage(msg);
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+self.onmessage = async ({ data: msg }) => {
+  if (msg.release) {
+    shared.delete(msg.release);
+    views.delete(msg.release);
+    return;
+  }
+  if (msg.cancel) {
+    if (running.has(msg.id)) cancelled.add(msg.id);
+    return;
+  }
+
+  const { id, task, payload } = msg;
+  const step = async (label, done, total) => {
+    if (cancelled.has(id)) throw new Cancelled();
+    post({ id, progress: { label, done, total } });
+    await tick();
+    if (cancelled.has(id)) throw new Cancelled();
+  };
+  running.add(id);
+  try {
+    if (!tasks[task]) throw new Error(`Unknown task ${task}`);
+    post({ id, result: await tasks[task](payload, step) });
+  } catch (err) {
+    if (!(err instanceof Cancelled)) post({ id, error: err.message });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
@@ -0,0 +1,217 @@
+// Research posts for the Home page, from the content files in src/content/posts
+// (Markdown with front matter, or JSON). Plain JS like analytics.js: the page
+// passes in the raw file texts (import.meta.glob), and the tests read the same
+// files from disk.
+//
+//   ---
+//   title: The Focused Way of Investing
+//   date: 2024-04-03
+//   tags: [equity, portfolio review]
+//   portfolio: focused            (optional: a file in src/content/portfolios, or a saved portfolio's name)
+//   excerpt: FY24 brought us…     (optional: defaults to the first paragraph)
+//   ---
+//   Markdown body…
+//
+// A .json file holds one post object, or an array of them, with the same
+// fields plus `body` (Markdown) and optionally `slug`.
+import { toLabel, fromLabel } from "./analytics.js";
+
+export const postsPerPage = 4;
+
+// ---------- Front matter ----------
+function frontMatterValue(raw) {
+  const v = raw.trim();
+  if (/^\[.*\]$/.test(v)) return v.slice(1, -1).split(",").map(frontMatterValue).filter(x => x !== "");
+  if (/^(".*"|'.*')$/.test(v)) return v.slice(1, -1);
+  return v;
+}
+
+export function parseFrontMatter(text) {
+  // → { data, body }. A YAML subset: `key: value`, `key: [a, b]` and `- item`
+  // lists under a bare `key:`; anything fancier belongs in a .json post.
+  const m = /^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!m) return { data: {}, body: text };
+  const data = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(frontMatterValue(item[1]));
+      continue;
+    }
+    const kv = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!kv) throw new Error(`Can't read front matter line "${line}"`);
+    listKey = kv[2].trim() ? null : kv[1];
+    data[kv[1]] = listKey ? [] : frontMatterValue(kv[2]);
+  }
+  return { data, body: text.slice(m[0].length) };
+}
+
+// ---------- Markdown ----------
+// Blocks: heading, paragraph, list, quote, code, rule. Inline nodes: text,
+// strong, em, code, link. The page renders these as React elements, so post
+// text is never injected as HTML.
+const safeHref = (href) => /^(https?:|mailto:|\/|#)/i.test(href);
+
+export function parseInline(text) {
+  const out = [];
+  // `code`, **strong**, *em*, [text](href); underscores stay literal so
+  // names like cm_fixed_income survive
+  const pattern = /`([^`]+)`|\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+  let last = 0;
+  let m;
+  const pushText = (s) => {
+    if (!s) return;
+    const prev = out[out.length - 1];
+    if (prev?.type === "text") prev.text += s;
+    else out.push({ type: "text", text: s });
+  };
+  while ((m = pattern.exec(text))) {
+    pushText(text.slice(last, m.index));
+    if (m[1] != null) out.push({ type: "code", text: m[1] });
+    else if (m[2] != null) out.push({ type: "strong", children: parseInline(m[2]) });
+    else if (m[3] != null) out.push({ type: "em", children: parseInline(m[3]) });
+    else if (safeHref(m[5])) out.push({ type: "link", href: m[5], children: parseInline(m[4]) });
+    else pushText(m[4]);
+    last = pattern.lastIndex;
+  }
+  pushText(text.slice(last));
+  return out;
+}
+
+export function parseMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let para = [];
+  const flush = () => {
+    if (para.length) blocks.push({ type: "paragraph", children: parseInline(para.join(" ")) });
+    para = [];
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) {
+      flush();
+    } else if (line.startsWith("```")) {
+      flush();
+      const code = [];
+      while (++i < lines.length && !lines[i].startsWith("```")) code.push(lines[i]);
+      blocks.push({ type: "code", text: code.join("\n") });
+    } else if ((m = /^(#{1,4})\s+(.*)$/.exec(line))) {
+      flush();
+      blocks.push({ type: "heading", level: m[1].length, children: parseInline(m[2].trim()) });
+    } else if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+      flush();
+      blocks.push({ type: "rule" });
+    } else if (/^\s*([-*]|\d+\.)\s+/.test(line)) {
+      flush();
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      for (; i < lines.length && (m = /^\s*([-*]|\d+\.)\s+(.*)$/.exec(lines[i])); i++) items.push(parseInline(m[2]));
+      i--;
+      blocks.push({ type: "list", ordered, items });
+    } else if (line.startsWith(">")) {
+      flush();
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith(">"); i++) quote.push(lines[i].replace(/^>\s?/, ""));
+      i--;
+      blocks.push({ type: "quote", children: parseInline(quote.join(" ")) });
+    } else {
+      para.push(line.trim());
+    }
+  }
+  flush();
+  return blocks;
+}
+
+const blockTypes = new Set(["heading", "paragraph", "list", "quote", "rule"]);
+
+export function plainText(nodes) {
+  // inline nodes or blocks → their text, for excerpts and search
+  const sep = nodes.some(n => blockTypes.has(n.type)) ? " " : "";
+  return nodes.map(n => {
+    if (n.type === "list") return n.items.map(plainText).join(" ");
+    if (n.children) return plainText(n.children);
+    return n.text ?? "";
+  }).join(sep).replace(/\s+/g, " ").trim();
+}
+
+// ---------- Posts ----------
+function toPost(data, body, slug, path) {
+  const fail = (msg) => {
+    throw new Error(`${path}: ${msg}`);
+  };
+  if (!data.title) fail("missing title");
+  const date = String(data.date ?? "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || toLabel(fromLabel(date)) !== date) fail(`date "${date}" is not YYYY-MM-DD`);
+  const blocks = parseMarkdown(body ?? "");
+  const firstPara = blocks.find(b => b.type === "paragraph");
+  const tags = data.tags == null ? [] : Array.isArray(data.tags) ? data.tags : [data.tags];
+  return {
+    slug: String(data.slug ?? slug),
+    title: String(data.title),
+    date,
+    tags: tags.map(t => String(t).trim().toLowerCase()).filter(Boolean),
+    portfolio: data.portfolio ? String(data.portfolio) : null,
+    excerpt: data.excerpt ? String(data.excerpt) : firstPara ? plainText(firstPara.children) : "",
+    blocks,
+    text: plainText(blocks),
+  };
+}
+
+export function loadPosts(files) {
+  // files: { path: raw text } → posts, newest first. Slugs come from the file
+  // name unless a post sets its own; duplicates are an error.
+  const posts = [];
+  for (const [path, text] of Object.entries(files)) {
+    const name = path.split("/").pop();
+    const slug = name.replace(/\.[^.]+$/, "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    if (name.endsWith(".json")) {
+      const data = JSON.parse(text);
+      const list = Array.isArray(data) ? data : [data];
+      list.forEach((p, i) => posts.push(toPost(p, p.body, list.length > 1 ? `${slug}-${i + 1}` : slug, path)));
+    } else {
+      const { data, body } = parseFrontMatter(text);
+      posts.push(toPost(data, body, slug, path));
+    }
+  }
+  const seen = new Set();
+  for (const p of posts) {
+    if (seen.has(p.slug)) throw new Error(`Two posts have the slug "${p.slug}"`);
+    seen.add(p.slug);
+  }
+  return posts.sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title));
+}
+
+export function postTags(posts) {
+  // → [{ tag, count }], most used first
+  const counts = new Map();
+  for (const p of posts) for (const t of p.tags) counts.set(t, (counts.get(t) ?? 0) + 1);
+  return [...counts].map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+export function filterPosts(posts, { tag = null, query = "" } = {}) {
+  // tag: exact (case-insensitive); query: every word somewhere in the title,
+  // excerpt, tags or body
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return posts.filter(p => {
+    if (tag && !p.tags.includes(tag.toLowerCase())) return false;
+    if (!words.length) return true;
+    const haystack = [p.title, p.excerpt, p.tags.join(" "), p.text].join(" ").toLowerCase();
+    return words.every(w => haystack.includes(w));
+  });
+}
+
+export function paginate(items, page, size = postsPerPage) {
+  // page is 1-based and clamped to the available pages
+  const pages = Math.max(1, Math.ceil(items.length / size));
+  const current = Math.min(Math.max(1, Math.floor(Number(page)) || 1), pages);
+  return { page: current, pages, items: items.slice((current - 1) * size, current * size) };
+}
+
+export function formatPostDate(label) {
+  // "2024-04-18" → "Apr 18, 2024"
+  return fromLabel(label).toLocaleDateString("en-US", { month: "short", day: "2-digit", year: "numeric" });
+}
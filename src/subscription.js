@@ -0,0 +1,61 @@
+// The signed-in user's plan, read from a JSON document: the mock API
+// (mock/server.js) under `npm run dev`, or VITE_SUBSCRIPTION_URL, the real
+// backend, which a build must set.
+// Plain JS like analytics.js, so the tests can check it under Node.
+//
+//   {
+//     "user": { "name": "Asha Rao", "email": "asha@example.com" },
+//     "plan": { "code": "CMP1Y", "name": "Premium · 1 year" },
+//     "expires": "2027-04-19",                      (the last day the plan is valid)
+//     "portfolios": ["focused", "fixed-income"],    (model portfolios in src/content/portfolios, or "*")
+//     "renewUrl": "https://…"                       (optional)
+//   }
+import { toLabel, fromLabel, daysBetween } from "./analytics.js";
+
+// how close to expiry the renewal reminder starts
+export const renewalWarningDays = 30;
+
+export function parseSubscription(data) {
+  // → { user, plan, expires, portfolios: [slug] | "*", renewUrl }, or throws
+  // on a document the app can't use
+  const fail = (msg) => {
+    throw new Error(`Subscription: ${msg}`);
+  };
+  if (!data || typeof data !== "object") fail("not a JSON object");
+  if (!data.plan?.code) fail("missing plan.code");
+  const expires = String(data.expires ?? "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(expires) || toLabel(fromLabel(expires)) !== expires) fail(`expires "${expires}" is not YYYY-MM-DD`);
+  const portfolios = data.portfolios ?? [];
+  if (portfolios !== "*" && !Array.isArray(portfolios)) fail('portfolios must be a list of slugs or "*"');
+  return {
+    user: { name: String(data.user?.name ?? ""), email: String(data.user?.email ?? "") },
+    plan: { code: String(data.plan.code), name: String(data.plan.name ?? data.plan.code) },
+    expires,
+    portfolios: portfolios === "*" ? "*" : portfolios.map(p => String(p).toLowerCase()),
+    renewUrl: data.renewUrl ? String(data.renewUrl) : null,
+  };
+}
+
+export async function fetchSubscription(url, fetchImpl = fetch) {
+  const res = await fetchImpl(url, { headers: { Accept: "application/json" } });
+  if (!res.ok) throw new Error(`Subscription request failed (${res.status})`);
+  return parseSubscription(await res.json());
+}
+
+export function subscriptionStatus(sub, today = new Date()) {
+  // → { state: "active" | "expiring" | "expired", daysLeft }. The plan is
+  // valid through its expiry day; daysLeft is 0 on that day.
+  const daysLeft = daysBetween(fromLabel(toLabel(today)), fromLabel(sub.expires));
+  const state = daysLeft < 0 ? "expired" : daysLeft <= renewalWarningDays ? "expiring" : "active";
+  return { state, daysLeft };
+}
+
+export function isEntitled(sub, slug) {
+  // whether the plan includes a model portfolio (by its content file name)
+  return sub.portfolios === "*" || sub.portfolios.includes(String(slug).toLowerCase());
+}
+
+export function formatExpiry(label) {
+  // "2025-04-19" → "Apr 19, 2025"
+  return fromLabel(label).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+}
@@ -0,0 +1,44 @@
+// Reading input files with SheetJS, inside the analytics worker and in the
+// nav-stats CLI. The page only sees the plain cell arrays sheetCells returns.
+import * as XLSX from "xlsx";
+
+export const importAccept = ".xlsx,.xlsm,.xls,.ods,.csv,.tsv,.txt,.json";
+
+export function workbookFromText(text) {
+  // CSV/TSV or text copied from a spreadsheet; SheetJS sniffs the delimiter.
+  // raw keeps cells as strings so dates and numbers go through coerceDate /
+  // isNumericLike like every other source.
+  return XLSX.read(text.replace(/^\uFEFF/, ""), { type: "string", raw: true });
+}
+
+function workbookFromJson(data) {
+  // Accepts an array of row objects, an array of arrays (first row = header),
+  // or an object of named row arrays (one sheet each).
+  const wb = XLSX.utils.book_new();
+  const addSheet = (name, rows) => {
+    if (!Array.isArray(rows) || !rows.length) return;
+    const ws = Array.isArray(rows[0]) ? XLSX.utils.aoa_to_sheet(rows) : XLSX.utils.json_to_sheet(rows);
+    XLSX.utils.book_append_sheet(wb, ws, String(name).slice(0, 31));
+  };
+  if (Array.isArray(data)) addSheet("Sheet1", data);
+  else if (data && typeof data === "object") for (const [k, v] of Object.entries(data)) addSheet(k, v);
+  if (!wb.SheetNames.length) throw new Error("JSON must be an array of rows or an object of row arrays.");
+  return wb;
+}
+
+export async function readWorkbook(file) {
+  // file: a browser File, or anything with name, text() and arrayBuffer()
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (ext === "json") return workbookFromJson(JSON.parse(await file.text()));
+  if (["csv", "tsv", "txt"].includes(ext)) return workbookFromText(await file.text());
+  return XLSX.read(await file.arrayBuffer(), { type: "array" });
+}
+
+export function sheetCells(ws) {
+  // Raw cell values as an array of rows, starting at sheet row 0 (blank rows
+  // kept) so array index === sheet row for the header-row picker.
+  if (!ws?.["!ref"]) return [];
+  const range = XLSX.utils.decode_range(ws["!ref"]);
+  range.s.r = 0;
+  return XLSX.utils.sheet_to_json(ws, { header: 1, defval: null, blankrows: true, range });
+}
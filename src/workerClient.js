@@ -0,0 +1,126 @@
+// Main-thread side of the analytics worker (analytics.worker.js).
+//
+// runTask(task, payload, onProgress) → { promise, cancel }. Cancelling
+// rejects the promise with an AbortError straight away; the worker stops the
+// task at its next progress step.
+//
+// Large arrays go in wrapped with share(): each one is cloned into the worker
+// once and referenced by key afterwards, and the worker drops its copy when
+// the page's array is garbage-collected.
+/* global FinalizationRegistry */
+import { useEffect, useRef, useState } from "react";
+
+let worker = null;
+let seq = 0;
+const pending = new Map(); // id → { resolve, reject, onProgress }
+
+let sharedKeys = new WeakMap(); // array → key, once sent
+let sharedSeq = 0;
+const released = new FinalizationRegistry(key => worker?.postMessage({ release: key }));
+
+class Shared {
+  constructor(data) {
+    this.data = data;
+  }
+}
+
+export const share = (data) => new Shared(data);
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./analytics.worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data: msg }) => {
+    const job = pending.get(msg.id);
+    if (!job) return;
+    if (msg.progress) {
+      job.onProgress?.(msg.progress);
+      return;
+    }
+    pending.delete(msg.id);
+    if ("result" in msg) job.resolve(msg.result);
+    else if (msg.error) job.reject(new Error(msg.error));
+  };
+  worker.onerror = (e) => {
+    // the worker is gone: fail what's in flight and start over next time
+    e.preventDefault();
+    for (const job of pending.values()) job.reject(new Error(e.message || "The analytics worker crashed."));
+    pending.clear();
+    worker.terminate();
+    worker = null;
+    sharedKeys = new WeakMap();
+  };
+  return worker;
+}
+
+function pack(value) {
+  // Replace share()d arrays by { key } refs, with the data on first send.
+  if (value instanceof Shared) {
+    let key = sharedKeys.get(value.data);
+    if (key) return { shared: key };
+    key = `s${++sharedSeq}`;
+    sharedKeys.set(value.data, key);
+    released.register(value.data, key);
+    return { shared: key, data: value.data };
+  }
+  if (Array.isArray(value)) return value.map(pack);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, pack(v)]));
+  }
+  return value;
+}
+
+export function runTask(task, payload, onProgress) {
+  const id = ++seq;
+  const promise = new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, onProgress });
+  });
+  getWorker().postMessage({ id, task, payload: pack(payload) });
+  const cancel = () => {
+    const job = pending.get(id);
+    if (!job) return;
+    pending.delete(id);
+    worker?.postMessage({ id, cancel: true });
+    job.reject(new DOMException("Cancelled", "AbortError"));
+  };
+  return { promise, cancel };
+}
+
+const idle = { result: null, busy: false, progress: null, error: null, cancelled: false };
+
+export function useWorkerTask(task, payload) {
+  // Runs `task` whenever `payload` changes (memoize it; null = nothing to
+  // run). A newer payload cancels the run in flight; the last result stays
+  // until the new one arrives.
+  const [state, setState] = useState(idle);
+  const [attempt, setAttempt] = useState(0);
+  const run = useRef(null);
+
+  useEffect(() => {
+    if (payload == null) {
+      setState(idle);
+      return;
+    }
+    const current = runTask(task, payload, (progress) => setState(s => ({ ...s, progress })));
+    let superseded = false;
+    run.current = current;
+    setState(s => ({ ...s, busy: true, progress: null, error: null, cancelled: false }));
+    current.promise.then(
+      (result) => setState({ ...idle, result }),
+      (err) => {
+        if (superseded) return;
+        const cancelled = err.name === "AbortError";
+        setState(s => ({ ...s, busy: false, progress: null, cancelled, error: cancelled ? null : err.message }));
+      }
+    );
+    return () => {
+      superseded = true;
+      current.cancel();
+    };
+  }, [task, payload, attempt]);
+
+  return {
+    ...state,
+    cancel: () => run.current?.cancel(),
+    retry: () => setAttempt(n => n + 1),
+  };
+}
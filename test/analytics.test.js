@@ -0,0 +1,663 @@
+// Unit tests for src/analytics.js. Run with `npm test`; they should pass in
+// any time zone (the "time zones" tests switch TZ themselves).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  coerceDate, excelSerialDate, toLabel, fromLabel, addDays, priorBusinessDay, monthsBefore, lookbackDate,
+  lookbackPeriods, inferDateOrder, detectColumns, sheetRows, toSeries, dataQuality, defaultExclusions, withEquity,
+  sliceSeries, thinRows, calculateTrailingReturns, monthlyReturns, calendarReturns, excessReturns, periodBounds,
+  periodDetail, annualize, daysBetween, riskStats,
+  drawdownEpisodes, compareSeries, rollingStats, xirr, returnsAt, returnHistogram, calendarEffects, returnStreaks,
+  detectActionColumns, actionFactor, parseActions, applyActions, wholeMonths, simulatePlan, planStarts, outcomeSpread,
+  seededRandom, bootstrapPath, pathExtremes, fanBands, projectionDate,
+  lookbackApplies, seriesFrequency, resampleSeries, alignReturns,
+} from "../src/analytics.js";
+
+const iso = (d) => toLabel(d);
+const close = (actual, expected, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < eps, `expected ${expected}, got ${actual}`);
+
+function fixture(name) {
+  // CSV cells as strings, the way workbookFromText reads them
+  const text = readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+  const cells = text.trim().split("\n").map(line => line.split(","));
+  return sheetRows({ Sheets: { [name]: cells } }, name);
+}
+
+function seriesOf(name) {
+  const rows = fixture(name);
+  const { dateKey, navKey } = detectColumns(rows);
+  return toSeries(rows, dateKey, navKey, defaultExclusions(dataQuality(rows, dateKey, navKey)));
+}
+
+const daily = (from, navs) => withEquity(navs.map((nav, i) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + i);
+  return { date, nav };
+}));
+
+// ---------- Dates ----------
+test("excelSerialDate follows Excel's 1900 calendar", () => {
+  assert.equal(iso(excelSerialDate(1)), "1900-01-01");
+  assert.equal(iso(excelSerialDate(59)), "1900-02-28");
+  // 60 is Excel's phantom 1900-02-29; 61 is the real March 1st
+  assert.equal(iso(excelSerialDate(61)), "1900-03-01");
+  assert.equal(iso(excelSerialDate(45292)), "2024-01-01");
+  assert.equal(iso(excelSerialDate(45351)), "2024-02-29");
+  assert.equal(excelSerialDate(45292.5).getHours(), 12);
+});
+
+test("coerceDate reads serials, numeric strings and ISO dates as calendar days", () => {
+  assert.equal(iso(coerceDate(43890)), "2020-02-29");
+  assert.equal(iso(coerceDate(43890.75)), "2020-02-29");
+  assert.equal(iso(coerceDate(" 43890 ")), "2020-02-29");
+  assert.equal(iso(coerceDate("2020-02-29")), "2020-02-29");
+  assert.equal(iso(coerceDate("2020-02-29T23:30:00-08:00")), "2020-02-29"); // the day as written
+  assert.equal(iso(coerceDate("5 Jan 2024")), "2024-01-05");
+  assert.equal(+coerceDate(new Date(2021, 5, 1, 15, 30)), +new Date(2021, 5, 1));
+  assert.ok(isNaN(+coerceDate("2023-02-29")));
+  assert.ok(isNaN(+coerceDate("n/a")));
+  assert.ok(isNaN(+coerceDate(null)));
+  assert.ok(isNaN(+coerceDate("")));
+});
+
+test("coerceDate reads day/month strings in the requested order", () => {
+  assert.equal(iso(coerceDate("03/04/2024", "DMY")), "2024-04-03");
+  assert.equal(iso(coerceDate("03/04/2024", "MDY")), "2024-03-04");
+  assert.equal(iso(coerceDate("03.04.24", "DMY")), "2024-04-03");
+  assert.equal(iso(coerceDate("03-04-99", "DMY")), "1999-04-03");
+  // "auto" goes by the value when a part is over 12, else DD/MM
+  assert.equal(iso(coerceDate("13/04/2024")), "2024-04-13");
+  assert.equal(iso(coerceDate("04/13/2024")), "2024-04-13");
+  assert.equal(iso(coerceDate("03/04/2024")), "2024-04-03");
+  assert.ok(isNaN(+coerceDate("04/13/2024", "DMY")));
+  assert.ok(isNaN(+coerceDate("31/04/2024", "DMY")));
+});
+
+test("inferDateOrder settles a column from any unambiguous value", () => {
+  assert.equal(inferDateOrder(["01/02/2024", "12/02/2024", "13/02/2024"]), "DMY");
+  assert.equal(inferDateOrder(["01/02/2024", "02/13/2024"]), "MDY");
+  assert.equal(inferDateOrder(["01/02/2024", "02/03/2024"]), "ambiguous");
+  assert.equal(inferDateOrder(["2024-01-02", 45292, null]), null);
+});
+
+test("toSeries and dataQuality read a whole column in one date order", () => {
+  const rows = [
+    { Date: "01/02/2024", NAV: "10" },
+    { Date: "02/02/2024", NAV: "11" },
+    { Date: "02/13/2024", NAV: "12" },
+  ];
+  // one MM/DD-only value makes the whole column MM/DD
+  assert.deepEqual(toSeries(rows, "Date", "NAV").map(s => s.dateLabel), ["2024-01-02", "2024-02-02", "2024-02-13"]);
+  const report = dataQuality(rows, "Date", "NAV");
+  assert.equal(report.dateOrder, "MDY");
+  assert.equal(report.dateOrderGuessed, false);
+
+  const ambiguous = rows.slice(0, 2);
+  assert.deepEqual(toSeries(ambiguous, "Date", "NAV").map(s => s.dateLabel), ["2024-02-01", "2024-02-02"]);
+  assert.deepEqual(toSeries(ambiguous, "Date", "NAV", null, { dateOrder: "MDY" }).map(s => s.dateLabel), ["2024-01-02", "2024-02-02"]);
+  assert.equal(dataQuality(ambiguous, "Date", "NAV").dateOrderGuessed, true);
+  assert.equal(dataQuality(ambiguous, "Date", "NAV", { dateOrder: "DMY" }).dateOrderGuessed, false);
+});
+
+test("calendar helpers", () => {
+  assert.equal(toLabel(fromLabel("2024-02-29")), "2024-02-29");
+  assert.equal(toLabel(addDays(fromLabel("2024-02-28"), 2)), "2024-03-01");
+  // Monday → Friday, Sunday → Friday (n = 0), Monday − 5 → Monday
+  assert.equal(toLabel(priorBusinessDay(fromLabel("2024-03-04"))), "2024-03-01");
+  assert.equal(toLabel(priorBusinessDay(fromLabel("2024-03-03"), 0)), "2024-03-01");
+  assert.equal(toLabel(priorBusinessDay(fromLabel("2024-03-04"), 5)), "2024-02-26");
+  assert.equal(toLabel(monthsBefore(fromLabel("2024-03-31"), 1)), "2024-02-29");
+  assert.equal(toLabel(monthsBefore(fromLabel("2024-02-29"), 12)), "2023-02-28");
+  assert.equal(toLabel(monthsBefore(fromLabel("2024-01-15"), 3)), "2023-10-15");
+});
+
+test("lookbacks count business days for 1D/1W and calendar months beyond", () => {
+  const monday = fromLabel("2024-03-04");
+  const target = (label) => toLabel(lookbackDate(monday, lookbackPeriods[label]));
+  assert.equal(target("1D"), "2024-03-01");
+  assert.equal(target("1W"), "2024-02-26");
+  assert.equal(target("1M"), "2024-02-02"); // 4 Feb is a Sunday
+  assert.equal(target("1Y"), "2023-03-03"); // 4 Mar 2023 is a Saturday
+});
+
+// ---------- Sheet rows and column detection ----------
+test("sheetRows names empty and repeated headers like SheetJS and skips blank rows", () => {
+  const cells = [
+    ["Date", "NAV", null, "NAV"],
+    ["2024-01-01", "10", "x", "11"],
+    [null, null, null, null],
+    ["2024-01-02", "10.5", null, "11.5"],
+  ];
+  const rows = sheetRows({ Sheets: { S: cells } }, "S");
+  assert.deepEqual(rows, [
+    { Date: "2024-01-01", NAV: "10", __EMPTY: "x", NAV_1: "11" },
+    { Date: "2024-01-02", NAV: "10.5", __EMPTY: null, NAV_1: "11.5" },
+  ]);
+});
+
+test("detectColumns finds serial-number dates and prefers a NAV header over units", () => {
+  const serial = detectColumns(fixture("excel-serial.csv"));
+  assert.deepEqual([serial.dateKey, serial.navKey], ["As of", "NAV"]);
+
+  const rows = [
+    { Date: "2024-01-01", Units: "1200", AUM: "12000", NAV: "10" },
+    { Date: "2024-01-02", Units: "1250", AUM: "12625", NAV: "10.1" },
+  ];
+  const { dateKey, navKey } = detectColumns(rows);
+  assert.equal(dateKey, "Date");
+  assert.equal(navKey, "NAV");
+
+  // small numbers pass as serial dates too; a Date header breaks the tie
+  const actions = [{ Value: "10", Type: "IDCW", "Ex Date": "2024-01-10" }, { Value: "2", Type: "Split", "Ex Date": "2024-02-01" }];
+  assert.equal(detectColumns(actions).dateKey, "Ex Date");
+});
+
+test("toSeries drops unusable rows and converts Excel serial dates", () => {
+  const series = seriesOf("excel-serial.csv");
+  assert.deepEqual(series.map(s => s.dateLabel), ["2019-12-31", "2020-01-31", "2020-02-29", "2020-03-31", "2020-06-30"]);
+  assert.deepEqual(series.map(s => s.nav), [10, 10.5, 9.8, 10.2, 11]);
+  close(series[series.length - 1].equity, 110);
+});
+
+test("dataQuality reports duplicates and non-positive NAVs, which start excluded", () => {
+  const rows = fixture("missing-months.csv");
+  const report = dataQuality(rows, "Date", "NAV");
+  assert.deepEqual(report.duplicates.map(d => [d.dateLabel, d.rows, d.kept]), [["2022-08-31", [7, 8], 8]]);
+  assert.deepEqual(report.nonPositive.map(p => p.dateLabel), ["2022-09-30"]);
+  assert.deepEqual([...defaultExclusions(report)], [9]);
+
+  const series = seriesOf("missing-months.csv");
+  assert.equal(series.find(s => s.dateLabel === "2022-08-31").nav, 57); // the last duplicate wins
+  assert.ok(!series.some(s => s.dateLabel === "2022-09-30"));
+});
+
+// ---------- Trailing returns ----------
+test("trailing returns look back across Feb 29", () => {
+  const series = seriesOf("leap-year.csv");
+  // ten points a year would read as monthly data, which skips 1D/1W
+  const t = calculateTrailingReturns(series, "daily");
+  // a year before Mon 2025-03-03 is a Sunday, so Friday 2024-03-01; with no
+  // NAV that day, the closest earlier point is 2024-02-29
+  close(t["1Y"], 111 / 102 - 1);
+  close(t["1M"], 111 / 105 - 1);
+  close(t["1W"], 111 / 105 - 1);
+  close(t["1D"], 111 / 110 - 1); // the Friday before
+  close(t.YTD, 111 / 105 - 1); // from the first point of 2025
+  close(t.SI, 111 / 99 - 1);
+  close(t.CAGR.SI, annualize(111 / 99 - 1, 397));
+  assert.equal(t["3Y"], null);
+  assert.equal(t.CAGR["1Y"], undefined); // not annualized at exactly a year
+});
+
+test("trailing drawdowns come from the series' running peak", () => {
+  const t = calculateTrailingReturns(daily(new Date(2024, 0, 1), [100, 120, 90, 108]));
+  close(t.DD, 108 / 120 - 1, 1e-4);
+  close(t["Max DD"], 90 / 120 - 1, 1e-4);
+});
+
+test("annualize and daysBetween", () => {
+  close(daysBetween(new Date(2020, 0, 1), new Date(2021, 0, 1)), 366);
+  close(annualize(0.21, 730), 0.1);
+  assert.equal(annualize(null, 365), null);
+  assert.equal(annualize(0.1, 0), null);
+});
+
+// ---------- Monthly returns ----------
+test("monthly returns leave gaps for missing months", () => {
+  const { table, months } = monthlyReturns(seriesOf("missing-months.csv"));
+  assert.equal(months.length, 12);
+  assert.deepEqual(table.map(r => r.Year), [2022, 2021]);
+  const y = table[0];
+  close(y.Jan, 51 / 50 - 1);
+  close(y.Apr, 53 / 52 - 1);
+  assert.equal(y.May, null); // no May point
+  assert.equal(y.Jun, null); // no May close to compare against
+  close(y.Aug, 57 / 54 - 1);
+  assert.equal(y.Sep, null); // zero NAV excluded
+  assert.equal(y.Oct, null);
+  close(y.Dec, 60 / 59 - 1);
+  const filled = ["Jan", "Feb", "Mar", "Apr", "Jul", "Aug", "Nov", "Dec"];
+  close(y.YTD, filled.reduce((acc, m) => acc * (1 + y[m]), 1) - 1);
+  assert.equal(table[1].YTD, null); // a lone Dec 2021 point has nothing to compare with
+});
+
+test("monthly returns use the last point of each month, Feb 29 included", () => {
+  const { table } = monthlyReturns(seriesOf("leap-year.csv"));
+  const [y2025, y2024] = table;
+  close(y2024.Feb, 102 / 99 - 1);
+  close(y2024.Mar, 103 / 102 - 1);
+  assert.equal(y2024.Dec, null);
+  close(y2025.YTD, 111 / 106 - 1);
+});
+
+test("quarterly and calendar-year returns close each period against the last", () => {
+  const series = seriesOf("missing-months.csv");
+  const q = calendarReturns(series, "quarter");
+  assert.deepEqual([q.columns, q.total], [["Q1", "Q2", "Q3", "Q4"], "YTD"]);
+  const [y2022] = q.table;
+  close(y2022.Q1, 52 / 50 - 1);
+  close(y2022.Q2, 55 / 52 - 1);
+  close(y2022.Q3, 57 / 55 - 1); // the zero NAV on 30 Sep is excluded, so 31 Aug closes Q3
+  close(y2022.Q4, 60 / 57 - 1);
+  close(y2022.YTD, 60 / 50 - 1);
+
+  const y = calendarReturns(series, "year");
+  assert.equal(y.total, null);
+  assert.deepEqual(y.table.map(r => r.Year), [2022, 2021]);
+  close(y.table[0].Return, 60 / 50 - 1);
+  assert.equal(y.table[1].Return, null);
+  assert.ok(!("YTD" in y.table[0]));
+});
+
+test("excessReturns subtracts the benchmark where both have a value", () => {
+  const ends = (navs) => withEquity(navs.map((nav, i) => ({ date: new Date(2024, i + 1, 0), nav })));
+  const own = calendarReturns(ends([100, 110, 99]), "month");
+  const bench = calendarReturns(ends([100, 105]), "month");
+  const [row] = excessReturns(own, bench).table;
+  close(row.Feb, 0.1 - 0.05);
+  assert.equal(row.Mar, null);
+  assert.equal(row.Jan, null);
+  close(row.YTD, (99 / 100 - 1) - 0.05);
+});
+
+test("periodBounds cover whole months, quarters and years", () => {
+  assert.deepEqual(periodBounds("month", 2024, 1), { from: "2024-02-01", to: "2024-02-31" });
+  assert.deepEqual(periodBounds("quarter", 2024, 3), { from: "2024-10-01", to: "2024-12-31" });
+  assert.deepEqual(periodBounds("year", 2024, 0), { from: "2024-01-01", to: "2024-12-31" });
+});
+
+test("periodDetail measures a month from the previous close, like its heatmap cell", () => {
+  const series = seriesOf("leap-year.csv");
+  const feb = periodDetail(series, "2024-02-01", "2024-02-31");
+  assert.equal(feb.base, "2024-01-31");
+  assert.deepEqual(feb.points.map(p => p.dateLabel), ["2024-01-31", "2024-02-27", "2024-02-28", "2024-02-29"]);
+  close(feb.ret, monthlyReturns(series).table[1].Feb);
+  assert.equal(feb.best.dateLabel, "2024-02-27");
+  assert.equal(feb.worst.dateLabel, "2024-02-29");
+  assert.equal(feb.maxDD, 0);
+
+  const first = periodDetail(series, "2024-01-01", "2024-01-31");
+  assert.equal(first.base, "2024-01-31"); // nothing before: from the first point
+  assert.equal(first.best, null);
+  assert.equal(periodDetail(series, "2024-06-01", "2024-06-31"), null);
+});
+
+// ---------- Risk and drawdowns ----------
+test("riskStats annualizes month-end data with 12 periods a year", () => {
+  const navs = [100, 102, 101, 104, 103, 106, 108, 107, 110, 112, 111, 115, 118];
+  const series = withEquity(navs.map((nav, i) => ({ date: new Date(2020, i + 1, 0), nav })));
+  const s = riskStats(series, 0.06);
+  assert.equal(s.frequency.periods, 12);
+  assert.equal(s.observations, 12);
+  close(s.cagr, Math.pow(1.18, 365.25 / 366) - 1, 1e-6);
+  close(s.maxDD, 101 / 102 - 1, 1e-4); // drawdowns are kept to 0.01%
+  assert.equal(s.best.dateLabel, "2020-12-31");
+  assert.ok(s.volatility > 0 && s.sharpe > 0);
+  assert.equal(riskStats(series.slice(0, 2)), null);
+});
+
+test("drawdownEpisodes splits peak → trough → recovery, deepest first", () => {
+  const series = daily(new Date(2024, 0, 1), [100, 110, 99, 105, 112, 100.8, 106]);
+  const [deep, shallow] = drawdownEpisodes(series);
+  close(deep.depth, 99 / 110 - 1);
+  assert.deepEqual([deep.peakLabel, deep.troughLabel, deep.recoveryLabel], ["2024-01-02", "2024-01-03", "2024-01-05"]);
+  assert.equal(deep.underwaterDays, 3);
+  close(shallow.depth, 100.8 / 112 - 1);
+  assert.equal(shallow.recoveryLabel, null); // still under water
+});
+
+test("compareSeries rebases every series at their first common date", () => {
+  const a = { id: "a", series: daily(new Date(2024, 0, 1), [50, 55, 60, 66]) };
+  const b = { id: "b", series: daily(new Date(2024, 0, 2), [200, 180, 198]) };
+  const { start, data } = compareSeries([a, b], "b");
+  assert.equal(start, "2024-01-02");
+  assert.deepEqual(data.map(r => r.dateLabel), ["2024-01-02", "2024-01-03", "2024-01-04"]);
+  assert.deepEqual(data[2], { dateLabel: "2024-01-04", a: 120, a_dd: 0, b: 99, b_dd: -1, a_rs: 121.21 });
+});
+
+test("compareSeries aligns mixed frequencies by carrying values forward or on shared dates", () => {
+  // daily from Fri 29 Mar; month ends where 31 Mar (a Sunday) has no daily NAV
+  const d = { id: "d", series: daily(new Date(2024, 2, 29), [100, 101, 102, 103, 104]) };
+  const m = { id: "m", series: withEquity(navPoints("2024-02-29=50 2024-03-31=55 2024-04-02=60")) };
+  const locf = compareSeries([d, m], "m");
+  assert.equal(locf.start, "2024-03-29");
+  assert.deepEqual(locf.data.map(r => [r.dateLabel, r.d, r.m]), [
+    ["2024-03-29", 100, 100], // m carried from 29 Feb
+    ["2024-03-30", 101, 100],
+    ["2024-03-31", 102, 110],
+    ["2024-04-01", 103, 110],
+    ["2024-04-02", 104, 120],
+  ]);
+  const shared = compareSeries([d, m], null, "intersection");
+  assert.deepEqual(shared.data.map(r => [r.dateLabel, r.d, r.m]), [["2024-03-31", 100, 100], ["2024-04-02", 101.96, 109.09]]);
+  // a series that ends before another starts never overlaps it
+  assert.equal(compareSeries([d, { id: "x", series: withEquity(navPoints("2024-01-01=1 2024-02-01=2")) }]).start, null);
+});
+
+test("alignReturns pairs on the sparser series' dates when carrying forward", () => {
+  const d = daily(new Date(2024, 0, 30), [100, 110, 120, 121, 130]); // 30 Jan – 3 Feb
+  const m = withEquity(navPoints("2024-01-31=10 2024-02-02=11"));
+  const { rp, rb, labels } = alignReturns(d, m);
+  assert.deepEqual(labels, ["2024-02-02"]);
+  close(rp[0], 121 / 110 - 1);
+  close(rb[0], 0.1);
+  assert.deepEqual(alignReturns(d, m, "intersection").labels, ["2024-02-02"]);
+  assert.equal(alignReturns(d, withEquity(navPoints("2024-01-31=10 2024-02-03=11")), "intersection").rp[0], 130 / 110 - 1);
+});
+
+test("seriesFrequency, lookbackApplies and resampleSeries", () => {
+  const days = daily(new Date(2024, 0, 1), Array.from({ length: 90 }, (_, i) => 100 + i));
+  assert.equal(seriesFrequency(days).id, "daily");
+  const weeks = resampleSeries(days, "weekly");
+  assert.deepEqual(weeks.slice(0, 2).map(p => [iso(p.date), p.nav]), [["2024-01-07", 106], ["2024-01-14", 113]]); // Sundays
+  assert.equal(seriesFrequency(weeks).id, "weekly");
+  const months = resampleSeries(days, "monthly");
+  assert.deepEqual(months.map(p => [iso(p.date), p.nav]), [["2024-01-31", 130], ["2024-02-29", 159], ["2024-03-30", 189]]);
+  assert.equal(seriesFrequency(withEquity(months)).id, "monthly");
+
+  assert.deepEqual(["1D", "1W", "1M", "3M", "1Y"].map(l => lookbackApplies(l, "weekly")), [false, true, true, true, true]);
+  assert.deepEqual(["1W", "1M", "3M"].map(l => lookbackApplies(l, "monthly")), [false, true, true]);
+  assert.deepEqual(["1M", "3M", "6M"].map(l => lookbackApplies(l, "quarterly")), [false, true, true]);
+  assert.ok(lookbackApplies("SI", "yearly"));
+  const t = calculateTrailingReturns(withEquity(months));
+  assert.deepEqual([t["1D"], t["1W"], t.skipped], [null, null, ["1D", "1W"]]);
+  close(t["1M"], 189 / 159 - 1);
+});
+
+test("sliceSeries rebases to 100 at the range start", () => {
+  const series = daily(new Date(2024, 0, 1), [100, 120, 90, 108]);
+  const slice = sliceSeries(series, "2024-01-03", null);
+  assert.deepEqual(slice.map(s => s.dateLabel), ["2024-01-03", "2024-01-04"]);
+  close(slice[1].equity, 120);
+  assert.equal(sliceSeries(series, null, null), series);
+});
+
+test("thinRows keeps the last row and, with depth, each bucket's low", () => {
+  const rows = Array.from({ length: 10 }, (_, i) => ({ i, v: i === 7 ? -5 : 0 }));
+  assert.equal(thinRows(rows, 20), rows);
+  assert.deepEqual(thinRows(rows, 5).map(r => r.i), [0, 2, 4, 6, 8, 9]);
+  assert.ok(thinRows(rows, 4, r => r.v).some(r => r.i === 7));
+});
+
+// ---------- Distribution and calendar effects ----------
+test("returnsAt closes weeks and months against the previous one", () => {
+  // Mon 2024-01-01 … Sun 2024-01-21, NAV +1 a day
+  const series = daily(new Date(2024, 0, 1), Array.from({ length: 21 }, (_, i) => 100 + i));
+  assert.equal(returnsAt(series, "daily").length, 20);
+  const weekly = returnsAt(series, "weekly");
+  assert.deepEqual(weekly.map(r => r.dateLabel), ["2024-01-14", "2024-01-21"]);
+  close(weekly[0].ret, 113 / 106 - 1);
+  // a missing month leaves no return for the month after it
+  const monthly = returnsAt(seriesOf("missing-months.csv"), "monthly");
+  assert.ok(!monthly.some(r => r.dateLabel === "2022-06-30"));
+  close(monthly[0].ret, 51 / 50 - 1);
+});
+
+test("returnHistogram counts every return and fits a normal curve", () => {
+  const rets = [-0.02, -0.01, -0.01, 0, 0, 0, 0.01, 0.01, 0.03];
+  const h = returnHistogram(rets, 5);
+  assert.equal(h.bins.length, 5);
+  assert.equal(h.bins.reduce((a, b) => a + b.count, 0), rets.length);
+  assert.equal(h.bins[4].count, 1); // the maximum lands in the last bin
+  close(h.bins[0].x0, -0.02);
+  close(h.bins[4].x1, 0.03);
+  close(h.mean, 0.01 / 9);
+  assert.deepEqual(h.percentiles.map(x => x.p), [0.05, 0.25, 0.5, 0.75, 0.95]);
+  close(h.percentiles[2].value, 0);
+  assert.ok(h.bins.every(b => b.normal > 0));
+  assert.equal(returnHistogram([0.01]), null);
+});
+
+test("calendarEffects averages by weekday and by month", () => {
+  // Mon +1%, every other weekday flat, over three weeks
+  const navs = [];
+  let nav = 100;
+  for (let i = 0; i < 21; i++) {
+    const d = new Date(2024, 0, 1 + i);
+    if (d.getDay() === 1 && i > 0) nav *= 1.01;
+    navs.push(nav);
+  }
+  const { weekdays, months } = calendarEffects(daily(new Date(2024, 0, 1), navs));
+  assert.deepEqual(weekdays.map(d => d.label), ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]);
+  close(weekdays[0].mean, 0.01);
+  assert.equal(weekdays[0].count, 2);
+  assert.equal(weekdays[0].positive, 1);
+  assert.equal(weekdays[1].mean, 0);
+  assert.equal(months.length, 12);
+  assert.equal(months[0].count, 0); // one month of data has no monthly return
+
+  const weekdaysOnly = calendarEffects(seriesOf("leap-year.csv")).weekdays;
+  assert.deepEqual(weekdaysOnly.map(d => d.label), ["Mon", "Tue", "Wed", "Thu", "Fri"]);
+});
+
+test("returnStreaks finds the longest and current runs", () => {
+  const rets = [0.01, 0.02, -0.01, 0, 0.01, 0.01, 0.01, -0.02, -0.01].map((ret, i) => ({ ret, dateLabel: `d${i}` }));
+  const s = returnStreaks(rets);
+  assert.deepEqual([s.wins, s.losses], [5, 3]);
+  assert.deepEqual([s.longestWin.length, s.longestWin.from, s.longestWin.to], [3, "d4", "d6"]);
+  close(s.longestWin.ret, 1.01 ** 3 - 1);
+  assert.equal(s.longestLoss.length, 2);
+  assert.deepEqual([s.current.length, s.current.win], [2, false]);
+  close(s.avgWin, 2.5);
+  close(s.avgLoss, 1.5);
+  assert.equal(returnStreaks([...rets, { ret: 0, dateLabel: "d9" }]).current, null);
+});
+
+// ---------- XIRR ----------
+test("seeded bootstrap paths repeat and resample whole blocks", () => {
+  const draw = (seed) => Array.from({ length: 5 }, seededRandom(seed));
+  assert.deepEqual(draw(7), draw(7));
+  assert.notDeepEqual(draw(7), draw(8));
+  assert.ok(draw(1).every(x => x >= 0 && x < 1));
+
+  // each block of 3 continues from a random start, wrapping past the end
+  const starts = [0.5, 0.99];
+  const path = bootstrapPath([0.1, 0.2, 0.3, 0.4], 5, 3, () => starts.shift());
+  const steps = Array.from(path.slice(1), (v, t) => v / path[t] - 1);
+  steps.forEach((r, t) => close(r, [0.3, 0.4, 0.1, 0.4, 0.1][t]));
+  assert.equal(path[0], 1);
+  const again = (seed) => Array.from(bootstrapPath([0.01, -0.02, 0.03], 50, 5, seededRandom(seed)));
+  assert.deepEqual(again(3), again(3));
+});
+
+test("pathExtremes, fanBands and projectionDate", () => {
+  const { high, drawdown } = pathExtremes([1, 1.2, 0.9, 1.3, 1.17]);
+  assert.equal(high, 1.3);
+  close(drawdown, 0.9 / 1.2 - 1);
+  assert.deepEqual(pathExtremes([1, 1.1]), { high: 1.1, drawdown: 0 });
+
+  const [band] = fanBands([[5, 1, 3, 2, 4]]);
+  assert.deepEqual(band, { p5: 1.2, p25: 2, p50: 3, p75: 4, p95: 4.8 });
+
+  assert.equal(toLabel(projectionDate(fromLabel("2024-01-31"), "monthly", 12, 1)), "2024-02-29");
+  assert.equal(toLabel(projectionDate(fromLabel("2024-01-31"), "daily", 252, 252)), "2025-01-30");
+  assert.equal(toLabel(projectionDate(fromLabel("2024-01-31"), "daily", 252, -252)), "2023-01-31");
+});
+
+test("xirr solves the money-weighted return", () => {
+  close(xirr([
+    { date: new Date(2023, 0, 1), amount: -100 },
+    { date: new Date(2024, 0, 1), amount: 110 },
+  ]), 0.1, 1e-6);
+  assert.equal(xirr([{ date: new Date(2023, 0, 1), amount: -100 }]), null);
+  assert.equal(xirr([
+    { date: new Date(2023, 0, 1), amount: -100 },
+    { date: new Date(2024, 0, 1), amount: -10 },
+  ]), null);
+});
+
+// ---------- Corporate actions ----------
+const navPoints = (text) => text.split(" ").map(s => {
+  const [d, nav] = s.split("=");
+  return { date: fromLabel(d), nav: Number(nav) };
+});
+
+test("detectActionColumns reads long and wide action sheets", () => {
+  const long = [{ Date: "2024-01-10", Action: "IDCW", Amount: "1.5" }];
+  assert.deepEqual(detectActionColumns(long), {
+    dateKey: "Date", dividendKey: null, splitKey: null, bonusKey: null, typeKey: "Action", valueKey: "Amount",
+  });
+  const wide = [{ "Ex-date": "2024-01-10", "Dividend per unit": "1.5", "Split ratio": "", Bonus: "" }];
+  assert.deepEqual(detectActionColumns(wide), {
+    dateKey: "Ex-date", dividendKey: "Dividend per unit", splitKey: "Split ratio", bonusKey: "Bonus", typeKey: null, valueKey: null,
+  });
+});
+
+test("actionFactor reads split and bonus ratios as units after per unit before", () => {
+  assert.equal(actionFactor("split", "5:1"), 5);
+  assert.equal(actionFactor("split", "2-for-1"), 2);
+  assert.equal(actionFactor("split", "1 for 2"), 0.5); // reverse split
+  assert.equal(actionFactor("split", 10), 10);
+  assert.equal(actionFactor("bonus", "1:1"), 2);
+  assert.equal(actionFactor("bonus", "1:4"), 1.25);
+  assert.equal(actionFactor("bonus", "0.5"), 1.5);
+  assert.equal(actionFactor("split", "five"), null);
+});
+
+test("parseActions normalizes types and skips rows it can't use", () => {
+  const rows = [
+    { Date: "2024-03-01", Type: "Bonus", Value: "1:1", Dividend: "" },
+    { Date: "2024-01-10", Type: "IDCW payout", Value: "1.5", Dividend: "" },
+    { Date: "2024-02-01", Type: "", Value: "", Dividend: "0.75" },
+    { Date: "2024-02-15", Type: "Merger", Value: "1", Dividend: "" },
+    { Date: "2024-02-20", Type: "Split", Value: "1:1", Dividend: "" },
+    { Date: "soon", Type: "Split", Value: "2:1", Dividend: "" },
+    { Date: "2024-02-25", Type: "", Value: "", Dividend: "" },
+  ];
+  const { actions, skipped } = parseActions(rows, { dateKey: "Date", typeKey: "Type", valueKey: "Value", dividendKey: "Dividend" });
+  assert.deepEqual(actions.map(a => [a.key, a.type, a.value]), [
+    ["2024-01-10", "dividend", 1.5], ["2024-02-01", "dividend", 0.75], ["2024-03-01", "bonus", 2],
+  ]);
+  assert.deepEqual(skipped, [
+    { row: 3, reason: "unknown type “Merger”" },
+    { row: 4, reason: "invalid split “1:1”" },
+    { row: 5, reason: "unparseable date" },
+    { row: 6, reason: "no action" },
+  ]);
+});
+
+test("applyActions removes payout and split drops from the total-return series", () => {
+  // an IDCW plan paying 10 on Jan 10, then a 5:1 split on Jan 12 and a 1:1
+  // bonus on a holiday (Jan 15) that lands on the next NAV
+  const clean = navPoints("2024-01-08=110 2024-01-09=110 2024-01-10=100 2024-01-11=100 2024-01-12=20 2024-01-16=10 2024-01-17=11");
+  const actions = parseActions([
+    { Date: "2024-01-10", Type: "IDCW", Value: "10" },
+    { Date: "2024-01-12", Type: "Split", Value: "5:1" },
+    { Date: "2024-01-15", Type: "Bonus", Value: "1:1" },
+    { Date: "2024-01-08", Type: "IDCW", Value: "1" },
+    { Date: "2024-02-01", Type: "IDCW", Value: "1" },
+  ], { dateKey: "Date", typeKey: "Type", valueKey: "Value" }).actions;
+  const { price, total, applied, unmatched } = applyActions(clean, actions);
+
+  // price: splits and bonuses undone, the payout drop kept; back-adjusted
+  // so the last NAV is as quoted
+  assert.deepEqual(price.map(p => p.nav), [11, 11, 10, 10, 10, 10, 11]);
+  total.forEach((p, i) => close(p.nav, [10, 10, 10, 10, 10, 10, 11][i]));
+  assert.deepEqual(applied.map(a => [a.key, a.at, a.type, a.warning]), [
+    ["2024-01-10", "2024-01-10", "dividend", null],
+    ["2024-01-12", "2024-01-12", "split", null],
+    ["2024-01-15", "2024-01-16", "bonus", null],
+  ]);
+  close(applied[0].factor, 1.1);
+  assert.deepEqual(unmatched.map(a => [a.key, a.reason]), [
+    ["2024-01-08", "on or before the first NAV"], ["2024-02-01", "after the last NAV"],
+  ]);
+});
+
+test("applyActions flags a split the NAV already reflects", () => {
+  const clean = navPoints("2024-01-08=20 2024-01-09=20.2 2024-01-10=20.4");
+  const split = { date: fromLabel("2024-01-09"), key: "2024-01-09", type: "split", value: 5 };
+  const { applied, total } = applyActions(clean, [split]);
+  assert.match(applied[0].warning, /already be adjusted/);
+  close(total[1].nav / total[0].nav, 5.05); // the fake jump the warning is about
+  assert.deepEqual(applyActions(clean, []).total.map(p => p.nav), [20, 20.2, 20.4]);
+});
+
+test("simulatePlan buys each instalment at the first NAV on or after its day", () => {
+  // 31 Jan + 1 month is 28 Feb, a holiday here, so that SIP buys on 1 Mar
+  const series = withEquity(navPoints("2023-01-31=10 2023-02-27=10 2023-03-01=20 2023-03-31=20 2023-04-28=25 2023-05-02=30"));
+  const r = simulatePlan(series, { start: "2023-01-31", months: 3, lumpSum: 1000, sip: 100 }, { track: true });
+  assert.deepEqual([r.startLabel, r.endLabel, r.invested, r.withdrawn], ["2023-01-31", "2023-04-28", 1300, 0]);
+  close(r.value, 120 * 25); // 110 + 5 + 5 units
+  assert.deepEqual(r.rows.map(x => x.invested), [1100, 1100, 1200, 1300, 1300]);
+  close(r.xirr, xirr([
+    { date: fromLabel("2023-01-31"), amount: -1100 },
+    { date: fromLabel("2023-03-01"), amount: -100 },
+    { date: fromLabel("2023-03-31"), amount: -100 },
+    { date: fromLabel("2023-04-28"), amount: 3000 },
+  ]));
+  assert.equal(simulatePlan(series, { start: "2023-01-31", months: 3, sip: 100 }).rows, undefined);
+  assert.equal(simulatePlan(series, { start: "2023-06-01", months: 1, sip: 100 }), null);
+});
+
+test("simulatePlan steps the SIP up yearly and stops it for withdrawals", () => {
+  const months = Array.from({ length: 16 }, (_, k) => `${toLabel(monthsBefore(fromLabel("2023-01-02"), -k))}=10`).join(" ");
+  const series = withEquity(navPoints(months));
+  assert.equal(simulatePlan(series, { start: "2023-01-02", months: 14, sip: 100, stepUpPct: 10 }).invested, 12 * 100 + 2 * 110);
+
+  // 1,000 plus one SIP, then 400 a month: the third withdrawal gets the last 300
+  const r = simulatePlan(series, { start: "2023-01-02", months: 5, lumpSum: 1000, sip: 100, swp: 400, swpFrom: 1 });
+  assert.deepEqual([r.invested, r.withdrawn, r.value, r.depletedOn], [1100, 1100, 0, "2023-04-02"]);
+  close(r.xirr, 0, 1e-6);
+});
+
+test("wholeMonths, planStarts and outcomeSpread", () => {
+  assert.equal(wholeMonths(fromLabel("2024-01-15"), fromLabel("2025-01-14")), 11);
+  assert.equal(wholeMonths(fromLabel("2024-01-15"), fromLabel("2025-01-15")), 12);
+  assert.equal(wholeMonths(fromLabel("2024-01-31"), fromLabel("2024-02-29")), 1);
+
+  const series = withEquity(navPoints("2023-01-31=10 2023-03-31=11 2023-05-31=12"));
+  assert.deepEqual(planStarts(series, 2).map(toLabel), ["2023-01-31", "2023-02-28", "2023-03-31"]);
+  assert.deepEqual(planStarts(series, 5), []);
+
+  const spread = outcomeSpread([
+    { start: "a", xirr: 0.1 }, { start: "b", xirr: -0.05 }, { start: "c", xirr: null }, { start: "d", xirr: 0.2 }, { start: "e", xirr: 0.02 },
+  ]);
+  assert.deepEqual([spread.count, spread.worst.start, spread.median.start, spread.best.start, spread.losing], [4, "b", "e", "d", 0.25]);
+  assert.equal(outcomeSpread([]), null);
+});
+
+// ---------- Time zones ----------
+function inZone(tz, fn) {
+  // Node re-reads TZ whenever it is assigned
+  const before = process.env.TZ;
+  process.env.TZ = tz;
+  try {
+    return fn();
+  } finally {
+    if (before === undefined) delete process.env.TZ;
+    else process.env.TZ = before;
+  }
+}
+
+const zones = ["UTC", "Asia/Kolkata", "America/New_York", "Pacific/Auckland", "America/St_Johns"];
+
+test("labels, months and lookbacks are the same in every time zone", () => {
+  const results = zones.map(tz => inZone(tz, () => {
+    const series = seriesOf("leap-year.csv");
+    return {
+      labels: seriesOf("excel-serial.csv").map(s => s.dateLabel).concat(series.map(s => s.dateLabel)),
+      parsed: ["2020-02-29", "29/02/2020", 43890, "2020-02-29T00:00:00Z"].map(v => toLabel(coerceDate(v))),
+      monthly: monthlyReturns(series).table,
+      trailing: calculateTrailingReturns(series),
+      dupes: dataQuality(fixture("missing-months.csv"), "Date", "NAV").duplicates.map(d => d.dateLabel),
+    };
+  }));
+  assert.deepEqual(results[0].parsed, ["2020-02-29", "2020-02-29", "2020-02-29", "2020-02-29"]);
+  assert.equal(results[0].labels[0], "2019-12-31");
+  for (const [i, r] of results.entries()) assert.deepEqual(r, results[0], zones[i]);
+});
+
+test("day counts and rolling windows span DST changes", () => {
+  inZone("America/New_York", () => {
+    // clocks went forward on 2024-03-10 and back on 2024-11-03
+    assert.equal(daysBetween(fromLabel("2024-03-09"), fromLabel("2024-03-11")), 2);
+    assert.equal(daysBetween(fromLabel("2024-01-01"), fromLabel("2025-01-01")), 366);
+    const series = withEquity(Array.from({ length: 40 }, (_, i) => ({ date: addDays(fromLabel("2024-03-01"), i), nav: 100 + i })));
+    const [first] = rollingStats(series, 30, "return");
+    assert.equal(first.dateLabel, "2024-03-31");
+    close(first.value, 130 / 100 - 1);
+  });
+});
@@ -0,0 +1,89 @@
+// bin/nav-stats.js end to end, on the CSV fixtures.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const cli = fileURLToPath(new URL("../bin/nav-stats.js", import.meta.url));
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function navStatsIn(tz, ...args) {
+  const env = tz ? { ...process.env, TZ: tz } : process.env;
+  const run = spawnSync(process.execPath, [cli, ...args], { encoding: "utf8", env });
+  return { code: run.status, stdout: run.stdout, stderr: run.stderr };
+}
+
+const navStats = (...args) => navStatsIn(null, ...args);
+
+test("--json prints trailing returns, risk stats and monthly rows", () => {
+  const { code, stdout } = navStats(fixture("leap-year.csv"), "--json");
+  assert.equal(code, 0);
+  const out = JSON.parse(stdout);
+  assert.equal(out.file, "leap-year.csv");
+  assert.deepEqual([out.dateKey, out.navKey, out.points, out.from, out.to], ["Date", "NAV", 10, "2024-01-31", "2025-03-03"]);
+  assert.ok(Math.abs(out.trailing["1Y"] - (111 / 102 - 1)) < 1e-12);
+  assert.equal(out.trailing["3Y"], null);
+  assert.equal(out.risk.Frequency, "monthly");
+  assert.deepEqual(out.monthly.map(r => r.Year), [2025, 2024]);
+  assert.equal(out.monthly[1].Dec, null);
+});
+
+test("reports excluded rows and honours --from", () => {
+  const { code, stdout } = navStats(fixture("missing-months.csv"), "--json", "--from", "2022-06-01");
+  assert.equal(code, 0);
+  const out = JSON.parse(stdout);
+  assert.equal(out.excludedRows, 1);
+  assert.equal(out.from, "2022-06-30");
+  assert.equal(out.points, 6);
+});
+
+test("gives the same numbers in any time zone", () => {
+  const outputs = ["UTC", "Asia/Kolkata", "America/Los_Angeles"].map(tz => navStatsIn(tz, fixture("excel-serial.csv"), "--json").stdout);
+  assert.equal(outputs[1], outputs[0]);
+  assert.equal(outputs[2], outputs[0]);
+});
+
+test("--resample keeps the last NAV of each week or month and drops 1D/1W", () => {
+  const daily = JSON.parse(navStats(fixture("daily.csv"), "--json").stdout);
+  assert.deepEqual([daily.points, daily.frequency], [55, "daily"]);
+  assert.notEqual(daily.trailing["1D"], null);
+
+  const monthly = JSON.parse(navStats(fixture("daily.csv"), "--json", "--resample", "monthly").stdout);
+  assert.deepEqual([monthly.points, monthly.frequency, monthly.from, monthly.to], [3, "monthly", "2024-01-31", "2024-03-15"]);
+  assert.deepEqual([monthly.trailing["1D"], monthly.trailing["1W"]], [null, null]);
+  assert.ok(Math.abs(monthly.trailing["1M"] - (105.4 / 102.2 - 1)) < 1e-12); // Mar 15 against Jan 31
+
+  const weekly = JSON.parse(navStats(fixture("daily.csv"), "--json", "--resample", "weekly").stdout);
+  assert.deepEqual([weekly.points, weekly.frequency], [11, "weekly"]);
+  assert.equal(navStats(fixture("daily.csv"), "--resample", "daily").code, 1);
+});
+
+test("--date-format picks the order of day/month dates", () => {
+  const guessed = JSON.parse(navStats(fixture("day-month.csv"), "--json").stdout);
+  assert.deepEqual([guessed.dateOrder, guessed.from, guessed.to], ["DMY", "2024-01-02", "2024-03-01"]);
+  const mdy = JSON.parse(navStats(fixture("day-month.csv"), "--json", "--date-format", "mdy").stdout);
+  assert.deepEqual([mdy.dateOrder, mdy.from, mdy.to], ["MDY", "2024-01-02", "2024-05-02"]);
+  assert.equal(navStats(fixture("day-month.csv"), "--date-format", "ymd").code, 1);
+});
+
+test("prints text tables by default", () => {
+  const { code, stdout } = navStats(fixture("excel-serial.csv"));
+  assert.equal(code, 0);
+  assert.match(stdout, /^excel-serial\.csv · Sheet1 · As of \/ NAV$/m);
+  assert.match(stdout, /5 monthly points from 2019-12-31 to 2020-06-30 · 2 rows skipped/);
+  for (const name of ["Monthly Returns", "Trailing Returns", "Risk Stats"]) assert.match(stdout, new RegExp(`^${name}$`, "m"));
+  assert.match(stdout, /^ {2}SI +10\.00%$/m);
+});
+
+test("fails with a message and exit code 1", () => {
+  const missing = navStats(fixture("no-such-file.csv"));
+  assert.equal(missing.code, 1);
+  assert.match(missing.stderr, /^nav-stats: /);
+
+  const badColumn = navStats(fixture("leap-year.csv"), "--nav", "Close");
+  assert.equal(badColumn.code, 1);
+  assert.match(badColumn.stderr, /No column "Close" \(columns: Date, NAV\)/);
+
+  assert.equal(navStats().code, 1); // usage
+  assert.equal(navStats("--help").code, 0);
+});
@@ -0,0 +1,111 @@
+// Unit tests for src/posts.js, plus a check that every file in
+// src/content/posts loads.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import {
+  parseFrontMatter, parseMarkdown, parseInline, plainText, loadPosts, postTags, filterPosts, paginate, formatPostDate,
+} from "../src/posts.js";
+
+const contentDir = new URL("../src/content/", import.meta.url);
+
+function contentFiles(dir) {
+  const url = new URL(`${dir}/`, contentDir);
+  return Object.fromEntries(readdirSync(url).map(f => [`./content/${dir}/${f}`, readFileSync(new URL(f, url), "utf8")]));
+}
+
+const md = (front, body = "Body.") => `---\n${front}\n---\n${body}`;
+
+test("front matter: scalars, quoted values, inline and block lists", () => {
+  const { data, body } = parseFrontMatter(md([
+    'title: "Gilts: why now"',
+    "date: 2024-04-18",
+    "tags: [fixed income, 'rates']",
+    "aliases:",
+    "  - one",
+    "  - two",
+  ].join("\n"), "Hello\n"));
+  assert.deepEqual(data, { title: "Gilts: why now", date: "2024-04-18", tags: ["fixed income", "rates"], aliases: ["one", "two"] });
+  assert.equal(body, "Hello\n");
+  assert.deepEqual(parseFrontMatter("No front matter"), { data: {}, body: "No front matter" });
+  assert.throws(() => parseFrontMatter(md("not a key")), /front matter line "not a key"/);
+});
+
+test("markdown blocks and inline nodes", () => {
+  const blocks = parseMarkdown("## Why\n\nLine one\nline two.\n\n- a\n- **b**\n\n1. x\n2. y\n\n> quoted\n> more\n\n```\nraw *text*\n```\n\n---");
+  assert.deepEqual(blocks.map(b => b.type), ["heading", "paragraph", "list", "list", "quote", "code", "rule"]);
+  assert.equal(blocks[0].level, 2);
+  assert.equal(plainText(blocks[1].children), "Line one line two.");
+  assert.deepEqual([blocks[2].ordered, blocks[3].ordered, blocks[2].items.length], [false, true, 2]);
+  assert.equal(blocks[2].items[1][0].type, "strong");
+  assert.equal(plainText(blocks[4].children), "quoted more");
+  assert.equal(blocks[5].text, "raw *text*");
+
+  assert.deepEqual(parseInline("see [Portfolios](/portfolio), *now* `x` cm_fixed_income"), [
+    { type: "text", text: "see " },
+    { type: "link", href: "/portfolio", children: [{ type: "text", text: "Portfolios" }] },
+    { type: "text", text: ", " },
+    { type: "em", children: [{ type: "text", text: "now" }] },
+    { type: "text", text: " " },
+    { type: "code", text: "x" },
+    { type: "text", text: " cm_fixed_income" },
+  ]);
+  // links other than http(s)/mailto/app paths stay as text
+  assert.deepEqual(parseInline("[click](javascript:void) now"), [{ type: "text", text: "click now" }]);
+});
+
+test("loadPosts: slugs, excerpts, validation and newest-first order", () => {
+  const posts = loadPosts({
+    "./posts/Older Post.md": md("title: Older\ndate: 2023-01-05\ntags: [Equity]", "First *para*.\n\nSecond."),
+    "./posts/pair.json": JSON.stringify([
+      { title: "Newest", date: "2024-02-01", excerpt: "Given.", portfolio: "focused", body: "Text" },
+      { title: "Middle", date: "2023-06-01", slug: "custom" },
+    ]),
+  });
+  assert.deepEqual(posts.map(p => p.slug), ["pair-1", "custom", "older-post"]);
+  assert.deepEqual(posts.map(p => p.excerpt), ["Given.", "", "First para."]);
+  assert.deepEqual(posts[2].tags, ["equity"]);
+  assert.equal(posts[0].portfolio, "focused");
+  assert.equal(posts[2].text, "First para. Second.");
+
+  assert.throws(() => loadPosts({ "a.md": md("date: 2024-01-01") }), /a\.md: missing title/);
+  assert.throws(() => loadPosts({ "a.md": md("title: A\ndate: 2024-02-30") }), /date "2024-02-30"/);
+  assert.throws(() => loadPosts({ "x/a.md": md("title: A\ndate: 2024-01-01"), "y/a.md": md("title: B\ndate: 2024-01-02") }), /slug "a"/);
+});
+
+test("tags, filtering and pagination", () => {
+  const posts = loadPosts({
+    "a.md": md("title: Gilt funds\ndate: 2024-03-01\ntags: [fixed income]", "Duration matters."),
+    "b.md": md("title: Small caps\ndate: 2024-02-01\ntags: [equity, markets]", "Valuations are stretched."),
+    "c.md": md("title: FY24 review\ndate: 2024-01-01\ntags: [equity]", "Gains and duration of drawdowns."),
+  });
+  assert.deepEqual(postTags(posts), [
+    { tag: "equity", count: 2 }, { tag: "fixed income", count: 1 }, { tag: "markets", count: 1 },
+  ]);
+  const slugs = (opts) => filterPosts(posts, opts).map(p => p.slug);
+  assert.deepEqual(slugs({ tag: "Equity" }), ["b", "c"]);
+  assert.deepEqual(slugs({ query: "DURATION" }), ["a", "c"]);
+  assert.deepEqual(slugs({ tag: "equity", query: "duration review" }), ["c"]);
+  assert.deepEqual(slugs({ query: "markets" }), ["b"]); // tags are searched too
+
+  assert.deepEqual(paginate(posts, 2, 2), { page: 2, pages: 2, items: [posts[2]] });
+  assert.equal(paginate(posts, "9", 2).page, 2);
+  assert.equal(paginate(posts, null, 2).page, 1);
+  assert.deepEqual(paginate([], 1, 2), { page: 1, pages: 1, items: [] });
+});
+
+test("formatPostDate", () => {
+  assert.equal(formatPostDate("2024-04-05"), "Apr 05, 2024");
+});
+
+test("the bundled content loads and its portfolio links resolve", () => {
+  const posts = loadPosts(contentFiles("posts"));
+  assert.ok(posts.length > 0);
+  const portfolios = contentFiles("portfolios");
+  for (const p of posts.filter(x => x.portfolio)) {
+    const file = portfolios[`./content/portfolios/${p.portfolio}.json`];
+    assert.ok(file, `${p.slug}: no portfolio "${p.portfolio}"`);
+    const { name, points } = JSON.parse(file);
+    assert.ok(name && points.length > 1 && points.every(x => /^\d{4}-\d{2}-\d{2}$/.test(x.date) && x.nav > 0));
+  }
+});
@@ -0,0 +1,67 @@
+// Unit tests for src/subscription.js, plus the mock backend that serves a plan
+// in development.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseSubscription, fetchSubscription, subscriptionStatus, isEntitled, formatExpiry, renewalWarningDays,
+} from "../src/subscription.js";
+import { mockApi } from "../mock/server.js";
+import { fromLabel, toLabel, addDays } from "../src/analytics.js";
+
+const plan = (extra = {}) => ({ plan: { code: "CMP1Y", name: "Premium · 1 year" }, expires: "2025-04-19", ...extra });
+
+test("parseSubscription normalizes and validates a plan document", () => {
+  assert.deepEqual(parseSubscription(plan({ user: { name: "Asha" }, portfolios: ["Focused"] })), {
+    user: { name: "Asha", email: "" },
+    plan: { code: "CMP1Y", name: "Premium · 1 year" },
+    expires: "2025-04-19",
+    portfolios: ["focused"],
+    renewUrl: null,
+  });
+  assert.equal(parseSubscription(plan({ portfolios: "*" })).portfolios, "*");
+  assert.equal(parseSubscription({ plan: { code: "X" }, expires: "2025-01-01" }).plan.name, "X");
+  assert.throws(() => parseSubscription(null), /not a JSON object/);
+  assert.throws(() => parseSubscription({ expires: "2025-01-01" }), /missing plan\.code/);
+  assert.throws(() => parseSubscription(plan({ expires: "2025-02-30" })), /expires "2025-02-30"/);
+  assert.throws(() => parseSubscription(plan({ portfolios: "focused" })), /portfolios must be/);
+});
+
+test("subscriptionStatus warns before expiry and expires the day after", () => {
+  const sub = parseSubscription(plan());
+  const on = (label) => subscriptionStatus(sub, fromLabel(label));
+  assert.deepEqual(on("2025-01-01"), { state: "active", daysLeft: 108 });
+  assert.deepEqual(on(toLabel(addDays(fromLabel("2025-04-19"), -renewalWarningDays))), { state: "expiring", daysLeft: renewalWarningDays });
+  assert.deepEqual(on("2025-04-19"), { state: "expiring", daysLeft: 0 });
+  assert.deepEqual(on("2025-04-20"), { state: "expired", daysLeft: -1 });
+  // the time of day doesn't matter
+  assert.equal(subscriptionStatus(sub, new Date(2025, 3, 19, 23, 59)).state, "expiring");
+});
+
+test("isEntitled and formatExpiry", () => {
+  const sub = parseSubscription(plan({ portfolios: ["focused"] }));
+  assert.ok(isEntitled(sub, "Focused"));
+  assert.ok(!isEntitled(sub, "fixed-income"));
+  assert.ok(isEntitled(parseSubscription(plan({ portfolios: "*" })), "anything"));
+  assert.equal(formatExpiry("2025-04-19"), "Apr 19, 2025");
+});
+
+test("fetchSubscription reports failed requests", async () => {
+  const ok = async () => ({ ok: true, json: async () => plan() });
+  assert.equal((await fetchSubscription("/x", ok)).expires, "2025-04-19");
+  await assert.rejects(fetchSubscription("/x", async () => ({ ok: false, status: 503 })), /failed \(503\)/);
+});
+
+test("the mock backend serves each scenario", async () => {
+  const get = (url) => new Promise((resolve) => {
+    let status;
+    mockApi({ url }, { writeHead: (s) => (status = s), end: (body) => resolve({ status, body: JSON.parse(body) }) }, () => resolve(null));
+  });
+  for (const [as, state] of [["active", "active"], ["expiring", "expiring"], ["expired", "expired"]]) {
+    const { status, body } = await get(`/api/subscription?as=${as}`);
+    assert.equal(status, 200);
+    assert.equal(subscriptionStatus(parseSubscription(body)).state, state);
+  }
+  assert.equal((await get("/api/subscription?as=error")).status, 503);
+  assert.equal((await get("/api/subscription?as=nope")).status, 400);
+  assert.equal(await get("/elsewhere"), null); // left to the next middleware
+});
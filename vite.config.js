@@ -1,9 +1,55 @@
+import { copyFileSync } from 'node:fs'
+import { resolve } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { mockApi } from './mock/server.js'
+
+// GitHub Pages serves 404.html for any path it has no file for; a copy of
+// index.html there lets deep links such as /portfolio-ui/portfolio/<id> load
+// the app, which then routes on the real URL.
+function spaFallback() {
+  let outDir
+  return {
+    name: 'spa-fallback',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    closeBundle() {
+      copyFileSync(resolve(outDir, 'index.html'), resolve(outDir, '404.html'))
+    },
+  }
+}
+
+// The dev server answers /api/subscription from the mock backend in mock/, so
+// `npm run dev` has a plan to show without the real one.
+function mockBackend() {
+  return {
+    name: 'mock-backend',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use(mockApi)
+    },
+  }
+}
+
+// A build has no mock to fall back on: without VITE_SUBSCRIPTION_URL the app
+// can only report that no plan is configured, so say so while building too.
+function subscriptionUrlCheck() {
+  return {
+    name: 'subscription-url-check',
+    apply: 'build',
+    configResolved(config) {
+      if (!config.env.VITE_SUBSCRIPTION_URL) {
+        config.logger.warn('VITE_SUBSCRIPTION_URL is not set: this build will show "Subscriptions aren’t configured" instead of a plan.')
+      }
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), spaFallback(), mockBackend(), subscriptionUrlCheck()],
   base: '/portfolio-ui/',
 })